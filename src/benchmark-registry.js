@@ -0,0 +1,126 @@
+// ── Safeguard benchmark registry ─────────────────────────────────
+// Published tamper-resistance results: how many fine-tuning steps each
+// safeguard method withstood, and on what model, hardware and attack. Lives
+// in localStorage next to the scenario library and can be exported/imported
+// as JSON. Benchmarks are evidence, not model inputs, so they are not part of
+// DEFAULT_PARAMS or permalinks.
+
+const STORAGE_KEY = "biosecurity-explorer.benchmarks";
+export const BENCHMARK_FORMAT = "biosecurity-explorer/benchmarks";
+export const BENCHMARK_VERSION = 1;
+
+export const ATTACK_TYPES = { full: "Full fine-tune", lora: "LoRA", other: "Other" };
+export const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+// Measured and target sizes within this ratio of each other count as the same size
+export const SIZE_MATCH_TOLERANCE = 1.25;
+
+export const DEFAULT_BENCHMARKS = [
+  {
+    id: "basic-rlhf", method: "Basic RLHF", stepsToBreak: 1000, modelSizeB: 7, hardware: "A100",
+    attackType: "full", year: 2023, citation: "Qi et al. 2023, arxiv:2310.03693 (step count illustrative)", confidence: "low",
+  },
+  {
+    id: "constitutional-ai", method: "Constitutional AI", stepsToBreak: 5000, modelSizeB: 7, hardware: "A100",
+    attackType: "full", year: 2023, citation: "Illustrative estimate", confidence: "low",
+  },
+  {
+    id: "deep-ignorance", method: "Deep Ignorance (SOTA)", stepsToBreak: 10000, modelSizeB: 6.9, hardware: "2×H200",
+    attackType: "full", year: 2025, citation: "O'Brien, Casper et al. 2025, arxiv:2508.06601", confidence: "medium",
+  },
+];
+
+export const BENCHMARK_RANGES = {
+  stepsToBreak: { min: 1, max: 1e9 },
+  modelSizeB: { min: 0.01, max: 10000 },
+  year: { min: 2000, max: 2100 },
+};
+
+let nextBenchmarkId = 1;
+export function createBenchmark(fields = {}) {
+  return {
+    id: `benchmark-${Date.now().toString(36)}-${nextBenchmarkId++}`,
+    method: "New method", stepsToBreak: 10000, modelSizeB: 7, hardware: "H100",
+    attackType: "full", year: new Date().getFullYear(), citation: "", confidence: "medium",
+    ...fields,
+  };
+}
+
+// Returns { benchmark } for a usable entry or { error } explaining why not
+export function validateBenchmark(raw, index = 0) {
+  const where = `Benchmark ${index + 1}${raw && typeof raw.method === "string" ? ` (${raw.method})` : ""}`;
+  if (!raw || typeof raw !== "object") return { error: `${where} must be an object` };
+  if (typeof raw.method !== "string" || !raw.method.trim()) return { error: `${where} needs a method name` };
+  for (const [field, { min, max }] of Object.entries(BENCHMARK_RANGES)) {
+    const v = raw[field];
+    if (typeof v !== "number" || !Number.isFinite(v)) return { error: `${where} ${field} must be a number, got ${JSON.stringify(v)}` };
+    if (v < min || v > max) return { error: `${where} ${field} = ${v} is outside the allowed range ${min}–${max}` };
+  }
+  return {
+    benchmark: {
+      id: typeof raw.id === "string" && raw.id ? raw.id : createBenchmark().id,
+      method: raw.method,
+      stepsToBreak: raw.stepsToBreak,
+      modelSizeB: raw.modelSizeB,
+      hardware: typeof raw.hardware === "string" ? raw.hardware : "",
+      attackType: raw.attackType in ATTACK_TYPES ? raw.attackType : "other",
+      year: Math.round(raw.year),
+      citation: typeof raw.citation === "string" ? raw.citation : "",
+      confidence: CONFIDENCE_LEVELS.includes(raw.confidence) ? raw.confidence : "low",
+    },
+  };
+}
+
+export function loadBenchmarks() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? parseBenchmarks(raw).benchmarks : DEFAULT_BENCHMARKS;
+  } catch {
+    return DEFAULT_BENCHMARKS;
+  }
+}
+
+export function saveBenchmarks(benchmarks) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, exportBenchmarks(benchmarks));
+  } catch {
+    // Storage full or disabled (private browsing) — registry stays in memory only
+  }
+}
+
+export function exportBenchmarks(benchmarks) {
+  return JSON.stringify({ format: BENCHMARK_FORMAT, version: BENCHMARK_VERSION, benchmarks }, null, 2);
+}
+
+// Accepts an exported registry or a bare array of entries. Throws on
+// malformed JSON; invalid entries are skipped and reported in `errors`.
+export function parseBenchmarks(json) {
+  const data = JSON.parse(json);
+  const list = Array.isArray(data) ? data : data?.benchmarks;
+  if (!Array.isArray(list)) throw new Error("Expected a benchmark registry with a \"benchmarks\" array");
+  const benchmarks = [];
+  const errors = [];
+  list.forEach((raw, i) => {
+    const { benchmark, error } = validateBenchmark(raw, i);
+    if (benchmark) benchmarks.push(benchmark);
+    else errors.push(error);
+  });
+  return { benchmarks, errors };
+}
+
+// Imported entries replace existing ones with the same id, others are appended
+export function mergeBenchmarks(existing, incoming) {
+  const byId = new Map(existing.map(b => [b.id, b]));
+  for (const b of incoming) byId.set(b.id, b);
+  return [...byId.values()];
+}
+
+// Steps to break at the target model size. Measurements at another size are
+// flagged; with `extrapolate`, steps are scaled as (target / measured)^exponent.
+export function benchmarkStepsAt(benchmark, modelSizeB, { extrapolate = false, exponent = 0.5 } = {}) {
+  const sizeRatio = modelSizeB / benchmark.modelSizeB;
+  const sizeMismatch = Math.max(sizeRatio, 1 / sizeRatio) > SIZE_MATCH_TOLERANCE;
+  const extrapolated = sizeMismatch && extrapolate;
+  const steps = extrapolated ? benchmark.stepsToBreak * Math.pow(sizeRatio, exponent) : benchmark.stepsToBreak;
+  return { steps, sizeMismatch, extrapolated, sizeRatio };
+}
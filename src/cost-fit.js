@@ -0,0 +1,186 @@
+// ── Cost-curve fitting ───────────────────────────────────────────
+// Fits computeCostAtYear's four knobs (base, initial decay, damping, floor) to
+// historical (year, cost) observations by least squares on log10(cost), so a
+// 10× miss counts the same at $1K as at $100M. Each knob is searched within
+// its slider range, which keeps the result directly applicable to the sliders.
+import { DEFAULT_PARAMS, computeCostAtYear } from "./scenario-engine.js";
+import { PARAM_DEFS } from "./param-schema.js";
+
+export const COST_FIT_TARGETS = {
+  training: {
+    label: "Training", color: "#D45D79",
+    keys: { base: "trainingCostBase", decay: "trainingDecayRate", damping: "trainingDamping", floor: "trainingFloor" },
+  },
+  fineTune: {
+    label: "Fine-tune", color: "#6ECFB0",
+    keys: { base: "fineTuneCostBase", decay: "fineTuneDecayRate", damping: "fineTuneDamping", floor: "fineTuneFloor" },
+  },
+};
+
+// One more point than knobs, so the residuals say something about the fit
+export const FIT_MIN_POINTS = 5;
+
+// Illustrative training-cost series for a fixed-size model, for trying the fitter
+export const EXAMPLE_COST_CSV = `year,cost
+2016,200000000
+2017,110000000
+2018,60000000
+2019,34000000
+2020,20000000
+2021,12500000
+2022,8000000
+2023,5500000
+2024,4000000`;
+
+const COST_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+// "$4.6M", "4600000" and "4.6e6" all parse to 4.6e6
+function parseCost(text) {
+  const match = text.replace(/[$_\s]/g, "").match(/^([0-9.]+(?:e[+-]?\d+)?)([kmbt])?$/i);
+  return match ? Number(match[1]) * (COST_SUFFIXES[match[2]?.toLowerCase()] ?? 1) : NaN;
+}
+
+// Two columns, year then cost in dollars, separated by commas, semicolons or
+// tabs. A header row and lines starting with # are skipped. Returns the usable
+// points sorted by year, and an error per line that could not be read.
+export function parseCostCsv(text) {
+  const points = [];
+  const errors = [];
+  let firstRow = true;
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const isHeader = firstRow;
+    firstRow = false;
+    const [yearText = "", costText = ""] = trimmed.split(/[,;\t]/).map(s => s.trim());
+    const year = Number(yearText);
+    if (!yearText || !Number.isFinite(year)) {
+      if (!isHeader) errors.push(`Line ${i + 1}: year "${yearText}" is not a number`);
+      return;
+    }
+    const cost = parseCost(costText);
+    if (!(cost > 0)) { errors.push(`Line ${i + 1}: cost "${costText}" must be a positive dollar amount`); return; }
+    points.push({ year, cost });
+  });
+  points.sort((a, b) => a.year - b.year);
+  return { points, errors };
+}
+
+// Search space per knob, in dollars for base and floor
+function knobRanges(target) {
+  return Object.fromEntries(Object.entries(target.keys).map(([knob, key]) => {
+    const def = PARAM_DEFS[key];
+    const scale = def.displayScale ?? 1;
+    return [knob, { key, min: def.min * scale, max: def.max * scale, log: knob !== "damping", displayScale: scale }];
+  }));
+}
+
+// Unbounded search coordinate ↔ value within [min, max], on a log axis where `log`
+const sigmoid = (u) => 1 / (1 + Math.exp(-u));
+const logit = (s) => Math.log(s / (1 - s));
+function toValue(range, u) {
+  const s = sigmoid(u);
+  const v = range.log ? Math.exp(Math.log(range.min) + s * (Math.log(range.max) - Math.log(range.min))) : range.min + s * (range.max - range.min);
+  return Math.min(range.max, Math.max(range.min, v));
+}
+function toCoordinate(range, value) {
+  const v = Math.min(range.max, Math.max(range.min, value));
+  const s = range.log ? (Math.log(v) - Math.log(range.min)) / (Math.log(range.max) - Math.log(range.min)) : (v - range.min) / (range.max - range.min);
+  return logit(Math.min(0.999, Math.max(0.001, s)));
+}
+
+// Downhill simplex; good enough for four well-scaled coordinates
+function nelderMead(f, start, { iterations = 600, step = 1, tolerance = 1e-10 } = {}) {
+  const n = start.length;
+  let simplex = [start, ...start.map((_, i) => start.map((x, j) => i === j ? x + step : x))].map(x => ({ x, fx: f(x) }));
+  const combine = (a, b, t) => a.map((ai, i) => ai + t * (b[i] - ai));
+  for (let iter = 0; iter < iterations; iter++) {
+    simplex.sort((a, b) => a.fx - b.fx);
+    const best = simplex[0], worst = simplex[n];
+    if (worst.fx - best.fx < tolerance) break;
+    const centroid = simplex.slice(0, n).reduce((c, { x }) => c.map((ci, i) => ci + x[i] / n), new Array(n).fill(0));
+    const reflected = combine(centroid, worst.x, -1);
+    const fr = f(reflected);
+    if (fr < best.fx) {
+      const expanded = combine(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[n] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+    } else if (fr < simplex[n - 1].fx) {
+      simplex[n] = { x: reflected, fx: fr };
+    } else {
+      const contracted = combine(centroid, worst.x, fr < worst.fx ? -0.5 : 0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, worst.fx)) simplex[n] = { x: contracted, fx: fc };
+      else simplex = simplex.map((v, i) => i === 0 ? v : { x: combine(best.x, v.x, 0.5), fx: f(combine(best.x, v.x, 0.5)) });
+    }
+  }
+  simplex.sort((a, b) => a.fx - b.fx);
+  return simplex[0];
+}
+
+// Ordinary least-squares line through log10(cost) against year offset
+function logLinearFit(points, startYear) {
+  const xs = points.map(p => p.year - startYear);
+  const ys = points.map(p => Math.log10(p.cost));
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+  const sxx = xs.reduce((s, x) => s + (x - mx) ** 2, 0);
+  const slope = sxx > 0 ? xs.reduce((s, x, i) => s + (x - mx) * (ys[i] - my), 0) / sxx : 0;
+  return { slope, intercept: my - slope * mx };
+}
+
+// Fits `target`'s knobs to `points`, with year offsets measured from
+// `startYear` so the fitted base is the cost at the start of the timeline.
+// `params` supplies one of the starting guesses. Returns null when there are
+// too few points to fit.
+export function fitCostCurve(points, { target, startYear, params = DEFAULT_PARAMS }) {
+  if (points.length < FIT_MIN_POINTS) return null;
+  const ranges = knobRanges(target);
+  const knobs = Object.keys(ranges);
+  const model = (values, year) => computeCostAtYear(values.base, values.decay, year - startYear, values.damping, values.floor);
+  const valuesAt = (u) => Object.fromEntries(knobs.map((knob, i) => [knob, toValue(ranges[knob], u[i])]));
+  const sse = (values) => points.reduce((s, p) => s + (Math.log10(model(values, p.year)) - Math.log10(p.cost)) ** 2, 0);
+
+  // Start from the current sliders and from a straight-line fit with a few
+  // damping and floor guesses, then keep the best local optimum
+  const { slope, intercept } = logLinearFit(points, startYear);
+  const line = { base: 10 ** intercept, decay: 10 ** -slope };
+  const current = Object.fromEntries(knobs.map(knob => [knob, params[ranges[knob].key] * ranges[knob].displayScale]));
+  const minCost = Math.min(...points.map(p => p.cost));
+  const starts = [current];
+  for (const damping of [0.02, 0.15, 0.35]) {
+    for (const floor of [ranges.floor.min, minCost / 10]) starts.push({ ...line, damping, floor });
+  }
+  const best = starts
+    .map(start => nelderMead(u => sse(valuesAt(u)), knobs.map(knob => toCoordinate(ranges[knob], start[knob]))))
+    .reduce((a, b) => b.fx < a.fx ? b : a);
+
+  const values = valuesAt(best.x);
+  const predicted = points.map(p => model(values, p.year));
+  const residuals = points.map((p, i) => Math.log10(p.cost / predicted[i]));
+  const logCosts = points.map(p => Math.log10(p.cost));
+  const meanLog = logCosts.reduce((a, b) => a + b, 0) / logCosts.length;
+  const totalSS = logCosts.reduce((s, y) => s + (y - meanLog) ** 2, 0);
+  const residualSS = residuals.reduce((s, r) => s + r * r, 0);
+  const rmseLog10 = Math.sqrt(residualSS / points.length);
+
+  return {
+    values,
+    // Fitted values in slider units to four significant figures, ready to merge into params
+    params: Object.fromEntries(knobs.map(knob => [ranges[knob].key, +(values[knob] / ranges[knob].displayScale).toPrecision(4)])),
+    // Knobs pinned against their slider range, so the data may want a value
+    // outside it. Zero damping and the lowest floor just mean "no slowdown".
+    atBounds: knobs.filter(knob => {
+      const { min, max, log } = ranges[knob];
+      const pos = log ? Math.log(values[knob] / min) / Math.log(max / min) : (values[knob] - min) / (max - min);
+      return pos > 0.995 || (pos < 0.005 && knob !== "damping" && knob !== "floor");
+    }),
+    costAt: (year) => model(values, year),
+    predicted,
+    residuals,
+    rSquared: totalSS > 0 ? 1 - residualSS / totalSS : null,
+    rmseLog10,
+    // Typical miss as a multiplicative factor (1.5 = within ±1.5×)
+    typicalErrorFactor: 10 ** rmseLog10,
+  };
+}
@@ -0,0 +1,86 @@
+// ── Defender budget allocation ───────────────────────────────────
+// Spends a defender budget across the interventions to minimize aggregate
+// residual threat: expected successful attacks over the horizon (discounted
+// when a discount rate is set). Each intervention has a cost-to-improve
+// function with diminishing returns, and the budget is handed out in equal
+// increments, each to the intervention that buys the largest reduction. The
+// running totals trace the efficient frontier as the budget grows.
+import { DEFAULT_PARAMS, runScenario } from "./scenario-engine.js";
+import { PARAM_DEFS } from "./param-schema.js";
+
+// Percentage levers: the marginal cost per point at level x is
+// costPerPoint × 100 / (100 − x), so each point costs more than the last and
+// 100% is never reached. Spending `spend` ($M) from `from` reaches:
+const percentAfter = (from, spend, costPerPoint) => 100 - (100 - from) * Math.exp(-spend / (100 * costPerPoint));
+
+// Compute governance: lowering the threshold one decade costs costPerDecade,
+// and each further decade costs twice the one before
+const thresholdAfter = (from, spend, costPerDecade) =>
+  Math.max(PARAM_DEFS.computeGovThreshold.min, from / 10 ** Math.log2(1 + spend * Math.LN2 / costPerDecade));
+
+export const DEFENDER_LEVERS = [
+  { key: "safeguardStrength", costKey: "safeguardCostPerPoint", label: "Model safeguards", color: "#6ECFB0", after: percentAfter },
+  { key: "screeningCoverage", costKey: "screeningCoverageCostPerPoint", label: "Screening coverage", color: "#4AA88D", after: percentAfter },
+  { key: "screeningNovelDetect", costKey: "screeningNovelDetectCostPerPoint", label: "Novel detection", color: "#8FD9C4", after: percentAfter },
+  { key: "computeGovThreshold", costKey: "computeGovCostPerDecade", label: "Compute governance", color: "#F2C46D", after: thresholdAfter },
+  { key: "surveillanceEff", costKey: "surveillanceCostPerPoint", label: "Surveillance", color: "#E88B6E", after: percentAfter },
+];
+
+export const defenderObjective = (results) => results.discountedSuccessesTotal;
+
+// Intervention levels after spending `allocation` ({ key: $M }) on top of the current params
+export function allocatedParams(params, allocation) {
+  const next = { ...params };
+  for (const lever of DEFENDER_LEVERS) {
+    const spend = allocation[lever.key] ?? 0;
+    if (spend > 0) next[lever.key] = lever.after(params[lever.key], spend, params[lever.costKey]);
+  }
+  return next;
+}
+
+// Increments looked ahead when picking where the next one goes, so a lever
+// whose effect only kicks in past a threshold (compute governance) is not
+// passed over for returning nothing on the first increment alone
+const LOOKAHEAD = [1, 2, 4];
+
+// `steps` increments up to the defender budget; the frontier continues to
+// `frontierMultiple` × the budget to show what more money would buy
+export function optimizeDefenderBudget(params, { steps = 20, frontierMultiple = 2 } = {}) {
+  const p = { ...DEFAULT_PARAMS, ...params };
+  const increment = p.defenderBudget / steps;
+  const objectiveWith = (allocation) => defenderObjective(runScenario(allocatedParams(p, allocation)));
+
+  let allocation = Object.fromEntries(DEFENDER_LEVERS.map(l => [l.key, 0]));
+  let objective = objectiveWith(allocation);
+  const baseline = objective;
+  const frontier = [{ budget: 0, objective, allocation }];
+  for (let k = 1; k <= steps * frontierMultiple; k++) {
+    let best = null;
+    for (const lever of DEFENDER_LEVERS) {
+      for (const n of LOOKAHEAD) {
+        const trial = objectiveWith({ ...allocation, [lever.key]: allocation[lever.key] + n * increment });
+        const gainPerIncrement = (objective - trial) / n;
+        if (!best || gainPerIncrement > best.gainPerIncrement) best = { lever, gainPerIncrement };
+      }
+    }
+    allocation = { ...allocation, [best.lever.key]: allocation[best.lever.key] + increment };
+    objective = objectiveWith(allocation);
+    frontier.push({ budget: k * increment, objective, allocation });
+  }
+
+  // Threat avoided by one more $1M on each lever at the chosen allocation
+  const atBudget = frontier[steps];
+  const marginalPerMillion = Object.fromEntries(DEFENDER_LEVERS.map(lever => [
+    lever.key, (atBudget.objective - objectiveWith({ ...atBudget.allocation, [lever.key]: atBudget.allocation[lever.key] + 1 })),
+  ]));
+  const optimizedParams = allocatedParams(p, atBudget.allocation);
+
+  return {
+    baseline, optimized: atBudget.objective, allocation: atBudget.allocation, increment, frontier, budgetIndex: steps, marginalPerMillion,
+    levels: Object.fromEntries(DEFENDER_LEVERS.map(lever => [lever.key, { from: p[lever.key], to: optimizedParams[lever.key] }])),
+    // Lever values to put on the sliders, rounded to the slider's precision
+    params: Object.fromEntries(DEFENDER_LEVERS.map(({ key }) => [
+      key, PARAM_DEFS[key].scale === "log" ? +optimizedParams[key].toPrecision(3) : Math.round(optimizedParams[key] / PARAM_DEFS[key].step) * PARAM_DEFS[key].step,
+    ])),
+  };
+}
@@ -0,0 +1,132 @@
+// ── Figure export ────────────────────────────────────────────────
+// Turns a chart's live SVG into a standalone figure for papers and briefings:
+// dark-UI neutrals are swapped for the print scheme, a white background and
+// the legend are drawn into the SVG, and IBM Plex Mono is embedded so the file
+// renders the same on machines without the font. PNGs are rasterized from
+// that SVG at PNG_SCALE× for print resolution.
+
+// Neutral colors the charts draw with. Accent and series colors are passed in
+// as props and stay the same in both schemes.
+export const CHART_THEMES = {
+  dark: {
+    background: "#14161c", surface: "#1e2028", grid: "#2a2d38", axis: "#3a3d48",
+    tick: "#5a5e6a", muted: "#7a7e8a", label: "#c4c8d4", text: "#e8e0d4",
+  },
+  print: {
+    background: "#ffffff", surface: "#eceef2", grid: "#e2e4ea", axis: "#8a8e9a",
+    tick: "#4a4e5a", muted: "#5a5e6a", label: "#2a2d38", text: "#14161c",
+  },
+};
+
+export const PNG_SCALE = 3;
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const FONT_FAMILY = "'IBM Plex Mono', monospace";
+const FONT_CSS_URL = "https://fonts.googleapis.com/css2?family=IBM+Plex+Mono:wght@400;500;600&display=swap";
+
+// Legend drawn under the plot: monospace, so text width is ~0.6em per character
+const LEGEND_FONT_SIZE = 10;
+const LEGEND_ROW_HEIGHT = 18;
+const LEGEND_INSET = 56; // lines up with the line chart's plot area
+const legendItemWidth = (label) => 14 + 5 + label.length * LEGEND_FONT_SIZE * 0.6 + 14;
+
+// Maps each neutral of the scheme the chart was drawn in to its print color
+function printRecolor(theme) {
+  const map = new Map(Object.keys(theme).map(k => [theme[k].toLowerCase(), CHART_THEMES.print[k]]));
+  return (value) => value.replace(/#[0-9a-f]{6}/gi, hex => map.get(hex.toLowerCase()) ?? hex);
+}
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// @font-face rules with the font files inlined as data URLs (latin subset
+// only). Fetched once; resolves to "" when offline so export still works with
+// the system monospace fallback.
+let fontCss;
+export function embeddedFontCss() {
+  fontCss ??= fetch(FONT_CSS_URL)
+    .then(r => r.text())
+    .then(css => Promise.all(css.split("}").filter(block => block.trim().startsWith("/* latin */")).map(async block => {
+      const url = block.match(/url\(([^)]+)\)/)?.[1];
+      if (!url) return "";
+      const dataUrl = await fetch(url).then(r => r.blob()).then(blobToDataUrl);
+      return `${block.replace(url, dataUrl)}}`;
+    })))
+    .then(rules => rules.join("\n"))
+    .catch(() => "");
+  return fontCss;
+}
+
+function legendGroup(doc, legend, width, top) {
+  const g = doc.createElementNS(SVG_NS, "g");
+  let x = 0, row = 0;
+  for (const item of legend) {
+    const itemWidth = legendItemWidth(item.label);
+    if (x > 0 && x + itemWidth > width) { x = 0; row++; }
+    const y = top + row * LEGEND_ROW_HEIGHT + LEGEND_ROW_HEIGHT / 2;
+    const line = doc.createElementNS(SVG_NS, "line");
+    Object.entries({ x1: x, x2: x + 14, y1: y, y2: y, stroke: item.color, "stroke-width": 2, "stroke-dasharray": item.dashed ? "4,3" : "none" })
+      .forEach(([k, v]) => line.setAttribute(k, v));
+    const text = doc.createElementNS(SVG_NS, "text");
+    Object.entries({ x: x + 19, y: y + 3.5, fill: CHART_THEMES.print.muted, "font-size": LEGEND_FONT_SIZE, "font-family": FONT_FAMILY })
+      .forEach(([k, v]) => text.setAttribute(k, v));
+    text.textContent = item.label;
+    g.append(line, text);
+    x += itemWidth;
+  }
+  return { g, height: legend.length ? (row + 1) * LEGEND_ROW_HEIGHT + 8 : 0 };
+}
+
+// Standalone print-scheme SVG markup for a chart rendered in `theme`.
+// `legend`: [{ label, color, dashed }] drawn below the plot.
+export async function printSvgMarkup(svg, { legend = [], theme = CHART_THEMES.dark } = {}) {
+  const [, , width, plotHeight] = svg.getAttribute("viewBox").split(/\s+/).map(Number);
+  const recolor = printRecolor(theme);
+  const clone = svg.cloneNode(true);
+  clone.removeAttribute("style");
+  for (const el of [clone, ...clone.querySelectorAll("*")]) {
+    for (const attr of ["fill", "stroke", "style"]) {
+      const value = el.getAttribute(attr);
+      if (value) el.setAttribute(attr, recolor(value));
+    }
+  }
+
+  const doc = svg.ownerDocument;
+  const { g, height: legendHeight } = legendGroup(doc, legend, width - LEGEND_INSET, plotHeight);
+  g.setAttribute("transform", `translate(${LEGEND_INSET}, 0)`);
+  clone.append(g);
+  const height = plotHeight + legendHeight;
+
+  const defs = doc.createElementNS(SVG_NS, "defs");
+  const style = doc.createElementNS(SVG_NS, "style");
+  style.textContent = await embeddedFontCss();
+  defs.append(style);
+  const background = doc.createElementNS(SVG_NS, "rect");
+  Object.entries({ x: 0, y: 0, width, height, fill: CHART_THEMES.print.background }).forEach(([k, v]) => background.setAttribute(k, v));
+  clone.prepend(defs, background);
+
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+export async function svgToPngBlob({ markup, width, height }, scale = PNG_SCALE) {
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    await new Promise((resolve, reject) => { img.onload = resolve; img.onerror = () => reject(new Error("Could not render the figure")); img.src = url; });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    return await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -1,7 +1,21 @@
-import { useState, useMemo } from "react";
+import { useState, useMemo, useEffect, useRef, createContext, useContext } from "react";
+import {
+  MODEL_VERSION, DEFAULT_PARAMS, FINE_TUNE_METHODS, HARDWARE_PRESETS, COST_CURVE_FAMILIES, COST_SERIES, clamp, indexAtYear, runScenario,
+  fineTuneStepTime, gpuHoursToSteps, stepsToBreakCost, createAttackerProfile, createChokepoint, BUDGET_MODELS, budgetPercentiles, skillLabel,
+  ATTACK_PATHS, ATTACK_STAGES, attackPaths, chosenPath, INTERVENTION_KEYS,
+} from "./scenario-engine.js";
+import { DISTRIBUTION_TYPES, defaultDistributionFor, runMonteCarlo, relevanceAt, validateDistribution, RUN_OPTIONS } from "./monte-carlo.js";
+import { DEFAULT_TAB, DEFAULT_UNCERTAINTY, encodePermalink, decodePermalink } from "./permalink.js";
+import { SENSITIVITY_METRICS, runSensitivity, averageThreatAt } from "./sensitivity.js";
+import { PARAM_SCHEMA, PARAM_GROUPS, PARAM_DEFS, CHOKEPOINT_FIELDS, PROFILE_BUDGET_FIELDS, PROFILE_SKILL_FIELD, isParamActive, paramDefsFor, getParamValue } from "./param-schema.js";
+import { buildResultsJson, buildResultsCsv, parseParamsFile } from "./results-export.js";
+import { ATTACK_TYPES, CONFIDENCE_LEVELS, BENCHMARK_RANGES, DEFAULT_BENCHMARKS, createBenchmark, loadBenchmarks, saveBenchmarks, exportBenchmarks, parseBenchmarks, mergeBenchmarks, benchmarkStepsAt } from "./benchmark-registry.js";
+import { CHART_THEMES, printSvgMarkup, svgToPngBlob } from "./figure-export.js";
+import { DEFENDER_LEVERS, optimizeDefenderBudget } from "./defender-budget.js";
+import { COST_FIT_TARGETS, FIT_MIN_POINTS, EXAMPLE_COST_CSV, parseCostCsv, fitCostCurve } from "./cost-fit.js";
+import { createScenario, scenarioParams, loadScenarios, saveScenarios, exportScenarios, parseScenarios, mergeScenarios } from "./scenario-library.js";
 
 // ── Utility helpers ──────────────────────────────────────────────
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 const fmt = (n) => {
   if (n >= 1e9) return `$${(n / 1e9).toFixed(1)}B`;
   if (n >= 1e6) return `$${(n / 1e6).toFixed(1)}M`;
@@ -14,82 +28,87 @@ const fmtNum = (n) => {
   if (n >= 1e3) return `${(n / 1e3).toFixed(1)}K`;
   return n.toFixed(0);
 };
+// Expected actor counts, which can be fractional
+const fmtActors = (n) => n < 10 ? n.toFixed(1) : fmtNum(n);
+// Expected numbers of successful attacks, often well below one
+const fmtExpected = (n) => n >= 10 ? fmtNum(n) : n >= 0.001 || n === 0 ? `${+n.toPrecision(2)}` : n.toExponential(1);
 const fmtSteps = (n) => {
   if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
   if (n >= 1e3) return `${(n / 1e3).toFixed(0)}K`;
   return n.toFixed(0);
 };
 
-// ── Core model: decaying exponential cost with floor ────────────
-function computeCostAtYear(baseCost, initialDecayRate, year, damping, floor) {
-  const k0 = Math.log(initialDecayRate);
-  const effectiveDamping = Math.max(damping, 0.001);
-  const cumulativeDecline = (k0 / effectiveDamping) * (1 - Math.exp(-effectiveDamping * year));
-  const cost = floor + (baseCost - floor) * Math.exp(-cumulativeDecline);
-  return Math.max(floor, cost);
-}
-
-function instantaneousRate(initialDecayRate, year, damping) {
-  const k0 = Math.log(initialDecayRate);
-  const effectiveDamping = Math.max(damping, 0.001);
-  const kt = k0 * Math.exp(-effectiveDamping * year);
-  return Math.exp(kt);
-}
-
-function capabilityCurve(params, midpoint, steepness = 1.5) {
-  const x = Math.log10(params) - Math.log10(midpoint);
-  return 1 / (1 + Math.exp(-steepness * x * 5));
-}
-
-function safeguardEffectiveness(safeguardBase, attackerBudgetRatio) {
-  return safeguardBase * Math.exp(-0.5 * Math.max(0, attackerBudgetRatio - 1));
-}
+// "$50.0K" for a point budget, "$50.0K (P10–P90 $10.0K–$500.0K)" for a spread one
+const fmtBudget = (a) => {
+  if (a.budgetModel === "point") return fmt(a.budget);
+  const { p10, p90 } = budgetPercentiles(a);
+  return `${fmt(a.budget)} (P10–P90 ${fmt(p10)}–${fmt(p90)})`;
+};
 
-// ── Fine-tuning steps to GPU-hours/cost mapping ─────────────────
-// Theoretical calculation:
-// - FLOP per step ≈ 6 × params × batch × seq = 6 × params_B × 1e9 × 8 × 2048
-// - H100 throughput: ~3e15 FLOP/s
-//
-// BUT: Real-world training is 10-30x less efficient than theoretical FLOP calc
-// due to: memory bandwidth limits, optimizer state overhead, gradient 
-// accumulation, multi-GPU communication, data loading, checkpointing.
-//
-// Empirical calibration from Deep Ignorance paper (EleutherAI 2025):
-// - 6.9B model, 10K steps, 305M tokens = ~17 GPU-hours on 2×H200
-// - That's ~8.5 GPU-hours per run, or ~3 seconds/step actual
-// - Theoretical would predict ~0.23 sec/step — so ~13x efficiency loss
-//
-// We use a 15x efficiency factor (conservative) to match empirical data.
-
-function stepsToGpuHours(steps, modelSizeB, efficiencyFactor = 15) {
-  const flopPerStep = 6 * modelSizeB * 1e9 * 8 * 2048;
-  const h100Throughput = 3e15; // FLOP/s theoretical
-  const theoreticalSecondsPerStep = flopPerStep / h100Throughput;
-  const actualSecondsPerStep = theoreticalSecondsPerStep * efficiencyFactor;
-  return (steps * actualSecondsPerStep) / 3600;
-}
+// Calendar label for a timeline point: "2031", "2031 H2", "2031 Q3" or "Sep 2031".
+// Points at the start of a year are labelled with the year alone.
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const fmtPeriod = (calendarYear, stepsPerYear = 1) => {
+  const year = Math.floor(calendarYear + 1e-9);
+  const sub = Math.round((calendarYear - year) * stepsPerYear);
+  if (stepsPerYear === 1 || sub === 0) return `${year}`;
+  if (stepsPerYear === 12) return `${MONTHS[sub]} ${year}`;
+  return `${year} ${stepsPerYear === 4 ? "Q" : "H"}${sub + 1}`;
+};
 
-function gpuHoursToCost(gpuHours, costPerGpuHour) {
-  return gpuHours * costPerGpuHour;
-}
+const downloadFile = (filename, content, type = "application/json") => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
-function stepsToBreakCost(steps, modelSizeB, costPerGpuHour, efficiencyFactor = 15) {
-  return gpuHoursToCost(stepsToGpuHours(steps, modelSizeB, efficiencyFactor), costPerGpuHour);
+// ── Slider components ────────────────────────────────────────────
+// Label row shared by the sliders. Clicking the value lets you type an exact
+// number (in the parameter's own units); with `defaultValue` set, a dot marks
+// values changed from the default and ↺ resets them.
+function SliderHeader({ label, value, onChange, min, max, format, defaultValue }) {
+  const [editing, setEditing] = useState(null);
+  const modified = defaultValue !== undefined && value !== defaultValue;
+  const commit = () => {
+    const v = parseFloat(editing);
+    if (Number.isFinite(v)) onChange(clamp(v, min, max));
+    setEditing(null);
+  };
+  return (
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 4, gap: 8 }}>
+      <label style={{ fontSize: 13, fontFamily: "'IBM Plex Mono', monospace", color: "#c4c8d4", letterSpacing: "0.02em" }}>
+        {label}
+        {modified && <span title="Modified from default" style={{ marginLeft: 6, color: "#F2C46D", fontSize: 9, verticalAlign: "middle" }}>●</span>}
+      </label>
+      <span style={{ display: "flex", alignItems: "baseline", gap: 6 }}>
+        {modified && (
+          <button onClick={() => onChange(defaultValue)} title={`Reset to default (${format ? format(defaultValue) : defaultValue})`}
+            style={{ background: "none", border: "none", padding: 0, color: "#7a7e8a", cursor: "pointer", fontSize: 12 }}>↺</button>
+        )}
+        {editing !== null ? (
+          <input type="number" autoFocus value={editing} step="any" min={min} max={max}
+            onChange={e => setEditing(e.target.value)} onBlur={commit}
+            onKeyDown={e => { if (e.key === "Enter") commit(); if (e.key === "Escape") setEditing(null); }}
+            style={{ width: 90, padding: "1px 4px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 13, fontFamily: "'IBM Plex Mono', monospace", textAlign: "right" }} />
+        ) : (
+          <span onClick={() => setEditing(String(value))} title="Click to type an exact value"
+            style={{ fontSize: 14, fontFamily: "'IBM Plex Mono', monospace", color: "#e8e0d4", fontWeight: 600, cursor: "text" }}>
+            {format ? format(value) : value}
+          </span>
+        )}
+      </span>
+    </div>
+  );
 }
 
-// ── Slider components ────────────────────────────────────────────
-function Slider({ label, value, onChange, min, max, step, format, description }) {
+function Slider({ label, value, onChange, min, max, step, format, description, defaultValue }) {
   const pct = ((value - min) / (max - min)) * 100;
   return (
     <div style={{ marginBottom: 20 }}>
-      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 4 }}>
-        <label style={{ fontSize: 13, fontFamily: "'IBM Plex Mono', monospace", color: "#c4c8d4", letterSpacing: "0.02em" }}>
-          {label}
-        </label>
-        <span style={{ fontSize: 14, fontFamily: "'IBM Plex Mono', monospace", color: "#e8e0d4", fontWeight: 600 }}>
-          {format ? format(value) : value}
-        </span>
-      </div>
+      <SliderHeader label={label} value={value} onChange={onChange} min={min} max={max} format={format} defaultValue={defaultValue} />
       {description && (
         <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 6, lineHeight: 1.4, fontFamily: "'IBM Plex Sans', sans-serif" }}>
           {description}
@@ -113,7 +132,7 @@ function Slider({ label, value, onChange, min, max, step, format, description })
 }
 
 // Log-scale slider for steps (100 to 1M)
-function LogSlider({ label, value, onChange, minExp, maxExp, format, description }) {
+function LogSlider({ label, value, onChange, minExp, maxExp, format, description, defaultValue }) {
   const logValue = Math.log10(value);
   const pct = ((logValue - minExp) / (maxExp - minExp)) * 100;
   const handleChange = (e) => {
@@ -122,14 +141,7 @@ function LogSlider({ label, value, onChange, minExp, maxExp, format, description
   };
   return (
     <div style={{ marginBottom: 20 }}>
-      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 4 }}>
-        <label style={{ fontSize: 13, fontFamily: "'IBM Plex Mono', monospace", color: "#c4c8d4", letterSpacing: "0.02em" }}>
-          {label}
-        </label>
-        <span style={{ fontSize: 14, fontFamily: "'IBM Plex Mono', monospace", color: "#e8e0d4", fontWeight: 600 }}>
-          {format ? format(value) : value}
-        </span>
-      </div>
+      <SliderHeader label={label} value={value} onChange={onChange} min={Math.pow(10, minExp)} max={Math.pow(10, maxExp)} format={format} defaultValue={defaultValue} />
       {description && (
         <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 6, lineHeight: 1.4, fontFamily: "'IBM Plex Sans', sans-serif" }}>
           {description}
@@ -152,15 +164,235 @@ function LogSlider({ label, value, onChange, minExp, maxExp, format, description
   );
 }
 
+// Yearly values drawn by hand: click or drag across the plot to set the value
+// at each whole year. An empty list draws flat at `initial` until the first
+// edit fills in every year.
+function PointsEditor({ value, onChange, years, initial, min, max, startYear, color = "#E88B6E" }) {
+  const svgRef = useRef(null);
+  const latest = useRef(null);
+  const lastDrawn = useRef(null);
+  const width = 260, height = 90;
+  const pad = { left: 30, right: 6, top: 6, bottom: 16 };
+  const points = Array.from({ length: years }, (_, i) => value.length ? value[Math.min(i, value.length - 1)] : initial);
+  const x = (i) => pad.left + (i / Math.max(1, years - 1)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + (1 - (v - min) / (max - min)) * (height - pad.top - pad.bottom);
+
+  // Sets the year under the pointer, filling any years skipped since the last
+  // move so a fast drag leaves no gaps
+  const drawAt = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const px = (e.clientX - rect.left) / rect.width * width;
+    const py = (e.clientY - rect.top) / rect.height * height;
+    const i = clamp(Math.round((px - pad.left) / (width - pad.left - pad.right) * (years - 1)), 0, years - 1);
+    const v = Math.round(clamp(min + (1 - (py - pad.top) / (height - pad.top - pad.bottom)) * (max - min), min, max));
+    const from = lastDrawn.current ?? { i, v };
+    const next = [...latest.current];
+    for (let k = Math.min(from.i, i); k <= Math.max(from.i, i); k++) {
+      next[k] = from.i === i ? v : Math.round(from.v + (v - from.v) * (k - from.i) / (i - from.i));
+    }
+    lastDrawn.current = { i, v };
+    latest.current = next;
+    onChange(next);
+  };
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} style={{ width: "100%", display: "block", cursor: "crosshair", touchAction: "none" }}
+      onPointerDown={e => { e.currentTarget.setPointerCapture(e.pointerId); latest.current = points; lastDrawn.current = null; drawAt(e); }}
+      onPointerMove={e => { if (e.buttons) drawAt(e); }}
+      onPointerUp={() => { lastDrawn.current = null; }}>
+      {[min, (min + max) / 2, max].map(v => (
+        <g key={v}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#2a2d38" />
+          <text x={pad.left - 4} y={y(v) + 3} textAnchor="end" fill="#5a5e6a" fontSize={8} fontFamily="'IBM Plex Mono', monospace">{v}</text>
+        </g>
+      ))}
+      <text x={pad.left} y={height - 3} fill="#5a5e6a" fontSize={8} fontFamily="'IBM Plex Mono', monospace">{startYear}</text>
+      <text x={width - pad.right} y={height - 3} textAnchor="end" fill="#5a5e6a" fontSize={8} fontFamily="'IBM Plex Mono', monospace">{startYear + years - 1}</text>
+      <polyline points={points.map((v, i) => `${x(i)},${y(v)}`).join(" ")} fill="none" stroke={color} strokeWidth={1.5} strokeDasharray={value.length ? "none" : "4,3"} />
+      {points.map((v, i) => <circle key={i} cx={x(i)} cy={y(v)} r={2} fill={color} />)}
+    </svg>
+  );
+}
+
+// ── Schema-driven parameter controls ─────────────────────────────
+// Display formats named by PARAM_SCHEMA entries' `format`
+const PARAM_FORMATS = {
+  params: v => `${+v.toPrecision(3)}B params`,
+  usd: (v, def) => fmt(v * (def.displayScale ?? 1)),
+  usdPerHour: v => `$${v.toFixed(2)}/hr`,
+  usdPerPoint: (v, def) => `${fmt(v * def.displayScale)}/pt`,
+  usdPerDecade: (v, def) => `${fmt(v * def.displayScale)}/decade`,
+  rate: v => `${v.toFixed(1)}×/yr`,
+  damping: v => v < 0.01 ? "None" : v.toFixed(2),
+  percent: v => `${v}%`,
+  percentPerYear: v => `${v}%/yr`,
+  sharePerYear: v => `${+v.toPrecision(2)}%/yr`,
+  perYear: v => `${v.toFixed(2)}/yr`,
+  steps: v => `${fmtSteps(v)} steps`,
+  seqs: v => `${v} seqs`,
+  tokens: v => `${fmtNum(v)} tokens`,
+  flops: v => `${(v / 1e15).toFixed(2)} PFLOP/s`,
+  multiplier: v => `${v}×`,
+  year: v => `${v}`,
+  years: v => `${v} yrs`,
+  skill: v => `${v} · ${skillLabel(v)}`,
+  skillPoints: v => `${v} pts`,
+};
+
+// Display text for a parameter value, as in the sidebar controls
+function formatParamValue(def, value) {
+  if (def.type === "boolean") return value ? "On" : "Off";
+  if (def.type === "choice") return String(def.optionLabels?.[value] ?? value);
+  if (def.type === "points") return value.length ? `${value.join(", ")}${def.unit ? ` ${def.unit}` : ""}` : "—";
+  if (def.format) return PARAM_FORMATS[def.format](value, def);
+  return def.unit ? `${value} ${def.unit}` : String(value);
+}
+
+// Whether anything but the evaluation year differs. Analyses whose runs don't
+// depend on it hold their params while it is scrubbed or played back.
+const changedApartFromEvaluationYear = (prev, next) => Object.keys(next).some(k => k !== "evaluationYear" && next[k] !== prev[k]);
+
+// Point lists are compared by value; everything else is a primitive
+const isParamModified = (def, value) => def.type === "points" ? String(value) !== String(def.default) : value !== def.default;
+
+// The control for one PARAM_SCHEMA entry: slider, log slider, toggle, choice
+// or drawn yearly points. `params` supplies the timeline and start value the
+// points are drawn against.
+function ParamControl({ def, value, onChange, params }) {
+  const format = def.format ? (v => PARAM_FORMATS[def.format](v, def)) : undefined;
+  const set = def.integer ? (v => onChange(Math.round(v))) : onChange;
+  const modified = isParamModified(def, value);
+  const labelRow = (
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+      <label style={{ fontSize: 13, fontFamily: "'IBM Plex Mono', monospace", color: "#c4c8d4", letterSpacing: "0.02em" }}>
+        {def.label}
+        {modified && <span title="Modified from default" style={{ marginLeft: 6, color: "#F2C46D", fontSize: 9, verticalAlign: "middle" }}>●</span>}
+      </label>
+      {modified && (
+        <button onClick={() => onChange(def.default)} title="Reset to default"
+          style={{ background: "none", border: "none", padding: 0, color: "#7a7e8a", cursor: "pointer", fontSize: 12 }}>↺</button>
+      )}
+    </div>
+  );
+  const descriptionRow = def.description && (
+    <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 6, lineHeight: 1.4, fontFamily: "'IBM Plex Sans', sans-serif" }}>{def.description}</div>
+  );
+
+  if (def.type === "boolean") {
+    return (
+      <div style={{ marginBottom: 20 }}>
+        {labelRow}
+        {descriptionRow}
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#9a9eb0", cursor: "pointer" }}>
+          <input type="checkbox" checked={value} onChange={e => onChange(e.target.checked)} />
+          {value ? "On" : "Off"}
+        </label>
+      </div>
+    );
+  }
+  if (def.type === "choice") {
+    return (
+      <div style={{ marginBottom: 16 }}>
+        {labelRow}
+        {descriptionRow}
+        <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+          {def.options.map(option => (
+            <button key={option} onClick={() => onChange(option)}
+              style={{ flex: 1, padding: "4px 8px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, fontSize: 11, fontFamily: "'IBM Plex Mono', monospace",
+                background: value === option ? "#9B8FFF20" : "transparent", color: value === option ? "#9B8FFF" : "#7a7e8a" }}>
+              {def.optionLabels?.[option] ?? option}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+  if (def.type === "points") {
+    return (
+      <div style={{ marginBottom: 20 }}>
+        {labelRow}
+        {descriptionRow}
+        <PointsEditor value={value} onChange={onChange} min={def.min} max={def.max}
+          years={Math.floor(params.horizonYears) + 1} startYear={params.startYear} initial={params[def.startKey]} />
+      </div>
+    );
+  }
+  if (def.scale === "log") {
+    return <LogSlider label={def.label} value={value} onChange={set} minExp={Math.log10(def.min)} maxExp={Math.log10(def.max)}
+      format={format} description={def.description} defaultValue={def.default} />;
+  }
+  return <Slider label={def.label} value={value} onChange={set} min={def.min} max={def.max} step={def.step}
+    format={format} description={def.description} defaultValue={def.default} />;
+}
+
+// ── Chart theme and figure export ────────────────────────────────
+// Charts take their neutral colors from the theme; the report renders them in
+// the print scheme. Figure exports always come out in the print scheme.
+const ChartThemeContext = createContext(CHART_THEMES.dark);
+
+const CHART_TOOLBAR = { display: "flex", justifyContent: "flex-end", gap: 6, marginBottom: 4 };
+const chartToolButton = (theme) => ({ padding: "2px 8px", border: `1px solid ${theme.grid}`, borderRadius: 4, background: "transparent", color: theme.muted, fontSize: 10, fontFamily: "'IBM Plex Mono', monospace", cursor: "pointer" });
+
+// SVG/PNG download of the chart in `svgRef`; `legend` is drawn into the figure
+function FigureExportButtons({ svgRef, name, legend }) {
+  const theme = useContext(ChartThemeContext);
+  const [busy, setBusy] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const exportAs = async (format) => {
+    setBusy(true);
+    try {
+      const figure = await printSvgMarkup(svgRef.current, { legend, theme });
+      if (format === "svg") downloadFile(`${name}.svg`, figure.markup, "image/svg+xml");
+      else downloadFile(`${name}.png`, await svgToPngBlob(figure), "image/png");
+      setExportError("");
+    } catch (err) {
+      setExportError(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+  return (
+    <>
+      {exportError && <span style={{ fontSize: 10, color: "#D45D79", alignSelf: "center" }}>{exportError}</span>}
+      {["svg", "png"].map(format => (
+        <button key={format} onClick={() => exportAs(format)} disabled={busy} title={`Download as a print-ready ${format.toUpperCase()} figure`} style={chartToolButton(theme)}>
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </>
+  );
+}
+
 // ── Line chart ───────────────────────────────────────────────────
-function MiniChart({ data, width = 400, height = 180, colors, legend, yFormat, logScale = false, dashed = [] }) {
+// `bands` shades an uncertainty range: [{ lower, upper, color, series }],
+// hidden along with the series index it belongs to. `xLabels` names each point
+// on the x axis (calendar years); `marker` is the index of the evaluation
+// year, drawn as a vertical line; `refLines` are horizontal guides such as
+// attacker budgets: [{ value, label, color }]. `logScale` is the initial scale.
+// Hover reads off every series; drag across the plot to zoom into a range of
+// years and double-click to zoom back out. With `exportName`, the chart can
+// be downloaded as a figure.
+function MiniChart({ data, width = 400, height = 180, colors, legend, yFormat, logScale: initialLogScale = false, dashed = [], bands = [], xLabels = [], marker, refLines = [], exportName, minTop = 1 }) {
+  const theme = useContext(ChartThemeContext);
+  const [logScale, setLogScale] = useState(initialLogScale);
+  const [hidden, setHidden] = useState([]);
+  const [hover, setHover] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [zoom, setZoom] = useState(null);
+  const svgRef = useRef(null);
   const pad = { top: 24, right: 20, bottom: 36, left: 56 };
   const w = width - pad.left - pad.right;
   const h = height - pad.top - pad.bottom;
-  const allY = data.flatMap((s) => s.values);
+  const last = data[0].values.length - 1;
+  // A zoom past the end of a shorter timeline falls back to the full range
+  const [x0, x1] = zoom && zoom[1] <= last ? zoom : [0, last];
+  const shown = (si) => !hidden.includes(si);
+  const visibleBands = bands.filter(b => b.series === undefined || shown(b.series));
+  const slice = (values) => values.slice(x0, x1 + 1);
+  const allY = [...data.flatMap((s, si) => shown(si) ? slice(s.values) : []), ...visibleBands.flatMap((b) => [...slice(b.lower), ...slice(b.upper)])];
   const minY = logScale ? Math.max(1, Math.min(...allY.filter(v => v > 0))) : Math.min(...allY, 0);
-  const maxY = Math.max(...allY, 1);
-  const toX = (i) => pad.left + (i / (data[0].values.length - 1)) * w;
+  const maxY = Math.max(...allY, minTop);
+  const toX = (i) => pad.left + ((i - x0) / (x1 - x0)) * w;
   const toY = (v) => {
     if (logScale) {
       const logMin = Math.log10(Math.max(1, minY));
@@ -169,6 +401,7 @@ function MiniChart({ data, width = 400, height = 180, colors, legend, yFormat, l
     }
     return pad.top + h - ((v - minY) / (maxY - minY || 1)) * h;
   };
+  const formatY = yFormat || (v => v >= 1000 ? `${(v/1000).toFixed(0)}k` : v.toFixed(v < 10 ? 1 : 0));
   const gridLines = 4;
   const yTicks = Array.from({ length: gridLines + 1 }, (_, i) => {
     if (logScale) {
@@ -178,46 +411,130 @@ function MiniChart({ data, width = 400, height = 180, colors, legend, yFormat, l
     }
     return minY + (i / gridLines) * (maxY - minY);
   });
+  const visibleRefLines = refLines.filter(r => r.value >= minY && r.value <= maxY);
+  const hoverIdx = hover !== null && hover >= x0 && hover <= x1 ? hover : null;
+
+  // Pointer position → nearest point index inside the visible range
+  const indexAt = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (width / rect.width);
+    return clamp(Math.round(x0 + ((x - pad.left) / w) * (x1 - x0)), x0, x1);
+  };
+  const endDrag = () => {
+    if (drag && drag.from !== drag.to) setZoom([Math.min(drag.from, drag.to), Math.max(drag.from, drag.to)]);
+    setDrag(null);
+  };
+  // The last visible series can't be hidden, so the axes always have data
+  const toggleSeries = (si) => setHidden(prev =>
+    prev.includes(si) ? prev.filter(x => x !== si) : prev.length < data.length - 1 ? [...prev, si] : prev
+  );
+  const toolButton = chartToolButton(theme);
 
   return (
-    <div style={{ position: "relative" }}>
-      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+    <div style={{ position: "relative", maxWidth: width }}>
+      <div style={CHART_TOOLBAR}>
+        {zoom && <button onClick={() => setZoom(null)} style={toolButton}>Reset zoom</button>}
+        <button onClick={() => setLogScale(!logScale)} title="Switch between log and linear y axis" style={toolButton}>{logScale ? "Log" : "Linear"}</button>
+        {exportName && (
+          <FigureExportButtons svgRef={svgRef} name={exportName}
+            legend={(legend || []).map((label, i) => ({ label, color: colors[i], dashed: dashed[i] })).filter((_, i) => shown(i))} />
+        )}
+      </div>
+      <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} style={{ width: "100%", height: "auto", display: "block", cursor: "crosshair", userSelect: "none" }}
+        onMouseDown={e => { e.preventDefault(); const i = indexAt(e); setDrag({ from: i, to: i }); }}
+        onMouseMove={e => { const i = indexAt(e); setHover(i); if (drag) setDrag({ ...drag, to: i }); }}
+        onMouseUp={endDrag}
+        onMouseLeave={() => { setHover(null); setDrag(null); }}
+        onDoubleClick={() => setZoom(null)}>
         {yTicks.map((v, i) => (
           <g key={i}>
-            <line x1={pad.left} x2={width - pad.right} y1={toY(v)} y2={toY(v)} stroke="#2a2d38" strokeWidth={1} />
-            <text x={pad.left - 8} y={toY(v) + 4} textAnchor="end" fill="#5a5e6a" fontSize={10} fontFamily="'IBM Plex Mono', monospace">
-              {yFormat ? yFormat(v) : (v >= 1000 ? `${(v/1000).toFixed(0)}k` : v.toFixed(v < 10 ? 1 : 0))}
+            <line x1={pad.left} x2={width - pad.right} y1={toY(v)} y2={toY(v)} stroke={theme.grid} strokeWidth={1} />
+            <text x={pad.left - 8} y={toY(v) + 4} textAnchor="end" fill={theme.tick} fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+              {formatY(v)}
+            </text>
+          </g>
+        ))}
+        {visibleRefLines.map((r, i) => (
+          <g key={`ref-${i}`}>
+            <line x1={pad.left} x2={width - pad.right} y1={toY(r.value)} y2={toY(r.value)} stroke={r.color} strokeWidth={1} strokeDasharray="2,4" opacity={0.7} />
+            <text x={width - pad.right - 4} y={toY(r.value) - 3} textAnchor="end" fill={r.color} fontSize={9} fontFamily="'IBM Plex Mono', monospace" opacity={0.85}>
+              {r.label}
             </text>
           </g>
         ))}
+        {visibleBands.map((band, bi) => {
+          const upper = slice(band.upper).map((v, k) => `${k === 0 ? "M" : "L"}${toX(x0 + k).toFixed(1)},${toY(v).toFixed(1)}`).join(" ");
+          const lower = slice(band.lower).map((v, k) => `L${toX(x0 + k).toFixed(1)},${toY(v).toFixed(1)}`).reverse().join(" ");
+          return <path key={`band-${bi}`} d={`${upper} ${lower} Z`} fill={band.color} opacity={0.15} stroke="none" />;
+        })}
         {data.map((series, si) => {
-          const path = series.values.map((v, i) => `${i === 0 ? "M" : "L"}${toX(i).toFixed(1)},${toY(v).toFixed(1)}`).join(" ");
+          if (!shown(si)) return null;
+          const path = slice(series.values).map((v, k) => `${k === 0 ? "M" : "L"}${toX(x0 + k).toFixed(1)},${toY(v).toFixed(1)}`).join(" ");
           return (
             <g key={si}>
               <path d={path} fill="none" stroke={colors[si]} strokeWidth={2} strokeLinecap="round" strokeLinejoin="round" opacity={0.9} strokeDasharray={dashed[si] ? "6,4" : "none"} />
-              <circle cx={toX(series.values.length - 1)} cy={toY(series.values[series.values.length - 1])} r={3} fill={colors[si]} />
+              <circle cx={toX(x1)} cy={toY(series.values[x1])} r={3} fill={colors[si]} />
             </g>
           );
         })}
-        <line x1={pad.left} x2={pad.left} y1={pad.top} y2={pad.top + h} stroke="#3a3d48" strokeWidth={1} />
-        <line x1={pad.left} x2={width - pad.right} y1={pad.top + h} y2={pad.top + h} stroke="#3a3d48" strokeWidth={1} />
-        {data[0].values.map((_, i) => {
-          if (i % 3 === 0 || i === data[0].values.length - 1) {
+        <line x1={pad.left} x2={pad.left} y1={pad.top} y2={pad.top + h} stroke={theme.axis} strokeWidth={1} />
+        <line x1={pad.left} x2={width - pad.right} y1={pad.top + h} y2={pad.top + h} stroke={theme.axis} strokeWidth={1} />
+        {Array.from({ length: x1 - x0 + 1 }, (_, k) => x0 + k).map(i => {
+          const every = Math.max(1, Math.ceil((x1 - x0) / 5));
+          // Always label the last point; skip a regular tick too close to it
+          if (i === x1 || ((i - x0) % every === 0 && x1 - i >= every / 2)) {
             return (
-              <text key={i} x={toX(i)} y={pad.top + h + 18} textAnchor="middle" fill="#5a5e6a" fontSize={10} fontFamily="'IBM Plex Mono', monospace">
-                {i === 0 ? "Now" : `+${i}y`}
+              <text key={i} x={toX(i)} y={pad.top + h + 18} textAnchor="middle" fill={theme.tick} fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+                {xLabels[i] ?? i}
               </text>
             );
           }
           return null;
         })}
+        {marker !== undefined && marker >= x0 && marker <= x1 && (
+          <g>
+            <line x1={toX(marker)} x2={toX(marker)} y1={pad.top} y2={pad.top + h} stroke="#9B8FFF" strokeWidth={1} strokeDasharray="3,3" />
+            <text x={toX(marker)} y={pad.top - 8} textAnchor="middle" fill="#9B8FFF" fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+              {xLabels[marker] ?? marker}
+            </text>
+          </g>
+        )}
+        {drag && drag.from !== drag.to && (
+          <rect x={toX(Math.min(drag.from, drag.to))} y={pad.top} width={Math.abs(toX(drag.to) - toX(drag.from))} height={h} fill="#9B8FFF" opacity={0.12} />
+        )}
+        {hoverIdx !== null && (
+          <g pointerEvents="none">
+            <line x1={toX(hoverIdx)} x2={toX(hoverIdx)} y1={pad.top} y2={pad.top + h} stroke={theme.muted} strokeWidth={1} />
+            {data.map((series, si) => shown(si) && (
+              <circle key={si} cx={toX(hoverIdx)} cy={toY(series.values[hoverIdx])} r={3.5} fill={theme.background} stroke={colors[si]} strokeWidth={1.5} />
+            ))}
+          </g>
+        )}
       </svg>
+      {hoverIdx !== null && (
+        <div style={{
+          position: "absolute", top: 28, left: `${(toX(hoverIdx) / width) * 100}%`, pointerEvents: "none",
+          transform: toX(hoverIdx) > width / 2 ? "translateX(calc(-100% - 10px))" : "translateX(10px)",
+          padding: "6px 10px", background: `${theme.background}ee`, border: `1px solid ${theme.grid}`, borderRadius: 6, whiteSpace: "nowrap",
+          fontSize: 10, fontFamily: "'IBM Plex Mono', monospace", color: theme.label,
+        }}>
+          <div style={{ color: theme.text, fontWeight: 600, marginBottom: 4 }}>{xLabels[hoverIdx] ?? hoverIdx}</div>
+          {data.map((series, si) => shown(si) && (
+            <div key={si} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={{ width: 8, height: 2, background: colors[si] }} />
+              <span style={{ flex: 1 }}>{legend?.[si] ?? `Series ${si + 1}`}</span>
+              <span style={{ color: theme.text, marginLeft: 8 }}>{formatY(series.values[hoverIdx])}</span>
+            </div>
+          ))}
+        </div>
+      )}
       {legend && (
         <div style={{ display: "flex", gap: 12, flexWrap: "wrap", padding: "4px 0 0 56px" }}>
           {legend.map((l, i) => (
-            <div key={i} style={{ display: "flex", alignItems: "center", gap: 5 }}>
+            <div key={i} onClick={() => toggleSeries(i)} title="Click to show or hide"
+              style={{ display: "flex", alignItems: "center", gap: 5, cursor: "pointer", opacity: shown(i) ? 1 : 0.35 }}>
               <svg width={14} height={4}><line x1={0} y1={2} x2={14} y2={2} stroke={colors[i]} strokeWidth={2} strokeDasharray={dashed[i] ? "4,3" : "none"} /></svg>
-              <span style={{ fontSize: 10, color: "#7a7e8a", fontFamily: "'IBM Plex Mono', monospace" }}>{l}</span>
+              <span style={{ fontSize: 10, color: theme.muted, fontFamily: "'IBM Plex Mono', monospace" }}>{l}</span>
             </div>
           ))}
         </div>
@@ -227,35 +544,49 @@ function MiniChart({ data, width = 400, height = 180, colors, legend, yFormat, l
 }
 
 // ── Intervention bars ────────────────────────────────────────────
-function InterventionBars({ interventions, width = 400 }) {
+function InterventionBars({ interventions, width = 400, exportName }) {
+  const theme = useContext(ChartThemeContext);
+  const svgRef = useRef(null);
   const pad = { top: 8, right: 20, bottom: 4, left: 120 };
   const barH = 22, gap = 10;
   const totalH = interventions.length * (barH + gap) + pad.top + pad.bottom;
   const w = width - pad.left - pad.right;
   return (
-    <svg width={width} height={totalH} viewBox={`0 0 ${width} ${totalH}`}>
-      {interventions.map((item, i) => {
-        const y = pad.top + i * (barH + gap);
-        const barW = (item.value / 100) * w;
-        return (
-          <g key={i} opacity={item.active ? 1 : 0.3}>
-            <text x={pad.left - 8} y={y + barH / 2 + 4} textAnchor="end" fill={item.active ? "#c4c8d4" : "#5a5e6a"} fontSize={11} fontFamily="'IBM Plex Mono', monospace">{item.name}</text>
-            <rect x={pad.left} y={y} width={w} height={barH} rx={3} fill="#1e2028" />
-            <rect x={pad.left} y={y} width={Math.max(0, barW)} height={barH} rx={3} fill={item.color} style={{ transition: "width 0.3s ease" }} />
-            <text x={pad.left + Math.max(0, barW) + 6} y={y + barH / 2 + 4} fill={item.active ? "#e8e0d4" : "#5a5e6a"} fontSize={11} fontFamily="'IBM Plex Mono', monospace" fontWeight={600}>{item.value.toFixed(0)}%</text>
-          </g>
-        );
-      })}
-    </svg>
+    <div>
+      {exportName && <div style={CHART_TOOLBAR}><FigureExportButtons svgRef={svgRef} name={exportName} /></div>}
+      <svg ref={svgRef} width={width} height={totalH} viewBox={`0 0 ${width} ${totalH}`}>
+        {interventions.map((item, i) => {
+          const y = pad.top + i * (barH + gap);
+          const barW = (item.value / 100) * w;
+          return (
+            <g key={i} opacity={item.active ? 1 : 0.3}>
+              <text x={pad.left - 8} y={y + barH / 2 + 4} textAnchor="end" fill={item.active ? theme.label : theme.tick} fontSize={11} fontFamily="'IBM Plex Mono', monospace">{item.name}</text>
+              <rect x={pad.left} y={y} width={w} height={barH} rx={3} fill={theme.surface} />
+              <rect x={pad.left} y={y} width={Math.max(0, barW)} height={barH} rx={3} fill={item.color} style={{ transition: "width 0.3s ease" }} />
+              <text x={pad.left + Math.max(0, barW) + 6} y={y + barH / 2 + 4} fill={item.active ? theme.text : theme.tick} fontSize={11} fontFamily="'IBM Plex Mono', monospace" fontWeight={600}>{item.value.toFixed(0)}%</text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
   );
 }
 
 // ── Threat heatmap ───────────────────────────────────────────────
-function ThreatHeatmap({ data, years, profiles, width = 400 }) {
+// With `range` ({ low, high } matrices) each cell also shows its P10–P90 spread.
+// With `diff`, cells are signed differences shown in percentage points.
+// `marker` outlines the column nearest that point (the evaluation year).
+// With `onSelect(profileIndex, pointIndex)` cells are clickable and the
+// `selected` cell ({ profileIndex, pointIndex }) is outlined.
+function ThreatHeatmap({ data, labels, profiles, width = 400, range, diff = false, marker, exportName, selected, onSelect }) {
+  const theme = useContext(ChartThemeContext);
+  const svgRef = useRef(null);
+  const years = labels.length;
   const maxCols = Math.min(years, 16);
   const step = years > maxCols ? Math.ceil(years / maxCols) : 1;
   const cols = [];
   for (let i = 0; i < years; i += step) cols.push(i);
+  const markerCol = marker === undefined ? -1 : clamp(Math.round(marker / step), 0, cols.length - 1);
   const cellW = Math.floor((width - 140) / cols.length);
   const cellH = 36;
   const pad = { left: 140, top: 28 };
@@ -265,231 +596,1201 @@ function ThreatHeatmap({ data, years, profiles, width = 400 }) {
     if (v < 0.75) return `rgba(232, 139, 110, ${0.4 + (v - 0.5) * 1.5})`;
     return `rgba(212, 93, 121, ${0.5 + (v - 0.75) * 2})`;
   };
+  const getDiffColor = (v) => v > 0
+    ? `rgba(212, 93, 121, ${0.15 + Math.min(1, v * 4) * 0.75})`
+    : `rgba(110, 207, 176, ${0.15 + Math.min(1, -v * 4) * 0.75})`;
+  return (
+    <div>
+      {exportName && <div style={CHART_TOOLBAR}><FigureExportButtons svgRef={svgRef} name={exportName} /></div>}
+      <svg ref={svgRef} width={width} height={pad.top + profiles.length * cellH + 20} viewBox={`0 0 ${width} ${pad.top + profiles.length * cellH + 20}`}>
+        {cols.map((yi, ci) => (
+          <text key={ci} x={pad.left + ci * cellW + cellW / 2} y={pad.top - 8} textAnchor="middle" fill={ci === markerCol ? "#9B8FFF" : theme.tick} fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+            {labels[yi]}
+          </text>
+        ))}
+        {markerCol >= 0 && (
+          <rect x={pad.left + markerCol * cellW} y={pad.top} width={cellW} height={profiles.length * cellH} rx={5} fill="none" stroke="#9B8FFF" strokeWidth={1.5} />
+        )}
+        {profiles.map((profile, pi) => (
+          <g key={pi}>
+            <text x={pad.left - 8} y={pad.top + pi * cellH + cellH / 2 + 4} textAnchor="end" fill={profile.color} fontSize={11} fontFamily="'IBM Plex Mono', monospace">{profile.name} ({fmtNum(profile.count)})</text>
+            {cols.map((yi, ci) => {
+              const v = data[pi][yi];
+              const isSelected = selected && selected.profileIndex === pi && yi <= selected.pointIndex && selected.pointIndex < yi + step;
+              return (
+                <g key={ci} onClick={onSelect && (() => onSelect(pi, yi))} style={onSelect && { cursor: "pointer" }}>
+                  <rect x={pad.left + ci * cellW + 1} y={pad.top + pi * cellH + 1} width={cellW - 2} height={cellH - 2} rx={4} fill={diff ? getDiffColor(v) : getColor(v)}
+                    stroke={isSelected ? theme.text : "none"} strokeWidth={1.5} style={{ transition: "fill 0.3s ease" }} />
+                  <text x={pad.left + ci * cellW + cellW / 2} y={pad.top + pi * cellH + cellH / 2 + (range ? 0 : 4)} textAnchor="middle" fill={theme.text} fontSize={10} fontFamily="'IBM Plex Mono', monospace" fontWeight={500}>
+                    {diff ? `${v > 0.005 ? "+" : ""}${(v * 100).toFixed(0)}` : `${(v * 100).toFixed(0)}%`}
+                  </text>
+                  {range && (
+                    <text x={pad.left + ci * cellW + cellW / 2} y={pad.top + pi * cellH + cellH / 2 + 11} textAnchor="middle" fill={theme.label} fontSize={7} fontFamily="'IBM Plex Mono', monospace">
+                      {(range.low[pi][yi] * 100).toFixed(0)}–{(range.high[pi][yi] * 100).toFixed(0)}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+// ── Attack chain breakdown ───────────────────────────────────────
+// Per-stage success behind one threat-matrix cell, for both paths, at the
+// profile's median budget. The path the attacker takes is highlighted. With a
+// chance of holding the weights (`access`, see weightAccess), the obtained
+// weights get a column per safeguard state.
+const fmtChance = (v) => `${(v * 100).toFixed(v > 0 && v < 0.1 ? 1 : 0)}%`;
+const WEIGHT_STATES = { safeguarded: "safeguarded", unsafeguarded: "stripped" };
+
+function AttackChainBreakdown({ params, point, profile, label, cellValue, access, onClose }) {
+  const ownPaths = attackPaths(params, point, profile.budget, profile.skill);
+  const chosen = chosenPath(params, ownPaths);
+  const weightPaths = Object.keys(WEIGHT_STATES).filter(state => access?.[state] > 0).map(state => ({
+    ...attackPaths(params, { ...point, weights: state }, profile.budget, profile.skill).find(x => x.path === "weights"), weights: state,
+  }));
+  const paths = [...ownPaths, ...weightPaths];
+  const cell = { padding: "4px 6px", verticalAlign: "top" };
+  const pathCell = (x) => ({ ...cell, color: x === chosen ? "#e8e0d4" : "#7a7e8a", background: x === chosen ? `${profile.color}14` : "transparent" });
+  return (
+    <div style={{ padding: "12px 14px", background: "#14161c", borderRadius: 8, marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 6 }}>
+        <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a" }}>
+          ATTACK CHAIN · <span style={{ color: profile.color }}>{profile.name}</span> · {label}
+        </div>
+        {onClose && <button onClick={onClose} title="Back to the reference profile in the evaluation year" style={{ background: "none", border: "none", color: "#7a7e8a", cursor: "pointer", fontSize: 12 }}>✕</button>}
+      </div>
+      <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 10, lineHeight: 1.5 }}>
+        At the {profile.budgetModel === "point" ? "" : "median "}budget of {fmt(profile.budget)}, {chosen
+          ? <>this profile takes the <span style={{ color: "#c4c8d4" }}>{ATTACK_PATHS[chosen.path].label.toLowerCase()}</span> path and succeeds {fmtChance(chosen.threat)} of the time.</>
+          : "this profile can afford neither path."}
+        {weightPaths.length > 0 && ` Holding the weights, it uses them instead (${weightPaths.map(x => `${fmtChance(access[x.weights])} chance, ${WEIGHT_STATES[x.weights]}`).join("; ")}).`}
+        {" "}The cell shows {fmtChance(cellValue)}{profile.budgetModel === "point" ? "" : ", averaged over the budget distribution"}.
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+        <thead>
+          <tr style={{ color: "#7a7e8a", textAlign: "left" }}>
+            <th style={{ ...cell, fontWeight: 400 }}>Stage</th>
+            <th style={{ ...cell, fontWeight: 400 }}>Base</th>
+            {paths.map(x => (
+              <th key={x.weights ?? x.path} style={{ ...pathCell(x), fontWeight: 400 }}>
+                {ATTACK_PATHS[x.path].label}{x.weights && `, ${WEIGHT_STATES[x.weights]}`}{x === chosen && " ●"}{!x.affordable && " (can't afford)"}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {ATTACK_STAGES.map((stage, k) => (
+            <tr key={stage.id} style={{ borderTop: "1px solid #2a2d38" }} title={stage.description}>
+              <td style={{ ...cell, color: "#c4c8d4" }}>{stage.label}</td>
+              <td style={{ ...cell, color: "#c4c8d4" }}>{fmtChance(paths[0].chain.stages[k].base)}</td>
+              {paths.map(x => {
+                const { success, interventions } = x.chain.stages[k];
+                return (
+                  <td key={x.weights ?? x.path} style={pathCell(x)}>
+                    {fmtChance(success)}
+                    {interventions.filter(iv => iv.strength > 0).map(iv => (
+                      <div key={iv.name} style={{ fontSize: 10, color: "#6ECFB0" }}>{iv.name} −{fmtChance(iv.strength)}</div>
+                    ))}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          {params.skillBarrier && (
+            <tr style={{ borderTop: "1px solid #2a2d38" }}>
+              <td style={{ ...cell, color: "#c4c8d4" }}>Has the skill</td>
+              <td style={{ ...cell, color: "#5a5e6a" }}>—</td>
+              {paths.map(x => <td key={x.weights ?? x.path} style={pathCell(x)}>{fmtChance(x.skillOdds)}</td>)}
+            </tr>
+          )}
+          <tr style={{ borderTop: "1px solid #3a3d48" }}>
+            <td style={{ ...cell, color: "#e8e0d4", fontWeight: 600 }}>Overall</td>
+            <td style={cell} />
+            {paths.map(x => <td key={x.weights ?? x.path} style={{ ...pathCell(x), fontWeight: 600 }}>{x.affordable ? fmtChance(x.threat) : "—"}</td>)}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ── Tornado chart ────────────────────────────────────────────────
+// One bar per parameter, drawn from the base value to the metric's value at
+// the parameter's slider min (purple) and max (green).
+function TornadoChart({ rows, baseValue, width = 400, format }) {
+  const pad = { top: 8, right: 60, bottom: 24, left: 160 };
+  const barH = 16, gap = 6;
+  const totalH = rows.length * (barH + gap) + pad.top + pad.bottom;
+  const w = width - pad.left - pad.right;
+  const allX = [baseValue, ...rows.flatMap(r => [r.atMin, r.atMax])];
+  const minX = Math.min(...allX);
+  const maxX = Math.max(...allX);
+  const toX = (v) => pad.left + ((v - minX) / (maxX - minX || 1)) * w;
+  const fmtV = format || (v => v.toFixed(1));
+  return (
+    <svg width={width} height={totalH} viewBox={`0 0 ${width} ${totalH}`}>
+      {rows.map((row, i) => {
+        const y = pad.top + i * (barH + gap);
+        const seg = (v, color) => (
+          <rect x={Math.min(toX(baseValue), toX(v))} y={y} width={Math.max(1, Math.abs(toX(v) - toX(baseValue)))} height={barH} rx={2} fill={color} opacity={0.8} />
+        );
+        return (
+          <g key={row.key}>
+            <text x={pad.left - 8} y={y + barH / 2 + 4} textAnchor="end" fill={row.isThreshold ? "#F2C46D" : "#c4c8d4"} fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+              {row.isThreshold ? "⚑ " : ""}{row.label}
+            </text>
+            {seg(row.atMin, "#9B8FFF")}
+            {seg(row.atMax, "#6ECFB0")}
+            <text x={width - pad.right + 6} y={y + barH / 2 + 4} fill="#7a7e8a" fontSize={9} fontFamily="'IBM Plex Mono', monospace">±{fmtV(row.swing / 2)}</text>
+          </g>
+        );
+      })}
+      <line x1={toX(baseValue)} x2={toX(baseValue)} y1={pad.top - 4} y2={totalH - pad.bottom} stroke="#e8e0d4" strokeWidth={1} strokeDasharray="3,3" />
+      <text x={toX(baseValue)} y={totalH - 8} textAnchor="middle" fill="#7a7e8a" fontSize={10} fontFamily="'IBM Plex Mono', monospace">base {fmtV(baseValue)}</text>
+    </svg>
+  );
+}
+
+// ── Histogram ────────────────────────────────────────────────────
+function Histogram({ bins, width = 400, height = 160, colorFor, xFormat }) {
+  const pad = { top: 12, right: 20, bottom: 28, left: 40 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const maxCount = Math.max(1, ...bins.map(b => b.count));
+  const barW = w / bins.length;
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      {bins.map((bin, i) => {
+        const barH = (bin.count / maxCount) * h;
+        return (
+          <g key={i}>
+            <rect x={pad.left + i * barW + 1} y={pad.top + h - barH} width={barW - 2} height={barH} rx={2} fill={colorFor ? colorFor(bin) : "#9B8FFF"} opacity={0.8} style={{ transition: "all 0.3s ease" }} />
+            {bin.count > 0 && (
+              <text x={pad.left + i * barW + barW / 2} y={pad.top + h - barH - 3} textAnchor="middle" fill="#7a7e8a" fontSize={9} fontFamily="'IBM Plex Mono', monospace">{bin.count}</text>
+            )}
+            <text x={pad.left + i * barW} y={pad.top + h + 16} textAnchor="middle" fill="#5a5e6a" fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+              {xFormat ? xFormat(bin.lo) : bin.lo}
+            </text>
+          </g>
+        );
+      })}
+      <text x={pad.left + w} y={pad.top + h + 16} textAnchor="middle" fill="#5a5e6a" fontSize={10} fontFamily="'IBM Plex Mono', monospace">
+        {xFormat ? xFormat(bins[bins.length - 1].hi) : bins[bins.length - 1].hi}
+      </text>
+      <line x1={pad.left} x2={pad.left + w} y1={pad.top + h} y2={pad.top + h} stroke="#3a3d48" strokeWidth={1} />
+    </svg>
+  );
+}
+
+// ── Cost-curve fit chart ─────────────────────────────────────────
+// Observed costs against the fitted curve on a log axis, with each point's
+// log residual (observed ÷ fitted) in a strip underneath
+function FitChart({ points, fit, fromYear, toYear, startYear, color, width = 560, exportName }) {
+  const theme = useContext(ChartThemeContext);
+  const svgRef = useRef(null);
+  const pad = { top: 16, right: 20, bottom: 28, left: 56 };
+  const mainH = 200, residualH = 64, gap = 30;
+  const height = pad.top + mainH + gap + residualH + pad.bottom;
+  const w = width - pad.left - pad.right;
+  const curve = Array.from({ length: 121 }, (_, k) => fromYear + (k / 120) * (toYear - fromYear)).map(year => ({ year, cost: fit.costAt(year) }));
+  const logs = [...points, ...curve].map(p => Math.log10(p.cost));
+  const [lo, hi] = [Math.floor(Math.min(...logs)), Math.ceil(Math.max(...logs))];
+  const toX = (year) => pad.left + ((year - fromYear) / (toYear - fromYear)) * w;
+  const toY = (cost) => pad.top + mainH - ((Math.log10(cost) - lo) / Math.max(hi - lo, 1)) * mainH;
+  const residualTop = pad.top + mainH + gap;
+  const residualMax = Math.max(0.1, ...fit.residuals.map(Math.abs));
+  const toResidualY = (r) => residualTop + residualH / 2 - (r / residualMax) * (residualH / 2);
+  const factorLabel = (r) => `${r >= 0 ? "×" : "÷"}${(10 ** Math.abs(r)).toFixed(2)}`;
+  const yearStep = Math.max(1, Math.ceil((toYear - fromYear) / 6));
+  const yearTicks = Array.from({ length: Math.floor((toYear - Math.ceil(fromYear)) / yearStep) + 1 }, (_, k) => Math.ceil(fromYear) + k * yearStep);
+  const mono = "'IBM Plex Mono', monospace";
+  return (
+    <div>
+      {exportName && (
+        <div style={CHART_TOOLBAR}>
+          <FigureExportButtons svgRef={svgRef} name={exportName} legend={[{ label: "Observed", color }, { label: "Fitted curve", color: theme.label }]} />
+        </div>
+      )}
+      <svg ref={svgRef} width="100%" viewBox={`0 0 ${width} ${height}`} style={{ maxWidth: width, display: "block" }}>
+        {Array.from({ length: hi - lo + 1 }, (_, k) => lo + k).map(e => (
+          <g key={e}>
+            <line x1={pad.left} x2={width - pad.right} y1={toY(10 ** e)} y2={toY(10 ** e)} stroke={theme.grid} strokeWidth={0.5} />
+            <text x={pad.left - 6} y={toY(10 ** e) + 3} textAnchor="end" fill={theme.tick} fontSize={10} fontFamily={mono}>{fmt(10 ** e)}</text>
+          </g>
+        ))}
+        <line x1={pad.left} x2={pad.left} y1={pad.top} y2={pad.top + mainH} stroke={theme.axis} strokeWidth={1} />
+        <line x1={toX(startYear)} x2={toX(startYear)} y1={pad.top} y2={pad.top + mainH} stroke="#9B8FFF" strokeWidth={1} strokeDasharray="3,3" />
+        <text x={toX(startYear)} y={pad.top - 4} textAnchor="middle" fill="#9B8FFF" fontSize={10} fontFamily={mono}>start {startYear}</text>
+        <path d={curve.map((p, k) => `${k ? "L" : "M"}${toX(p.year)},${toY(p.cost)}`).join(" ")} fill="none" stroke={theme.label} strokeWidth={1.5} />
+        {points.map((p, k) => (
+          <circle key={k} cx={toX(p.year)} cy={toY(p.cost)} r={3.5} fill={color}>
+            <title>{`${p.year}: ${fmt(p.cost)} observed, ${fmt(fit.predicted[k])} fitted (${factorLabel(fit.residuals[k])})`}</title>
+          </circle>
+        ))}
+
+        <text x={pad.left} y={residualTop - 8} fill={theme.muted} fontSize={10} fontFamily={mono}>Residual (observed ÷ fitted)</text>
+        <line x1={pad.left} x2={width - pad.right} y1={toResidualY(0)} y2={toResidualY(0)} stroke={theme.axis} strokeWidth={1} />
+        {[residualMax, -residualMax].map(r => (
+          <text key={r} x={pad.left - 6} y={toResidualY(r) + 3} textAnchor="end" fill={theme.tick} fontSize={10} fontFamily={mono}>{factorLabel(r)}</text>
+        ))}
+        {points.map((p, k) => (
+          <g key={k}>
+            <line x1={toX(p.year)} x2={toX(p.year)} y1={toResidualY(0)} y2={toResidualY(fit.residuals[k])} stroke={color} strokeWidth={1.5} />
+            <circle cx={toX(p.year)} cy={toResidualY(fit.residuals[k])} r={2.5} fill={color} />
+          </g>
+        ))}
+        {yearTicks.map(year => (
+          <text key={year} x={toX(year)} y={residualTop + residualH + 18} textAnchor="middle" fill={theme.tick} fontSize={10} fontFamily={mono}>{year}</text>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+// ── Distribution editor ──────────────────────────────────────────
+function DistributionRow({ label, dist, onChange, onRemove }) {
+  const inputStyle = { width: 70, padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" };
+  // Typed field values; the distribution only changes once they make a valid one
+  const [typed, setTyped] = useState({});
+  const withTyped = (t) => ({ ...dist, ...Object.fromEntries(Object.entries(t).map(([f, v]) => [f, v.trim() === "" ? NaN : Number(v)])) });
+  const error = validateDistribution(withTyped(typed));
+  const editField = (field, value) => {
+    const next = { ...typed, [field]: value };
+    setTyped(next);
+    if (!validateDistribution(withTyped(next))) onChange(withTyped(next));
+  };
+  const changeType = (type) => {
+    setTyped({});
+    // Re-seed the new type's fields from the old distribution's centre
+    const centre = dist.mode ?? dist.median ?? dist.mean ?? (dist.min + dist.max) / 2;
+    const seeds = {
+      uniform: { min: centre * 0.5, max: centre * 1.5 },
+      normal: { mean: centre, sd: Math.abs(centre) * 0.25 },
+      lognormal: { median: centre, sigma: 0.5 },
+      triangular: { min: centre * 0.5, mode: centre, max: centre * 1.5 },
+    };
+    onChange({ type, ...seeds[type] });
+  };
   return (
-    <svg width={width} height={pad.top + profiles.length * cellH + 20} viewBox={`0 0 ${width} ${pad.top + profiles.length * cellH + 20}`}>
-      {cols.map((yi, ci) => (
-        <text key={ci} x={pad.left + ci * cellW + cellW / 2} y={pad.top - 8} textAnchor="middle" fill="#5a5e6a" fontSize={10} fontFamily="'IBM Plex Mono', monospace">
-          {yi === 0 ? "Now" : `+${yi}y`}
-        </text>
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+      <span style={{ fontSize: 11, color: "#c4c8d4", fontFamily: "'IBM Plex Mono', monospace", width: 160 }}>{label}</span>
+      <select value={dist.type} onChange={e => changeType(e.target.value)} style={{ ...inputStyle, width: 100 }}>
+        {Object.entries(DISTRIBUTION_TYPES).map(([type, def]) => <option key={type} value={type}>{def.label}</option>)}
+      </select>
+      {DISTRIBUTION_TYPES[dist.type].fields.map(field => (
+        <label key={field} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 10, color: "#7a7e8a" }}>
+          {field}
+          <input type="number" value={typed[field] ?? dist[field]} step="any" style={{ ...inputStyle, borderColor: error ? "#D45D79" : "#2a2d38" }}
+            onChange={e => editField(field, e.target.value)} />
+        </label>
       ))}
-      {profiles.map((profile, pi) => (
-        <g key={pi}>
-          <text x={pad.left - 8} y={pad.top + pi * cellH + cellH / 2 + 4} textAnchor="end" fill={profile.color} fontSize={11} fontFamily="'IBM Plex Mono', monospace">{profile.name} ({fmtNum(profile.count)})</text>
-          {cols.map((yi, ci) => {
-            const v = data[pi][yi];
-            return (
-              <g key={ci}>
-                <rect x={pad.left + ci * cellW + 1} y={pad.top + pi * cellH + 1} width={cellW - 2} height={cellH - 2} rx={4} fill={getColor(v)} style={{ transition: "fill 0.3s ease" }} />
-                <text x={pad.left + ci * cellW + cellW / 2} y={pad.top + pi * cellH + cellH / 2 + 4} textAnchor="middle" fill="#e8e0d4" fontSize={10} fontFamily="'IBM Plex Mono', monospace" fontWeight={500}>{(v * 100).toFixed(0)}%</text>
-              </g>
-            );
-          })}
-        </g>
+      <button onClick={onRemove} style={{ background: "none", border: "none", color: "#D45D79", cursor: "pointer", fontSize: 12 }}>✕</button>
+      {error && <span style={{ fontSize: 10, color: "#D45D79" }}>{error} — still sampling the last valid values</span>}
+    </div>
+  );
+}
+
+// ── Chokepoint editor ────────────────────────────────────────────
+function ChokepointRow({ chokepoint, onChange, onRemove }) {
+  const inputStyle = { width: 70, padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" };
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+      <input type="color" value={chokepoint.color} onChange={e => onChange({ color: e.target.value })} title="Color"
+        style={{ width: 18, height: 18, padding: 0, border: "none", background: "none", cursor: "pointer" }} />
+      <input type="text" value={chokepoint.name} onChange={e => onChange({ name: e.target.value })} style={{ ...inputStyle, width: 170 }} />
+      {Object.entries(CHOKEPOINT_FIELDS).map(([field, def]) => (
+        <label key={field} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 10, color: "#7a7e8a" }}>
+          {def.label}{def.unit ? ` (${def.unit})` : ""}
+          <input type="number" value={chokepoint[field]} min={def.min} max={def.max} step="any" style={inputStyle}
+            onChange={e => onChange({ [field]: clamp(parseFloat(e.target.value) || 0, def.min, def.max) })} />
+        </label>
       ))}
-    </svg>
+      <input type="text" value={chokepoint.note} onChange={e => onChange({ note: e.target.value })} placeholder="Note" style={{ ...inputStyle, width: 170 }} />
+      <button onClick={onRemove} title="Delete chokepoint" style={{ background: "none", border: "none", color: "#D45D79", cursor: "pointer", fontSize: 12 }}>✕</button>
+    </div>
+  );
+}
+
+// ── Benchmark editor ─────────────────────────────────────────────
+function BenchmarkRow({ benchmark, onChange, onRemove }) {
+  const inputStyle = { width: 70, padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" };
+  const number = (field, label, width = 70) => (
+    <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 10, color: "#7a7e8a" }}>
+      {label}
+      <input type="number" value={benchmark[field]} step="any" style={{ ...inputStyle, width }}
+        onChange={e => {
+          const v = parseFloat(e.target.value);
+          if (v >= BENCHMARK_RANGES[field].min && v <= BENCHMARK_RANGES[field].max) onChange({ [field]: v });
+        }} />
+    </label>
+  );
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, paddingBottom: 8, flexWrap: "wrap", borderBottom: "1px solid #2a2d38" }}>
+      <input type="text" value={benchmark.method} onChange={e => onChange({ method: e.target.value })} style={{ ...inputStyle, width: 150 }} />
+      {number("stepsToBreak", "steps", 80)}
+      {number("modelSizeB", "size (B)", 50)}
+      <input type="text" value={benchmark.hardware} onChange={e => onChange({ hardware: e.target.value })} placeholder="Hardware" style={{ ...inputStyle, width: 60 }} />
+      <select value={benchmark.attackType} onChange={e => onChange({ attackType: e.target.value })} style={{ ...inputStyle, width: 100 }}>
+        {Object.entries(ATTACK_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+      </select>
+      {number("year", "year", 55)}
+      <select value={benchmark.confidence} onChange={e => onChange({ confidence: e.target.value })} style={{ ...inputStyle, width: 75 }}>
+        {CONFIDENCE_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+      </select>
+      <input type="text" value={benchmark.citation} onChange={e => onChange({ citation: e.target.value })} placeholder="Citation" style={{ ...inputStyle, flex: 1, minWidth: 160 }} />
+      <button onClick={onRemove} title="Delete benchmark" style={{ background: "none", border: "none", color: "#D45D79", cursor: "pointer", fontSize: 12 }}>✕</button>
+    </div>
+  );
+}
+
+const BENCHMARK_COLORS = ["#D45D79", "#E88B6E", "#F2C46D", "#9B8FFF", "#4AA88D"];
+const CONFIDENCE_OPACITY = { low: 0.3, medium: 0.6, high: 0.9 };
+
+// Evaluation-year playback speed
+const PLAYBACK_MS_PER_YEAR = 700;
+
+// Profiles below this skill (graduate level) count as novices in the uplift breakdown
+const NOVICE_SKILL = 6;
+
+const CURVE_FAMILY_COLORS = { damped: "#9B8FFF", logistic: "#F2C46D", wright: "#6ECFB0", piecewise: "#E88B6E" };
+
+const SCENARIO_COLORS = ["#6ECFB0", "#9B8FFF", "#F2C46D", "#E88B6E", "#D45D79", "#4AA88D"];
+
+// Heatmap props for scenario − baseline, over the profiles and calendar
+// periods both scenarios cover
+function threatDiff(scenario, baseline) {
+  const rows = scenario.attackerProfiles
+    .map((a, pi) => [a, pi, baseline.attackerProfiles.findIndex(b => b.id === a.id)])
+    .filter(([, , bi]) => bi >= 0);
+  const cols = scenario.calendarYears
+    .map((y, yi) => [yi, baseline.calendarYears.findIndex(b => Math.abs(b - y) < 1e-6)])
+    .filter(([, bj]) => bj >= 0);
+  return {
+    profiles: rows.map(([a]) => a),
+    labels: cols.map(([yi]) => fmtPeriod(scenario.calendarYears[yi], scenario.stepsPerYear)),
+    data: rows.map(([, pi, bi]) => cols.map(([yi, bj]) => scenario.threatMatrix[pi][yi] - baseline.threatMatrix[bi][bj])),
+  };
+}
+
+// Cost chart props for the compared scenarios over the calendar periods all
+// of them cover, at the first scenario's resolution
+function compareCostSeries(compared) {
+  const [first] = compared;
+  const cols = first.results.calendarYears
+    .map((y, yi) => [yi, compared.map(c => c.results.calendarYears.findIndex(b => Math.abs(b - y) < 1e-6))])
+    .filter(([, idx]) => idx.every(j => j >= 0));
+  return {
+    data: compared.flatMap((c, ci) => [c.results.trainingCosts, c.results.breakCostsOverTime].map(series => ({ values: cols.map(([, idx]) => series[idx[ci]]) }))),
+    xLabels: cols.map(([yi]) => fmtPeriod(first.results.calendarYears[yi], first.results.stepsPerYear)),
+    marker: cols.findIndex(([yi]) => yi === first.results.evaluationIdx),
+  };
+}
+
+// ── Printable report ─────────────────────────────────────────────
+// One light page with the parameters, charts, findings, chokepoints and
+// methodology, laid out to save cleanly to PDF from the browser's print dialog.
+const REPORT_CSS = `
+  .report-prose, .report-prose * { color: #1a1c24 !important; }
+  .report-prose [style*="background"] { background: #f3f4f6 !important; }
+  .report table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  .report th, .report td { padding: 4px 6px; border-bottom: 1px solid #e2e4ea; text-align: left; vertical-align: top; }
+  .report th { color: #5a5e6a; font-weight: 500; }
+  @media print {
+    body { background: #ffffff !important; }
+    .no-print { display: none !important; }
+    .report-figure, .report tr { break-inside: avoid; }
+    .report h2 { break-after: avoid; }
+    @page { margin: 14mm; }
+  }
+`;
+
+function ScenarioReport({ params, results, periodLabels, evalLabel, insights, chokepointItems, weakestLink, methodology, onClose }) {
+  const reportSection = { marginBottom: 28 };
+  const h2 = { fontSize: 14, fontFamily: "'Space Mono', monospace", margin: "0 0 10px", paddingBottom: 4, borderBottom: "2px solid #14161c" };
+  const caption = { fontSize: 11, color: "#5a5e6a", margin: "4px 0 16px" };
+  const button = { padding: "6px 12px", border: "1px solid #c4c8d4", borderRadius: 6, background: "#ffffff", color: "#14161c", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", cursor: "pointer" };
+  const figure = (title, chart, note) => (
+    <div className="report-figure" style={{ marginBottom: 8 }}>
+      <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 4 }}>{title}</div>
+      {chart}
+      {note && <div style={caption}>{note}</div>}
+    </div>
+  );
+
+  return (
+    <ChartThemeContext.Provider value={CHART_THEMES.print}>
+      <div className="report" style={{ minHeight: "100vh", background: "#ffffff", color: "#14161c", fontFamily: "'IBM Plex Sans', sans-serif", padding: "24px 16px" }}>
+        <style>{REPORT_CSS}</style>
+        <div style={{ maxWidth: 720, margin: "0 auto" }}>
+          <div className="no-print" style={{ display: "flex", justifyContent: "space-between", marginBottom: 24 }}>
+            <button onClick={onClose} style={button}>← Back to dashboard</button>
+            <button onClick={() => window.print()} style={{ ...button, background: "#14161c", color: "#ffffff" }}>Print / Save as PDF</button>
+          </div>
+
+          <h1 style={{ fontSize: 22, fontFamily: "'Space Mono', monospace", margin: "0 0 6px" }}>Biosecurity × AI Risk Explorer — scenario report</h1>
+          <div style={{ fontSize: 11, color: "#5a5e6a", fontFamily: "'IBM Plex Mono', monospace", marginBottom: 24, lineHeight: 1.6 }}>
+            Generated {new Date().toLocaleDateString()} · Model {MODEL_VERSION} · Evaluated at {evalLabel}
+            <br />
+            <span style={{ wordBreak: "break-all" }}>{window.location.href}</span>
+          </div>
+
+          <div style={reportSection}>
+            <h2 style={h2}>Summary</h2>
+            <p style={{ fontSize: 13, lineHeight: 1.6, margin: "0 0 10px" }}>
+              Safeguard relevance: <strong>{results.relevanceScore.toFixed(0)}/100 ({results.relevanceLevel})</strong>. {results.relevanceReason}.
+            </p>
+            <ul style={{ fontSize: 12, lineHeight: 1.6, margin: 0, paddingLeft: 18 }}>
+              {Object.values(insights).map((text, i) => <li key={i}>{text}</li>)}
+            </ul>
+          </div>
+
+          <div style={reportSection}>
+            <h2 style={h2}>Charts</h2>
+            {figure("Compute cost trajectories", (
+              <MiniChart
+                data={[{ values: results.trainingCosts }, { values: results.fineTuneCosts }, { values: results.trainingCostsNaive }, { values: results.fineTuneCostsNaive }]}
+                width={680} height={260} xLabels={periodLabels} marker={results.evaluationIdx} exportName="cost-trajectories"
+                colors={["#D45D79", "#6ECFB0", "#D45D79", "#6ECFB0"]} dashed={[false, false, true, true]}
+                legend={["Train (w/ limits)", "Fine-tune (w/ limits)", "Train (naive)", "Fine-tune (naive)"]}
+                yFormat={fmt} logScale={true}
+                refLines={results.attackerProfiles.map(a => ({ value: a.budget, label: `${a.name} ${fmt(a.budget)}`, color: a.color }))}
+              />
+            ), "Solid = with physical limits · Dashed = naive exponential · Dotted = attacker budgets")}
+            {figure("Decay rate slowdown", (
+              <MiniChart
+                data={[{ values: results.trainingRates }, { values: results.fineTuneRates }]}
+                width={680} height={200} xLabels={periodLabels} marker={results.evaluationIdx} exportName="decay-rates"
+                colors={["#D45D79", "#6ECFB0"]} legend={["Training ×/yr", "Fine-tuning ×/yr"]} yFormat={v => `${v.toFixed(1)}×`}
+              />
+            ))}
+            {figure("Residual threat by attacker type", (
+              <ThreatHeatmap data={results.threatMatrix} labels={periodLabels} marker={results.evaluationIdx} profiles={results.attackerProfiles} width={680} exportName="threat-matrix" />
+            ), "Probability of successful attack after all interventions")}
+            {figure("Probability of at least one successful attack", (
+              <MiniChart
+                data={[{ values: results.cumulativeRisk }]} width={680} height={200} xLabels={periodLabels} marker={results.evaluationIdx} exportName="cumulative-risk"
+                colors={["#D45D79"]} legend={["P(≥1 success)"]} yFormat={fmtChance}
+              />
+            ), `Attempt rate ${PARAM_FORMATS.sharePerYear(params.attemptRate)} per actor, summed over every attacker profile`)}
+            {figure(`Marginal intervention value in ${evalLabel}`, (
+              <InterventionBars interventions={results.interventionValues} width={680} exportName="intervention-value" />
+            ))}
+          </div>
+
+          <div style={reportSection}>
+            <h2 style={h2}>Chokepoints in {evalLabel}</h2>
+            <table>
+              <thead><tr><th>Barrier</th><th>Cost to bypass</th><th>Note</th></tr></thead>
+              <tbody>
+                {chokepointItems.map(item => (
+                  <tr key={item.id}>
+                    <td>{item.name}{item.id === weakestLink.id && <strong> — weakest link</strong>}</td>
+                    <td style={{ fontFamily: "'IBM Plex Mono', monospace" }}>{fmt(item.cost)}</td>
+                    <td style={{ color: "#5a5e6a" }}>{item.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={reportSection}>
+            <h2 style={h2}>Parameters</h2>
+            <table>
+              <thead><tr><th>Parameter</th><th>Value</th><th>Default</th></tr></thead>
+              <tbody>
+                {Object.entries(PARAM_GROUPS).flatMap(([group, { label }]) => [
+                  <tr key={group}><td colSpan={3} style={{ fontWeight: 600, paddingTop: 10 }}>{label}</td></tr>,
+                  ...PARAM_SCHEMA.filter(def => def.group === group && isParamActive(def, params)).map(def => (
+                    <tr key={def.key}>
+                      <td>{def.label}</td>
+                      <td style={{ fontFamily: "'IBM Plex Mono', monospace", fontWeight: isParamModified(def, params[def.key]) ? 600 : 400 }}>{formatParamValue(def, params[def.key])}</td>
+                      <td style={{ fontFamily: "'IBM Plex Mono', monospace", color: "#5a5e6a" }}>{formatParamValue(def, def.default)}</td>
+                    </tr>
+                  )),
+                ])}
+              </tbody>
+            </table>
+            <div style={{ fontSize: 12, fontWeight: 600, margin: "16px 0 4px" }}>Attacker profiles</div>
+            <table>
+              <thead><tr><th>Profile</th><th>Actors</th><th>Budget each</th>{params.skillBarrier && <th>Skill</th>}<th>Notes</th></tr></thead>
+              <tbody>
+                {results.attackerProfiles.map(a => (
+                  <tr key={a.id}>
+                    <td>{a.name}{a.id === results.referenceProfile?.id && " (reference)"}</td>
+                    <td style={{ fontFamily: "'IBM Plex Mono', monospace" }}>{fmtNum(a.count)}</td>
+                    <td style={{ fontFamily: "'IBM Plex Mono', monospace" }}>{fmtBudget(a)}</td>
+                    {params.skillBarrier && <td style={{ fontFamily: "'IBM Plex Mono', monospace" }}>{PARAM_FORMATS.skill(a.skill)}</td>}
+                    <td style={{ color: "#5a5e6a" }}>{a.notes}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={reportSection} className="report-prose">
+            <h2 style={h2}>Methodology and references</h2>
+            {methodology}
+          </div>
+        </div>
+      </div>
+    </ChartThemeContext.Provider>
   );
 }
 
 // ── Main ─────────────────────────────────────────────────────────
 export default function ModelSafeguardsDashboard() {
-  // Model & compute params
-  const [modelSize, setModelSize] = useState(40);
-  const [trainingCostBase, setTrainingCostBase] = useState(20);
-  const [fineTuneCostBase, setFineTuneCostBase] = useState(0.5);
-  const [trainingDecayRate, setTrainingDecayRate] = useState(2.5);
-  const [fineTuneDecayRate, setFineTuneDecayRate] = useState(4);
-  const [trainingDamping, setTrainingDamping] = useState(0.15);
-  const [fineTuneDamping, setFineTuneDamping] = useState(0.12);
-  const [trainingFloor, setTrainingFloor] = useState(50);
-  const [fineTuneFloor, setFineTuneFloor] = useState(0.01);
-  
-  // Capability params
-  const [dangerousCapThreshold, setDangerousCapThreshold] = useState(10);
-  const [noveltyRequiresScale, setNoveltyRequiresScale] = useState(true);
-  
-  // Attacker populations (tunable)
-  const [loneActorCount, setLoneActorCount] = useState(10000);
-  const [smallGroupCount, setSmallGroupCount] = useState(100);
-  const [fundedOrgCount, setFundedOrgCount] = useState(20);
-  const [stateActorCount, setStateActorCount] = useState(15);
-  
-  // Attacker budgets (tunable)
-  const [loneActorBudget, setLoneActorBudget] = useState(1000);
-  const [smallGroupBudget, setSmallGroupBudget] = useState(50000);
-  const [fundedOrgBudget, setFundedOrgBudget] = useState(2000000);
-  const [stateActorBudget, setStateActorBudget] = useState(500000000);
-  
-  // Safeguard robustness crux
-  const [stepsToBreak, setStepsToBreak] = useState(10000);
-  const [gpuHourCost, setGpuHourCost] = useState(2);
-  const [safeguardBudgetThreshold, setSafeguardBudgetThreshold] = useState(1000);
-  
-  // Intervention params
-  const [safeguardStrength, setSafeguardStrength] = useState(70);
-  const [screeningCoverage, setScreeningCoverage] = useState(40);
-  const [screeningNovelDetect, setScreeningNovelDetect] = useState(30);
-  const [computeGovThreshold, setComputeGovThreshold] = useState(1);
-  const [surveillanceEff, setSurveillanceEff] = useState(50);
-
-  const YEARS = 15;
-
-  // Build attacker profiles from tunable params
-  const attackerProfiles = useMemo(() => [
-    { name: "Lone actor", budget: loneActorBudget, count: loneActorCount, color: "#6ECFB0" },
-    { name: "Small group", budget: smallGroupBudget, count: smallGroupCount, color: "#F2C46D" },
-    { name: "Well-funded org", budget: fundedOrgBudget, count: fundedOrgCount, color: "#E88B6E" },
-    { name: "State actor", budget: stateActorBudget, count: stateActorCount, color: "#D45D79" },
-  ], [loneActorBudget, loneActorCount, smallGroupBudget, smallGroupCount, fundedOrgBudget, fundedOrgCount, stateActorBudget, stateActorCount]);
-
-  const results = useMemo(() => {
-    const years = Array.from({ length: YEARS + 1 }, (_, i) => i);
-    const trainingCosts = years.map(y => computeCostAtYear(trainingCostBase * 1e6, trainingDecayRate, y, trainingDamping, trainingFloor * 1e3));
-    const fineTuneCosts = years.map(y => computeCostAtYear(fineTuneCostBase * 1e3, fineTuneDecayRate, y, fineTuneDamping, fineTuneFloor * 1e3));
-    const trainingCostsNaive = years.map(y => trainingCostBase * 1e6 * Math.pow(1 / trainingDecayRate, y));
-    const fineTuneCostsNaive = years.map(y => fineTuneCostBase * 1e3 * Math.pow(1 / fineTuneDecayRate, y));
-    const trainingRates = years.map(y => instantaneousRate(trainingDecayRate, y, trainingDamping));
-    const fineTuneRates = years.map(y => instantaneousRate(fineTuneDecayRate, y, fineTuneDamping));
-    const modelParams = modelSize * 1e9;
-    const dangerousCap = capabilityCurve(modelParams, dangerousCapThreshold * 1e9);
-    const novelCap = noveltyRequiresScale ? capabilityCurve(modelParams, dangerousCapThreshold * 1e9 * 2.5) : dangerousCap * 0.7;
-
-    // Safeguard breaking cost
-    const breakGpuHours = stepsToGpuHours(stepsToBreak, modelSize);
-    const breakCost = gpuHoursToCost(breakGpuHours, gpuHourCost);
-    
-    // Break cost over time (GPU-hour costs also decline, roughly tracking fine-tune decay)
-    const breakCostsOverTime = years.map(y => {
-      const futureGpuCost = gpuHourCost * Math.pow(1 / fineTuneDecayRate, y * 0.5); // GPU costs decline slower than fine-tuning
-      return gpuHoursToCost(breakGpuHours, Math.max(0.1, futureGpuCost));
-    });
+  // Restore any state encoded in the URL hash
+  const [initialLink] = useState(() => decodePermalink(window.location.hash));
 
-    const threatMatrix = attackerProfiles.map(attacker => years.map(y => {
-      const trainCost = trainingCosts[y];
-      const ftCost = fineTuneCosts[y];
-      const canTrain = attacker.budget >= trainCost;
-      const canFineTune = attacker.budget >= ftCost;
-      if (!canTrain && !canFineTune) return 0;
-      let threat = 0;
-      if (canTrain) { threat = dangerousCap; }
-      else if (canFineTune) {
-        const safeguardBlock = safeguardEffectiveness(safeguardStrength / 100, attacker.budget / ftCost);
-        threat = dangerousCap * (1 - safeguardBlock);
-      }
-      const threatNovelty = canTrain ? novelCap : threat * 0.4;
-      const effectiveThreat = Math.max(threat * 0.6 + threatNovelty * 0.4, 0);
-      let residual = effectiveThreat;
-      const knownFrac = 1 - (threatNovelty / Math.max(effectiveThreat, 0.01));
-      const screeningBlock = (screeningCoverage / 100) * knownFrac + (screeningCoverage / 100) * (screeningNovelDetect / 100) * (1 - knownFrac);
-      residual *= (1 - screeningBlock);
-      if (trainCost >= computeGovThreshold * 1e6) { residual *= (1 - (canTrain ? 0.6 : 0.2)); }
-      residual *= (1 - surveillanceEff / 100 * 0.5);
-      return clamp(residual, 0, 1);
-    }));
-
-    // Attacker population analysis
-    const totalAttackers = attackerProfiles.reduce((sum, p) => sum + p.count, 0);
-    
-    // How many attackers can afford to train from scratch at year Y?
-    const canTrainByYear = years.map(y => {
-      return attackerProfiles.reduce((sum, p) => sum + (p.budget >= trainingCosts[y] ? p.count : 0), 0);
-    });
-    
-    // How many attackers can afford to break safeguards at year Y?
-    const canBreakSafeguardsByYear = years.map(y => {
-      const breakCostY = breakCostsOverTime[y];
-      return attackerProfiles.reduce((sum, p) => sum + (p.budget >= breakCostY ? p.count : 0), 0);
-    });
-    
-    // Safeguards block what % of attackers who could fine-tune but not train?
-    const safeguardsBlockByYear = years.map(y => {
-      const breakCostY = breakCostsOverTime[y];
-      const canFineTuneNotTrain = attackerProfiles.filter(p => p.budget >= fineTuneCosts[y] && p.budget < trainingCosts[y]);
-      const blockedCount = canFineTuneNotTrain.filter(p => p.budget < breakCostY).reduce((sum, p) => sum + p.count, 0);
-      const totalInRange = canFineTuneNotTrain.reduce((sum, p) => sum + p.count, 0);
-      return totalInRange > 0 ? blockedCount / totalInRange : 1;
+  // Model, attacker and intervention params — see DEFAULT_PARAMS for units
+  const [params, setParams] = useState(() => ({ ...DEFAULT_PARAMS, ...initialLink.params }));
+  const setParam = (key) => (value) => setParams(prev => ({ ...prev, [key]: value }));
+  const paramControls = (group) => PARAM_SCHEMA.filter(def => def.group === group && isParamActive(def, params)).map(def => (
+    <ParamControl key={def.key} def={def} value={params[def.key]} onChange={setParam(def.key)} params={params} />
+  ));
+  const advancedModified = PARAM_SCHEMA.filter(def => def.group === "advanced" && isParamActive(def, params) && params[def.key] !== def.default).length;
+  // Values read directly in the page; the sidebar controls come from PARAM_SCHEMA
+  const {
+    startYear, horizonYears, modelSize, attackerProfiles, stepsToBreak, gpuHourCost, safeguardBudgetThreshold,
+    fineTuneMethod, fineTuneBatchSize, fineTuneSeqLen, gpuFlops, computeEfficiencyFactor, defenderBudget,
+  } = params;
+
+  // Uncertainty mode
+  const initialUncertainty = initialLink.uncertainty || DEFAULT_UNCERTAINTY;
+  const [uncertaintyEnabled, setUncertaintyEnabled] = useState(initialUncertainty.enabled);
+  const [distributions, setDistributions] = useState(initialUncertainty.distributions);
+  const [mcRuns, setMcRuns] = useState(initialUncertainty.runs);
+  const [mcSeed, setMcSeed] = useState(initialUncertainty.seed);
+
+  const results = useMemo(() => runScenario(params), [params]);
+  const stepTime = fineTuneStepTime(modelSize, params);
+
+  // Calendar labels for the results timeline
+  const periodLabel = (i) => fmtPeriod(results.calendarYears[i], results.stepsPerYear);
+  const periodLabels = results.calendarYears.map((_, i) => periodLabel(i));
+  const lastPeriod = periodLabels[periodLabels.length - 1];
+  const [i5, i10] = [5, 10].map(t => indexAtYear(results, t));
+  // Physical limit regimes: first five years, next five, then the rest of the horizon
+  const last = results.years.length - 1;
+  const regimes = [
+    { from: 0, to: i5, label: "Golden era", color: "#6ECFB0", detail: "with rapid cost declines" },
+    { from: i5, to: i10, label: "Diminishing returns", color: "#F2C46D", detail: "as easy gains exhaust" },
+    { from: i10, to: last, label: "Near-plateau", color: "#D45D79", detail: "approaching physical limits", open: true },
+  ].filter(r => r.from < r.to).map(r => ({
+    ...r,
+    period: r.open ? `${periodLabel(r.from)}+` : `${periodLabel(r.from)}–${periodLabel(r.to)}`,
+    rate: `${results.trainingRates[r.from].toFixed(1)}× → ${results.trainingRates[r.to].toFixed(1)}×`,
+  }));
+  // Crux stat cards: today, the evaluation year and the end of the horizon
+  const evalIdx = results.evaluationIdx;
+  const evalLabel = periodLabel(evalIdx);
+  // Whether algorithmic progress shrinks the model attackers need over time
+  const efficiencyGains = params.algorithmicEfficiency > 1;
+  // Whether released or leaked weights could reach attackers within the horizon
+  const weightsInPlay = results.weightAccess.released[last] > 0 || results.weightAccess.leaked[last] > 0;
+  const trajectoriesSet = INTERVENTION_KEYS.some(key => params[`${key}Trajectory`] !== "constant");
+  const cruxCheckpoints = [...new Set([0, evalIdx, last])];
+
+  // Headline findings, shown under their charts and collected in the report
+  const averageThreat = averageThreatAt(results, results.evaluationYear);
+  const topIntervention = [...results.interventionValues].sort((a, b) => b.value - a.value)[0];
+  const topRiskProfile = results.attackerProfiles[results.riskByProfile.reduce((best, r, k, all) => r.expected > all[best].expected ? k : best, 0)];
+  const topRiskShare = results.riskByProfile.find(r => r.id === topRiskProfile.id).share;
+  const insights = {
+    training: results.canTrainByYear[evalIdx] > 100
+      ? `⚠ By ${evalLabel}, ${fmtNum(results.canTrainByYear[evalIdx])} actors can train from scratch at ${fmt(results.trainingCosts[evalIdx])}, completely bypassing model safeguards.`
+      : results.canTrainByYear[last] > 100
+        ? `Training remains expensive through ${evalLabel} (${fmt(results.trainingCosts[evalIdx])}, only ${fmtNum(results.canTrainByYear[evalIdx])} can afford), but ${fmtNum(results.canTrainByYear[last])} can by ${lastPeriod} at ${fmt(results.trainingCosts[last])}.`
+        : `Training remains prohibitive through ${lastPeriod} at ${fmt(results.trainingCosts[last])}. Model safeguards have extended relevance.`,
+    robustness: stepsToBreak < 5000
+      ? `⚠ At ${fmtSteps(stepsToBreak)} steps, safeguards cost only ${fmt(results.breakCost)} to break — ineffective against all but lone actors.`
+      : stepsToBreak < 50000
+        ? `Current robustness (${fmtSteps(stepsToBreak)} steps, ${fmt(results.breakCost)}) blocks small groups but not funded orgs. Need 10× more steps to matter.`
+        : `Strong robustness: ${fmtSteps(stepsToBreak)} steps = ${fmt(results.breakCost)}. This blocks ${results.blockedPctAtEval.toFixed(0)}% of fine-tune-capable attackers in ${evalLabel}.`,
+    threat: averageThreat > 0.5 ? `⚠ Average residual threat in ${evalLabel} exceeds 50%. Intervention portfolio insufficient.`
+      : averageThreat > 0.25 ? "Moderate residual risk. Synthesis screening has highest marginal impact."
+      : `Interventions holding through ${evalLabel}. Physical limits extend window.`,
+    risk: results.expectedSuccessesTotal > 0
+      ? `${fmtChance(results.cumulativeRisk[last])} chance of at least one successful attack by ${lastPeriod} (${fmtExpected(results.expectedSuccessesTotal)} expected), ${(topRiskShare * 100).toFixed(0)}% of it from the ${topRiskProfile.name} profile.`
+      : `No attacker profile can mount a successful attack before ${lastPeriod}.`,
+    interventions: `Highest value: ${topIntervention.name} (${topIntervention.value.toFixed(0)}%). ${
+      topIntervention.name === "Model safeguards" ? "Depends on safeguard robustness crux — check the Cruxes tab." :
+      topIntervention.name === "Synthesis screening" ? "Robust to cost curves AND physical limit assumptions." :
+      "Effectiveness degrades as costs fall."}`,
+  };
+  const hardwarePreset = Object.keys(HARDWARE_PRESETS).find(k => HARDWARE_PRESETS[k].gpuFlops === gpuFlops && HARDWARE_PRESETS[k].gpuHourCost === gpuHourCost) ?? "custom";
+  const applyHardwarePreset = (key) => {
+    const { gpuFlops, gpuHourCost } = HARDWARE_PRESETS[key];
+    setParams(prev => ({ ...prev, gpuFlops, gpuHourCost }));
+  };
+  const referenceBudget = results.referenceProfile ? results.referenceProfile.budget : 0;
+
+  // Attacker profile editing
+  const updateProfile = (id, fields) => setParams(prev => ({
+    ...prev, attackerProfiles: prev.attackerProfiles.map(a => a.id === id ? { ...a, ...fields } : a),
+  }));
+  // Moving the median scales P10 and P90 with it, keeping the spread's shape
+  const updateProfileBudget = (profile, budget) => {
+    const { budgetP10, budgetP90 } = PROFILE_BUDGET_FIELDS;
+    updateProfile(profile.id, {
+      budget,
+      budgetP10: clamp(profile.budgetP10 * budget / profile.budget, budgetP10.min, budget),
+      budgetP90: clamp(profile.budgetP90 * budget / profile.budget, budget, budgetP90.max),
     });
+  };
+  const addProfile = () => setParams(prev => ({
+    ...prev, attackerProfiles: [...prev.attackerProfiles, createAttackerProfile({ color: SCENARIO_COLORS[prev.attackerProfiles.length % SCENARIO_COLORS.length] })],
+  }));
+  const deleteProfile = (id) => {
+    setParams(prev => ({ ...prev, attackerProfiles: prev.attackerProfiles.filter(a => a.id !== id) }));
+    setDistributions(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith(`attackerProfiles.${id}.`))));
+  };
 
-    const yearIdx = 5;
-    const interventionValues = [
-      { name: "Model safeguards", value: clamp((safeguardStrength / 100) * dangerousCap * 30 * safeguardsBlockByYear[yearIdx], 0, 100), color: "#6ECFB0", active: safeguardStrength > 10 },
-      { name: "Synthesis screening", value: clamp(screeningCoverage * 0.7 + screeningNovelDetect * 0.15, 0, 100), color: "#4AA88D", active: screeningCoverage > 10 },
-      { name: "Compute governance", value: clamp(trainingCosts[yearIdx] >= computeGovThreshold * 1e6 ? 45 * (1 - Math.min(1, computeGovThreshold * 1e6 / trainingCosts[yearIdx])) : 5, 0, 100), color: "#F2C46D", active: trainingCosts[yearIdx] >= computeGovThreshold * 1e6 * 0.5 },
-      { name: "Surveillance", value: clamp(surveillanceEff * 0.6, 0, 100), color: "#E88B6E", active: surveillanceEff > 10 },
-    ];
-
-    const naiveTrainYear = trainingCostsNaive.findIndex(c => c <= smallGroupBudget);
-    const realTrainYear = trainingCosts.findIndex(c => c <= smallGroupBudget);
-    const floorBuysYears = (realTrainYear < 0 ? YEARS : realTrainYear) - (naiveTrainYear < 0 ? YEARS : naiveTrainYear);
-
-    // Safeguard relevance decision framework
-    // Evaluates whether model safeguards are worth investing in based on:
-    // 1. What % of fine-tune-capable attackers are blocked at year 5?
-    // 2. How many years until training-from-scratch is accessible to same population?
-    // 3. Is the breaking cost meaningful relative to attacker budgets?
-    
-    const blockedPct5 = safeguardsBlockByYear[5] * 100;
-    
-    // Years until small groups can train from scratch (the "window")
-    const windowYears = realTrainYear < 0 ? YEARS : realTrainYear;
-    
-    // Breaking cost as % of median relevant attacker budget (small groups)
-    const breakCostPct = (breakCost / smallGroupBudget) * 100;
-    
-    // Compute relevance score (0-100)
-    let relevanceScore = 0;
-    let relevanceReason = "";
-    
-    if (blockedPct5 < 20) {
-      relevanceScore = Math.max(0, blockedPct5);
-      relevanceReason = `Only ${blockedPct5.toFixed(0)}% of attackers blocked — safeguards ineffective at current robustness`;
-    } else if (windowYears < 3) {
-      relevanceScore = Math.min(30, blockedPct5 * 0.5);
-      relevanceReason = `Training accessible to small groups in ${windowYears}y — safeguards obsolete before they matter`;
-    } else if (breakCostPct < 1) {
-      relevanceScore = Math.min(40, blockedPct5 * 0.6);
-      relevanceReason = `Breaking cost is ${breakCostPct.toFixed(1)}% of attacker budget — trivial barrier`;
-    } else if (blockedPct5 >= 50 && windowYears >= 5 && breakCostPct >= 10) {
-      relevanceScore = Math.min(100, blockedPct5 + windowYears * 2 + breakCostPct * 0.5);
-      relevanceReason = `${blockedPct5.toFixed(0)}% blocked, ${windowYears}y window, ${breakCostPct.toFixed(0)}% of budget — safeguards have value`;
-    } else {
-      relevanceScore = Math.min(70, blockedPct5 * 0.7 + windowYears * 2);
-      relevanceReason = `Marginal value: ${blockedPct5.toFixed(0)}% blocked, ${windowYears}y window`;
-    }
-    
-    const relevanceLevel = relevanceScore >= 60 ? "high" : relevanceScore >= 30 ? "marginal" : "low";
-
-    return { 
-      years, trainingCosts, fineTuneCosts, trainingCostsNaive, fineTuneCostsNaive, 
-      trainingRates, fineTuneRates, threatMatrix, interventionValues, 
-      dangerousCap, novelCap, floorBuysYears,
-      breakGpuHours, breakCost, breakCostsOverTime,
-      totalAttackers, canTrainByYear, canBreakSafeguardsByYear, safeguardsBlockByYear,
-      relevanceScore, relevanceReason, relevanceLevel, blockedPct5, windowYears, breakCostPct
-    };
-  }, [modelSize, trainingCostBase, fineTuneCostBase, trainingDecayRate, fineTuneDecayRate, 
-      trainingDamping, fineTuneDamping, trainingFloor, fineTuneFloor, 
-      dangerousCapThreshold, noveltyRequiresScale, 
-      safeguardStrength, screeningCoverage, screeningNovelDetect, computeGovThreshold, surveillanceEff,
-      attackerProfiles, stepsToBreak, gpuHourCost]);
+  // Chokepoint editing; the comparison can be read at any year
+  const updateChokepoint = (id, fields) => setParams(prev => ({
+    ...prev, chokepoints: prev.chokepoints.map(c => c.id === id ? { ...c, ...fields } : c),
+  }));
+  const addChokepoint = () => setParams(prev => ({ ...prev, chokepoints: [...prev.chokepoints, createChokepoint()] }));
+  const deleteChokepoint = (id) => setParams(prev => ({ ...prev, chokepoints: prev.chokepoints.filter(c => c.id !== id) }));
+
+  const chokepointItems = [
+    { id: "safeguards", name: "Break model safeguards", cost: results.breakCostsOverTime[evalIdx], color: "#9B8FFF", note: `${fmtSteps(stepsToBreak)} steps, your settings`, dynamic: true },
+    { id: "training", name: "Train model from scratch", cost: results.trainingCosts[evalIdx], color: "#D45D79", note: `${+results.modelSizes[evalIdx].toPrecision(3)}B model`, dynamic: true },
+    ...results.chokepoints.map(c => ({ ...c, cost: c.costs[evalIdx] })),
+  ];
+  const [breakCostAtYear, trainCostAtYear] = chokepointItems.map(item => item.cost);
+  const weakestLink = chokepointItems.reduce((min, item) => item.cost < min.cost ? item : min);
+  const cheapestPhysical = chokepointItems.slice(2).reduce((min, item) => !min || item.cost < min.cost ? item : min, null);
+
+  // Evaluation-year playback; each step moves the scrubber one period
+  const [playing, setPlaying] = useState(false);
+  useEffect(() => {
+    if (!playing) return;
+    if (evalIdx >= last) { setPlaying(false); return; }
+    const id = setTimeout(() => setParam("evaluationYear")(results.years[evalIdx + 1]), PLAYBACK_MS_PER_YEAR / results.stepsPerYear);
+    return () => clearTimeout(id);
+  }, [playing, results]);
+  const togglePlayback = () => {
+    if (!playing && evalIdx >= last) setParam("evaluationYear")(0);
+    setPlaying(!playing);
+  };
+
+  // The sampled series don't depend on the evaluation year, so scrubbing or
+  // playing it back only re-reads relevance at the new point; other edits
+  // during playback wait until it stops
+  const mcParamsRef = useRef(params);
+  if (!playing && changedApartFromEvaluationYear(mcParamsRef.current, params)) mcParamsRef.current = params;
+  const mcParams = mcParamsRef.current;
+  const mcResults = useMemo(
+    () => uncertaintyEnabled ? runMonteCarlo(mcParams, distributions, { runs: mcRuns, seed: mcSeed }) : null,
+    [uncertaintyEnabled, mcParams, distributions, mcRuns, mcSeed]
+  );
+  const mcRelevance = useMemo(() => mcResults && relevanceAt(mcResults, evalIdx), [mcResults, evalIdx]);
+
+  // Named scenario library (persisted in localStorage)
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [scenarioName, setScenarioName] = useState("");
+  const [compareIds, setCompareIds] = useState(() => ["current", ...scenarios.map(s => s.id)]);
+  const [importError, setImportError] = useState("");
+  useEffect(() => { saveScenarios(scenarios); }, [scenarios]);
+
+  const saveCurrentScenario = () => {
+    const scenario = createScenario(scenarioName, params);
+    setScenarios(prev => [...prev, scenario]);
+    setCompareIds(prev => [...prev, scenario.id]);
+    setScenarioName("");
+  };
+  const deleteScenario = (id) => {
+    setScenarios(prev => prev.filter(s => s.id !== id));
+    setCompareIds(prev => prev.filter(x => x !== id));
+  };
+  const toggleCompare = (id) => setCompareIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  const importScenarioFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      setScenarios(prev => mergeScenarios(prev, parseScenarios(text)));
+      setImportError("");
+    }).catch(err => setImportError(`Import failed: ${err.message}`));
+  };
+
+  // Safeguard benchmark registry (persisted in localStorage)
+  const [benchmarks, setBenchmarks] = useState(loadBenchmarks);
+  const [extrapolateBenchmarks, setExtrapolateBenchmarks] = useState(false);
+  const [benchmarkSizeExponent, setBenchmarkSizeExponent] = useState(0.5);
+  const [benchmarkImportMessage, setBenchmarkImportMessage] = useState("");
+  useEffect(() => { saveBenchmarks(benchmarks); }, [benchmarks]);
+
+  const updateBenchmark = (id, fields) => setBenchmarks(prev => prev.map(b => b.id === id ? { ...b, ...fields } : b));
+  const importBenchmarkFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const { benchmarks: imported, errors } = parseBenchmarks(text);
+      setBenchmarks(prev => mergeBenchmarks(prev, imported));
+      setBenchmarkImportMessage(`Imported ${imported.length} benchmark${imported.length === 1 ? "" : "s"}${errors.length ? `; skipped ${errors.length}: ${errors.join("; ")}` : ""}`);
+    }).catch(err => setBenchmarkImportMessage(`Import failed: ${err.message}`));
+  };
+  const benchmarkBars = benchmarks
+    .map(b => ({ ...b, ...benchmarkStepsAt(b, modelSize, { extrapolate: extrapolateBenchmarks, exponent: benchmarkSizeExponent }) }))
+    .sort((a, b) => a.steps - b.steps)
+    .map((b, i) => ({ ...b, color: BENCHMARK_COLORS[i % BENCHMARK_COLORS.length], cost: stepsToBreakCost(b.steps, modelSize, gpuHourCost, { ...params, fineTuneMethod: b.attackType in FINE_TUNE_METHODS ? b.attackType : fineTuneMethod }) }));
+  const strongestBenchmark = benchmarkBars[benchmarkBars.length - 1];
+
+  // Cost-curve fitting to pasted or uploaded (year, cost) observations
+  const [fitTarget, setFitTarget] = useState("training");
+  const [fitCsv, setFitCsv] = useState("");
+  const fitData = useMemo(() => parseCostCsv(fitCsv), [fitCsv]);
+  const costFit = useMemo(
+    () => fitCostCurve(fitData.points, { target: COST_FIT_TARGETS[fitTarget], startYear, params }),
+    [fitData, fitTarget, startYear, params]
+  );
+  const fitYears = fitData.points.map(p => p.year);
+  // The fit is of the damped exponential, so applying it also selects that family
+  const applyCostFit = () => setParams(prev => ({ ...prev, ...costFit.params, [`${fitTarget}Curve`]: "damped" }));
+
+  const compared = useMemo(() => {
+    const pool = [{ id: "current", name: "Current settings", params }, ...scenarios.map(s => ({ ...s, params: scenarioParams(s) }))];
+    return compareIds
+      .map(id => pool.find(s => s.id === id))
+      .filter(Boolean)
+      .map((s, i) => ({ ...s, color: SCENARIO_COLORS[i % SCENARIO_COLORS.length], results: s.id === "current" ? results : runScenario(s.params) }));
+  }, [compareIds, scenarios, params, results]);
+  const compareCosts = useMemo(() => compared.length >= 2 ? compareCostSeries(compared) : null, [compared]);
 
-  const [activeTab, setActiveTab] = useState("cruxes");
   const tabs = [
     { id: "cruxes", label: "Key cruxes" },
     { id: "costs", label: "Cost curves" },
     { id: "limits", label: "Physical limits" },
     { id: "threat", label: "Threat matrix" },
+    { id: "risk", label: "Aggregate risk" },
     { id: "value", label: "Intervention value" },
+    { id: "uncertainty", label: "Uncertainty" },
+    { id: "compare", label: "Compare" },
+    { id: "sensitivity", label: "Sensitivity" },
     { id: "model", label: "Model details" },
   ];
+  const isTab = (id) => tabs.some(t => t.id === id);
+  const [activeTab, setActiveTab] = useState(() => isTab(initialLink.activeTab) ? initialLink.activeTab : DEFAULT_TAB);
+
+  // Sensitivity sweeps every parameter at 21 points (~800 scenario runs), so
+  // only compute it on its tab, and hold it while the evaluation year is
+  // scrubbed; the tab offers to re-read it at the new year
+  const [sensitivityMetric, setSensitivityMetric] = useState("relevanceScore");
+  const sensitivityParamsRef = useRef(params);
+  if (changedApartFromEvaluationYear(sensitivityParamsRef.current, params)) sensitivityParamsRef.current = params;
+  const [, setSensitivityRerun] = useState(0);
+  const rerunSensitivity = () => { sensitivityParamsRef.current = params; setSensitivityRerun(n => n + 1); };
+  const sensitivityParams = sensitivityParamsRef.current;
+  const sensitivity = useMemo(() => activeTab === "sensitivity" ? runSensitivity(sensitivityParams) : null, [activeTab, sensitivityParams]);
+
+  // The defender budget optimizer runs several hundred scenarios, so only on its tab.
+  // Its objective sums the whole horizon, so it holds through evaluation-year playback and scrubbing.
+  const planParamsRef = useRef(params);
+  if (changedApartFromEvaluationYear(planParamsRef.current, params)) planParamsRef.current = params;
+  const planParams = planParamsRef.current;
+  const defenderPlan = useMemo(() => activeTab === "value" ? optimizeDefenderBudget(planParams) : null, [activeTab, planParams]);
+  const applyDefenderPlan = () => setParams(prev => ({ ...prev, ...defenderPlan.params }));
+
+  // Every curve family applied to one cost series with all other settings
+  // unchanged, to show how much the conclusions depend on the curve form
+  const [curveComparisonSeries, setCurveComparisonSeries] = useState("training");
+  // Threat-matrix cell drilled into ({ profileId, pointIndex }); null for the
+  // reference profile in the evaluation year
+  const [threatCell, setThreatCell] = useState(null);
+  const curveComparison = useMemo(() => activeTab !== "costs" ? [] : Object.keys(COST_CURVE_FAMILIES).map(family => {
+    const selected = params[`${curveComparisonSeries}Curve`] === family;
+    return {
+      family, selected, ...COST_CURVE_FAMILIES[family], color: CURVE_FAMILY_COLORS[family],
+      results: selected ? results : runScenario({ ...params, [`${curveComparisonSeries}Curve`]: family }),
+    };
+  }), [activeTab, params, results, curveComparisonSeries]);
+
+  // The drilled-into threat cell, falling back to the reference profile in the
+  // evaluation year when nothing is picked or the pick no longer exists
+  const drilledCell = useMemo(() => {
+    const profileIndex = attackerProfiles.findIndex(a => a.id === threatCell?.profileId);
+    if (profileIndex >= 0 && threatCell.pointIndex < results.years.length) return { profileIndex, pointIndex: threatCell.pointIndex };
+    return { profileIndex: Math.max(0, attackerProfiles.findIndex(a => a.id === results.referenceProfile?.id)), pointIndex: evalIdx };
+  }, [threatCell, attackerProfiles, results, evalIdx]);
+  const selectThreatCell = (profileIndex, pointIndex) => setThreatCell({ profileId: attackerProfiles[profileIndex].id, pointIndex });
+
+  // Newly capable actors per profile once the model lowers the skill bar,
+  // split at graduate level into novices and experts
+  const upliftSummary = useMemo(() => {
+    const rows = results.upliftByProfile.map(u => {
+      const profile = attackerProfiles.find(a => a.id === u.id);
+      return { ...u, profile, gain: u.withUplift - u.withoutUplift, novice: profile.skill < NOVICE_SKILL };
+    });
+    const gainOf = (novice) => rows.filter(row => row.novice === novice).reduce((sum, row) => sum + row.gain, 0);
+    return { rows, noviceGain: gainOf(true), expertGain: gainOf(false) };
+  }, [results, attackerProfiles]);
+
+  // Keep the URL hash in sync so the current scenario can be shared as a link
+  const uncertainty = useMemo(
+    () => ({ enabled: uncertaintyEnabled, runs: mcRuns, seed: mcSeed, distributions }),
+    [uncertaintyEnabled, mcRuns, mcSeed, distributions]
+  );
+  useEffect(() => {
+    window.history.replaceState(null, "", `#${encodePermalink({ params, activeTab, uncertainty })}`);
+  }, [params, activeTab, uncertainty]);
+
+  // A link pasted into the address bar of an open tab loads in place
+  useEffect(() => {
+    const onHashChange = () => {
+      const link = decodePermalink(window.location.hash);
+      const u = link.uncertainty || DEFAULT_UNCERTAINTY;
+      setParams({ ...DEFAULT_PARAMS, ...link.params });
+      setActiveTab(isTab(link.activeTab) ? link.activeTab : DEFAULT_TAB);
+      setUncertaintyEnabled(u.enabled);
+      setDistributions(u.distributions);
+      setMcRuns(u.runs);
+      setMcSeed(u.seed);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  // Parameter file import; the banner lists any validation errors/warnings
+  const [paramImport, setParamImport] = useState(null);
+  const importParamsFile = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const { params: imported, errors, warnings } = parseParamsFile(text);
+      if (!errors.length) setParams({ ...DEFAULT_PARAMS, ...imported });
+      setParamImport(errors.length || warnings.length ? { fileName: file.name, errors, warnings } : null);
+    }).catch(err => setParamImport({ fileName: file.name, errors: [err.message], warnings: [] }));
+  };
+
+  // null, "copied" or "failed" (clipboard unavailable or permission denied)
+  const [linkStatus, setLinkStatus] = useState(null);
+  const showLinkStatus = (status) => {
+    setLinkStatus(status);
+    setTimeout(() => setLinkStatus(null), 2000);
+  };
+  const copyLink = () => {
+    if (!navigator.clipboard) return showLinkStatus("failed");
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => showLinkStatus("copied"))
+      .catch(() => showLinkStatus("failed"));
+  };
+
+  const [reportOpen, setReportOpen] = useState(false);
+  const openReport = () => { setPlaying(false); setReportOpen(true); };
 
   const panelStyle = { background: "#1a1c24", borderRadius: 10, padding: 20, border: "1px solid #2a2d38" };
   const sectionLabelStyle = (color) => ({ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color, letterSpacing: "0.1em", textTransform: "uppercase", marginBottom: 16 });
   const insightStyle = (color) => ({ marginTop: 16, padding: "10px 14px", borderLeft: `2px solid ${color}`, background: `${color}10`, borderRadius: "0 6px 6px 0" });
   const insightText = { fontSize: 12, color: "#c4c8d4", lineHeight: 1.5 };
   const statBox = { padding: "10px 14px", background: "#14161c", borderRadius: 6 };
+  const checkpointBox = (i) => i === evalIdx ? { ...statBox, boxShadow: "inset 0 0 0 1px #9B8FFF" } : statBox;
   const statLabel = { fontSize: 10, color: "#7a7e8a", fontFamily: "'IBM Plex Mono', monospace", marginBottom: 4 };
+  const headerButton = { padding: "6px 12px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "#1a1c24", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" };
   const statValue = (color = "#e8e0d4") => ({ fontSize: 18, fontWeight: 600, fontFamily: "'IBM Plex Mono', monospace", color });
 
+  // Methodology write-up, shown in the Model details tab and in the report
+  const methodology = (
+    <>
+      {/* Fine-tuning cost model */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle("#9B8FFF")}>Fine-tuning Cost Model</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Converting fine-tuning steps to dollar costs requires modeling the compute required per step.
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div style={{ color: "#7a7e8a", marginBottom: 8 }}>// Theoretical FLOP per step ({FINE_TUNE_METHODS[fineTuneMethod]?.label ?? fineTuneMethod})</div>
+            <div>FLOP_per_step ≈ {FINE_TUNE_METHODS[fineTuneMethod]?.flopPerParamToken ?? 6} × params × batch_size × seq_len</div>
+            <div style={{ marginTop: 4 }}>= {FINE_TUNE_METHODS[fineTuneMethod]?.flopPerParamToken ?? 6} × {modelSize}B × {fineTuneBatchSize} × {fineTuneSeqLen} = <span style={{ color: "#6ECFB0" }}>{(stepTime.flopPerStep / 1e15).toFixed(1)}P FLOP/step</span></div>
+            <div style={{ marginTop: 12, color: "#7a7e8a" }}>// {HARDWARE_PRESETS[hardwarePreset]?.label ?? "Custom hardware"} throughput (theoretical)</div>
+            <div>~{gpuFlops.toExponential(1)} FLOP/s → {(1 / stepTime.theoreticalSeconds).toFixed(1)} steps/sec theoretical</div>
+          </div>
+          <p style={{ margin: "0 0 12px 0" }}>
+            <strong style={{ color: "#D45D79" }}>However</strong>, real-world training is 10-30× less efficient than theoretical FLOP calculations due to:
+          </p>
+          <ul style={{ margin: "0 0 12px 0", paddingLeft: 20, color: "#9a9eb0" }}>
+            <li>Memory bandwidth limits (not compute-bound)</li>
+            <li>Optimizer state overhead (Adam momentum, variance)</li>
+            <li>Gradient accumulation & synchronization</li>
+            <li>Multi-GPU communication overhead</li>
+            <li>Data loading & checkpointing</li>
+          </ul>
+        </div>
+      </div>
+
+      {/* Empirical calibration */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle("#6ECFB0")}>Empirical Calibration</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            We calibrate against empirical data from the <strong>Deep Ignorance</strong> paper (EleutherAI, August 2025):
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, marginBottom: 12 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+              <div>
+                <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Paper's setup</div>
+                <div style={{ fontSize: 12 }}>6.9B parameter model</div>
+                <div style={{ fontSize: 12 }}>10,000 fine-tuning steps</div>
+                <div style={{ fontSize: 12 }}>305M tokens processed</div>
+                <div style={{ fontSize: 12 }}>2× H200 GPUs</div>
+              </div>
+              <div>
+                <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Measured result</div>
+                <div style={{ fontSize: 12 }}>~17 GPU-hours wall clock</div>
+                <div style={{ fontSize: 12 }}>= ~3 seconds/step actual</div>
+                <div style={{ fontSize: 12 }}>vs ~0.2 sec/step theoretical</div>
+                <div style={{ fontSize: 12, color: "#F2C46D", fontWeight: 600 }}>≈ 15× efficiency loss</div>
+              </div>
+            </div>
+          </div>
+          <p style={{ margin: "0 0 12px 0" }}>
+            We apply a <strong style={{ color: "#6ECFB0" }}>{computeEfficiencyFactor}× efficiency factor</strong> (default 15×, from this calibration) to scale theoretical calculations to realistic costs:
+            {" "}{stepTime.actualSeconds.toFixed(2)} sec/step at your settings. 15× is conservative — some setups may be even less efficient.
+          </p>
+        </div>
+      </div>
+
+      {/* Current settings calculation */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle("#F2C46D")}>Your Current Settings</div>
+        <div style={{ background: "#14161c", padding: "14px 16px", borderRadius: 6 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16 }}>
+            <div>
+              <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Model size</div>
+              <div style={{ fontSize: 18, fontWeight: 600, color: "#e8e0d4", fontFamily: "'IBM Plex Mono', monospace" }}>{modelSize}B</div>
+            </div>
+            <div>
+              <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Steps to break</div>
+              <div style={{ fontSize: 18, fontWeight: 600, color: "#9B8FFF", fontFamily: "'IBM Plex Mono', monospace" }}>{fmtSteps(stepsToBreak)}</div>
+            </div>
+            <div>
+              <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>GPU-hour rate</div>
+              <div style={{ fontSize: 18, fontWeight: 600, color: "#e8e0d4", fontFamily: "'IBM Plex Mono', monospace" }}>${gpuHourCost}/hr</div>
+            </div>
+          </div>
+          <div style={{ borderTop: "1px solid #2a2d38", marginTop: 14, paddingTop: 14, display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16 }}>
+            <div>
+              <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>GPU-hours needed</div>
+              <div style={{ fontSize: 18, fontWeight: 600, color: "#6ECFB0", fontFamily: "'IBM Plex Mono', monospace" }}>{results.breakGpuHours.toFixed(1)}</div>
+            </div>
+            <div>
+              <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Wall clock (1 GPU)</div>
+              <div style={{ fontSize: 18, fontWeight: 600, color: "#e8e0d4", fontFamily: "'IBM Plex Mono', monospace" }}>{(results.breakGpuHours).toFixed(1)}h</div>
+            </div>
+            <div>
+              <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Total cost</div>
+              <div style={{ fontSize: 18, fontWeight: 600, color: "#D45D79", fontFamily: "'IBM Plex Mono', monospace" }}>{fmt(results.breakCost)}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Training cost model */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle("#D45D79")}>Training-from-Scratch Cost Model</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Training costs follow a <strong>decaying exponential</strong> model that captures physical limits:
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div style={{ color: "#7a7e8a", marginBottom: 8 }}>// Cost model with physical floor</div>
+            <div>cost(t) = floor + (base − floor) × exp(−∫k(s)ds)</div>
+            <div style={{ marginTop: 8, color: "#7a7e8a" }}>// Where decay rate k(t) itself decays:</div>
+            <div>k(t) = k₀ × exp(−damping × t)</div>
+          </div>
+          <p style={{ margin: 0 }}>
+            This captures {["one regime", "two regimes", "three regimes"][regimes.length - 1]}:
+            {regimes.map((r, i) => (
+              <span key={r.label}>
+                {" "}({i + 1}) <strong style={{ color: r.color }}>{r.label}</strong> ({r.period}) {r.detail}{i < regimes.length - 1 ? "," : "."}
+              </span>
+            ))}
+          </p>
+          <p style={{ margin: "12px 0" }}>
+            Other curve families can be chosen per series under <strong>{PARAM_GROUPS.curves.label}</strong>. All start at the base cost and stop at the floor:
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11 }}>
+            <div style={{ color: "#7a7e8a" }}>// Logistic: log cost falls along an S-curve centred on the midpoint m</div>
+            <div>cost(t) = floor × (base / floor)^g(t), g(t) = (1 + e^(−s·m)) / (1 + e^(s·(t − m)))</div>
+            <div style={{ marginTop: 8, color: "#7a7e8a" }}>// Wright's law: learning rate LR per doubling of cumulative output X</div>
+            <div>cost(t) = floor + (base − floor) × X(t)^log₂(1 − LR), X(t) = 1 + share × (e^(g·t) − 1) / g</div>
+            <div style={{ marginTop: 8, color: "#7a7e8a" }}>// Piecewise: initial decay until the regime change, late decay until the plateau, then flat</div>
+            <div>cost(t) = base × decay₀^−min(t, t₁) × decay₁^−max(0, min(t, t₂) − t₁)</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Key assumption */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle("#D45D79")}>Critical Assumption: Fine-tuning Can Break Safeguards</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <div style={{ background: "#D45D7915", padding: "12px 14px", borderRadius: 6, borderLeft: "3px solid #D45D79", marginBottom: 12 }}>
+            <strong style={{ color: "#D45D79" }}>This tool assumes any safeguard can be undone with enough fine-tuning steps.</strong>
+          </div>
+          <p style={{ margin: "0 0 12px 0" }}>
+            This is the dominant empirical finding for current safeguard methods (RLHF, Constitutional AI, Circuit Breaking, etc.) — 
+            they can typically be broken in dozens to thousands of steps.
+          </p>
+          <p style={{ margin: "0 0 12px 0" }}>
+            <strong style={{ color: "#6ECFB0" }}>However, this assumption may not hold for all safeguard architectures:</strong>
+          </p>
+          <ul style={{ margin: "0 0 12px 0", paddingLeft: 20, color: "#9a9eb0" }}>
+           <li><strong style={{ color: "#c4c8d4" }}>Distributed representations</strong>: If safety-relevant features are deeply entangled with capability features, 
+            low-rank fine-tuning (LoRA) may be unable to target them without destroying capabilities.</li>
+            <li><strong style={{ color: "#c4c8d4" }}>Architectural safeguards</strong>: Hardware-level interventions, inference-time monitors, or 
+            cryptographic commitments can't be fine-tuned away at all.</li>
+          </ul>
+          <p style={{ margin: 0 }}>
+            If such "qualitatively harder" safeguards prove achievable, the calculus changes significantly — 
+            the relevant cost comparison becomes training-from-scratch, not fine-tuning.
+            This remains an open research question.
+          </p>
+        </div>
+      </div>
+
+      {/* Attack chain */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle(PARAM_GROUPS.chain.color)}>Attack Chain</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Each threat-matrix cell is the chance an attacker gets through every stage of an attack. Every stage has a base success probability,
+            and each intervention acting on it stops a share of the attempts that reach it.
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div>P(success) = Π over stages of base_stage × Π over its interventions (1 − strength)</div>
+            {ATTACK_STAGES.map(stage => (
+              <div key={stage.id} style={{ marginTop: 4 }}>
+                <span style={{ color: "#7a7e8a" }}>{stage.label}:</span> {params[stage.param]}%{stage.scalesWithCapability && " × dangerous capability"}
+              </div>
+            ))}
+          </div>
+          <ul style={{ margin: 0, paddingLeft: 20, color: "#9a9eb0" }}>
+            <li><strong style={{ color: "#c4c8d4" }}>Model safeguards</strong> act on design, for attackers fine-tuning a safeguarded model; well-funded attackers erode them.</li>
+            <li><strong style={{ color: "#c4c8d4" }}>Compute governance</strong> acts on design once training costs exceed its threshold: {params.computeGovTrainStrength}% for training from scratch, {params.computeGovFineTuneStrength}% for fine-tuning.</li>
+            <li><strong style={{ color: "#c4c8d4" }}>Synthesis screening</strong> acts on acquiring sequences. Novel designs are only caught at the novel detection rate.</li>
+            <li><strong style={{ color: "#c4c8d4" }}>Surveillance</strong> acts on deployment, stopping up to {params.surveillanceReach}% of attacks at full effectiveness.</li>
+          </ul>
+        </div>
+      </div>
+
+      {/* Algorithmic efficiency */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle(PARAM_GROUPS.model.color)}>Algorithmic Efficiency</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Better architectures and data let a smaller model reach the same capability later. A model of N parameters in year t counts as
+            N × efficiency^t parameters at the start for capability, and attackers train the cheapest model that matches the target's.
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div>size(t) = clamp(max(target, threshold) / efficiency^t, 1B, target)</div>
+            <div style={{ marginTop: 4 }}>capability(t) = capability_curve(size(t) × efficiency^t)</div>
+            <div style={{ marginTop: 4 }}>training cost = max(floor, cost × (size(t) / target)²) · fine-tune: max(floor, cost × size(t) / target)</div>
+          </div>
+          <p style={{ margin: 0 }}>
+            A target model below the dangerous threshold keeps its size and grows more capable until efficiency carries it across the threshold;
+            after that attackers only need a model that just crosses it. Sizes stop shrinking at 1B parameters, and a smaller model never
+            takes costs below their floors: those are irreducible whatever the model.
+          </p>
+        </div>
+      </div>
+
+      {/* Weight release */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle(PARAM_GROUPS.release.color)}>Weight Release and Leaks</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Crux 1 asks who can train the model without safeguards. If its weights are published, leaked or stolen, training cost stops mattering.
+            An open release reaches every attacker at the release year; a staged one widens linearly over the rollout; a leak can happen under any policy.
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div>P(leaked by t) = 1 − (1 − leak_rate)^t</div>
+            <div style={{ marginTop: 4 }}>P(holds weights) = 1 − (1 − P(released)) × (1 − P(leaked))</div>
+            <div style={{ marginTop: 4 }}>threat = Σ over none / safeguarded / stripped weights of P(state) × threat in that state</div>
+          </div>
+          <p style={{ margin: 0 }}>
+            Weights that keep their safeguards cost the break cost to use and still face model safeguards; stripped weights cost nothing.
+            Neither needs training compute, so compute governance does not apply. Attackers holding stripped weights count as not blocked by safeguards,
+            and the relevance window closes once such weights are more likely than not to be out.
+          </p>
+        </div>
+      </div>
+
+      {/* Intervention trajectories */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle(PARAM_GROUPS.trajectories.color)}>Intervention Trajectories</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Interventions are built up over years, not switched on. Each intervention's strength can follow its own trajectory from the slider value,
+            and the attack chain at every point of the timeline uses that year's strengths.
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div>ramp: strength(t) = start + (target − start) × shape(min(1, t / ramp_end))</div>
+            <div style={{ marginTop: 4 }}>drawn: strength(t) interpolated between the values set at whole years, held after the last</div>
+          </div>
+          <p style={{ margin: 0 }}>
+            A step ramp models an intervention that arrives all at once, e.g. a screening mandate taking effect. The defender budget optimizer buys
+            starting strength, so it moves a ramp's start but not a drawn trajectory.
+          </p>
+        </div>
+      </div>
+
+      {/* Expertise and AI uplift */}
+      <div style={{ marginBottom: 24 }}>
+        <div style={sectionLabelStyle(PARAM_GROUPS.skill.color)}>Expertise and AI Uplift</div>
+        <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
+          <p style={{ margin: "0 0 12px 0" }}>
+            Money buys compute, but turning a model's output into a working threat also takes expertise and wet-lab tacit knowledge.
+            With the skill barrier on, each attacker profile has a skill level and each path a required level, both on a 0–10 scale.
+          </p>
+          <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
+            <div>required = max(0, base_required − uplift × dangerous_capability)</div>
+            <div style={{ marginTop: 4 }}>P(success | affordable) = 1 / (1 + e^(required − skill))</div>
+            <div style={{ marginTop: 4 }}>threat = max over affordable paths of residual_threat × P(success)</div>
+          </div>
+          <p style={{ margin: 0 }}>
+            The more capable the model, the more of the expertise it supplies. Comparing capable actors with and without uplift shows whether it mainly
+            widens the pool of novices who could succeed or makes already-skilled actors more reliable.
+          </p>
+        </div>
+      </div>
+
+      {/* Key references */}
+      <div>
+        <div style={sectionLabelStyle("#7a7e8a")}>Key References</div>
+        <div style={{ fontSize: 11, color: "#9a9eb0", lineHeight: 1.6 }}>
+          <div style={{ marginBottom: 8 }}>
+            <strong style={{ color: "#c4c8d4" }}>Deep Ignorance</strong> (O'Brien, Casper, et al., 2025) — 
+            "Filtering Pretraining Data Builds Tamper-Resistant Safeguards into Open-Weight LLMs" — 
+            State-of-the-art tamper resistance, resisting 10K steps of adversarial fine-tuning.
+            <span style={{ color: "#6ECFB0", marginLeft: 8 }}>arxiv:2508.06601</span>
+          </div>
+          <div style={{ marginBottom: 8 }}>
+            <strong style={{ color: "#c4c8d4" }}>Epoch AI</strong> — Hardware efficiency analysis suggesting ~200× headroom to CMOS ceiling 
+            (Ho & Erdil, 2023). Process node roadmaps from IRDS, TSMC, Intel.
+          </div>
+          <div style={{ marginBottom: 8 }}>
+            <strong style={{ color: "#c4c8d4" }}>Cost calibration</strong> — Training cost estimates from Epoch AI compute trends, 
+            a16z infrastructure reports, and public cloud GPU pricing (H100 spot ~$2/hr as of 2025).
+          </div>
+          <div>
+            <strong style={{ color: "#c4c8d4" }}>Attacker populations</strong> — Illustrative estimates; 
+            see Luca Righetti's threat modeling work at GovAI for more rigorous analysis.
+          </div>
+        </div>
+      </div>
+    </>
+  );
+
+  if (reportOpen) {
+    return (
+      <ScenarioReport params={params} results={results} periodLabels={periodLabels} evalLabel={evalLabel} insights={insights}
+        chokepointItems={chokepointItems} weakestLink={weakestLink} methodology={methodology} onClose={() => setReportOpen(false)} />
+    );
+  }
+
   return (
     <div style={{ minHeight: "100vh", background: "#14161c", color: "#e8e0d4", fontFamily: "'IBM Plex Sans', sans-serif", padding: "24px 16px" }}>
       <style>{`
@@ -500,11 +1801,38 @@ export default function ModelSafeguardsDashboard() {
       `}</style>
 
       <div style={{ maxWidth: 980, margin: "0 auto" }}>
-        <div style={{ marginBottom: 8 }}>
+        <div style={{ marginBottom: 8, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
           <span style={{ fontSize: 10, fontFamily: "'IBM Plex Mono', monospace", color: "#6ECFB0", letterSpacing: "0.15em", textTransform: "uppercase" }}>
-            Biosecurity × AI Risk Explorer v3
+            Biosecurity × AI Risk Explorer v{MODEL_VERSION}
           </span>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button onClick={() => downloadFile("biosecurity-results.json", buildResultsJson(params, results))} title="Download inputs and every computed series as JSON" style={headerButton}>Export JSON</button>
+            <button onClick={() => downloadFile("biosecurity-results.csv", buildResultsCsv(params, results), "text/csv")} title="Download inputs and every computed series as CSV tables" style={headerButton}>Export CSV</button>
+            <label title="Load parameters from a JSON file" style={headerButton}>
+              Import params
+              <input type="file" accept="application/json,.json" style={{ display: "none" }}
+                onChange={e => { importParamsFile(e.target.files[0]); e.target.value = ""; }} />
+            </label>
+            <button onClick={copyLink} title="Copy a link that reproduces every parameter on this page" style={{ ...headerButton, color: { copied: "#6ECFB0", failed: "#D45D79" }[linkStatus] ?? "#c4c8d4" }}>
+              {{ copied: "✓ Link copied", failed: "Copy failed — use the address bar" }[linkStatus] ?? "Copy link"}
+            </button>
+            <button onClick={openReport} title="Open a printable report of this scenario with charts, parameters and methodology" style={headerButton}>Generate report</button>
+          </div>
         </div>
+        {paramImport && (
+          <div style={{ marginBottom: 12, padding: "10px 14px", borderRadius: 6, fontSize: 11, lineHeight: 1.5,
+            borderLeft: `2px solid ${paramImport.errors.length ? "#D45D79" : "#F2C46D"}`, background: paramImport.errors.length ? "#D45D7910" : "#F2C46D10" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+              <strong style={{ color: paramImport.errors.length ? "#D45D79" : "#F2C46D" }}>
+                {paramImport.errors.length ? `Import of ${paramImport.fileName} rejected — nothing was changed` : `Imported ${paramImport.fileName}`}
+              </strong>
+              <button onClick={() => setParamImport(null)} style={{ background: "none", border: "none", color: "#7a7e8a", cursor: "pointer" }}>✕</button>
+            </div>
+            {[...paramImport.errors, ...paramImport.warnings].map((msg, i) => (
+              <div key={i} style={{ color: i < paramImport.errors.length ? "#e8e0d4" : "#9a9eb0" }}>• {msg}</div>
+            ))}
+          </div>
+        )}
         <h1 style={{ fontSize: 28, fontWeight: 300, margin: "0 0 6px 0", fontFamily: "'Space Mono', monospace", color: "#e8e0d4", lineHeight: 1.2, letterSpacing: "-0.02em" }}>
           When do model safeguards stop mattering?
         </h1>
@@ -517,18 +1845,30 @@ export default function ModelSafeguardsDashboard() {
           {/* ── Controls ── */}
           <div>
             <div style={{ ...panelStyle, marginBottom: 16 }}>
-              <div style={sectionLabelStyle("#6ECFB0")}>Model & Compute</div>
-              <Slider label="Target model size" value={modelSize} onChange={setModelSize} min={1} max={200} step={1} format={v => `${v}B params`} description="Biological foundation model size (Evo2 ≈ 40B)" />
-              <Slider label="Training cost (today)" value={trainingCostBase} onChange={setTrainingCostBase} min={0.1} max={200} step={0.1} format={v => fmt(v * 1e6)} description="Current cost to train from scratch" />
-              <Slider label="Fine-tune cost (today)" value={fineTuneCostBase} onChange={setFineTuneCostBase} min={0.01} max={50} step={0.01} format={v => fmt(v * 1e3)} description="Current LoRA fine-tuning cost" />
-              <Slider label="Initial training decay" value={trainingDecayRate} onChange={setTrainingDecayRate} min={1.2} max={10} step={0.1} format={v => `${v.toFixed(1)}×/yr`} description="Starting annual cost reduction" />
-              <Slider label="Initial fine-tune decay" value={fineTuneDecayRate} onChange={setFineTuneDecayRate} min={1.5} max={15} step={0.1} format={v => `${v.toFixed(1)}×/yr`} description="Starting annual fine-tuning cost reduction" />
+              <div style={sectionLabelStyle(PARAM_GROUPS.timeline.color)}>{PARAM_GROUPS.timeline.label}</div>
+              {paramControls("timeline")}
+            </div>
+
+            <div style={{ ...panelStyle, marginBottom: 16 }}>
+              <div style={sectionLabelStyle(PARAM_GROUPS.model.color)}>{PARAM_GROUPS.model.label}</div>
+              {paramControls("model")}
             </div>
 
             <div style={{ ...panelStyle, marginBottom: 16 }}>
-              <div style={sectionLabelStyle("#9B8FFF")}>Safeguard Robustness Crux</div>
-              <LogSlider label="Steps to break safeguards" value={stepsToBreak} onChange={setStepsToBreak} minExp={2} maxExp={6} format={v => `${fmtSteps(v)} steps`} description="Fine-tuning steps needed to undo safeguards. Basic RLHF: ~1K. Deep Ignorance (SOTA): ~10K." />
-              <Slider label="GPU-hour cost" value={gpuHourCost} onChange={setGpuHourCost} min={0.1} max={10} step={0.1} format={v => `$${v.toFixed(2)}/hr`} description="Current H100 spot pricing" />
+              <div style={sectionLabelStyle(PARAM_GROUPS.safeguards.color)}>{PARAM_GROUPS.safeguards.label}</div>
+              {paramControls("safeguards")}
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                <label style={{ fontSize: 13, fontFamily: "'IBM Plex Mono', monospace", color: "#c4c8d4" }}>Hardware</label>
+                <select value={hardwarePreset} onChange={e => applyHardwarePreset(e.target.value)}
+                  style={{ padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                  {Object.entries(HARDWARE_PRESETS).map(([key, preset]) => <option key={key} value={key}>{preset.label}</option>)}
+                  {hardwarePreset === "custom" && <option value="custom">Custom</option>}
+                </select>
+              </div>
+              <details style={{ marginBottom: 12 }}>
+                <summary style={{ fontSize: 11, color: "#7a7e8a", cursor: "pointer", marginBottom: 10 }}>{PARAM_GROUPS.compute.label} ({FINE_TUNE_METHODS[fineTuneMethod]?.label ?? fineTuneMethod}, {computeEfficiencyFactor}× overhead)</summary>
+                {paramControls("compute")}
+              </details>
               <div style={{ marginTop: 8, padding: "10px 12px", background: "#14161c", borderRadius: 6 }}>
                 <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Breaking safeguards costs:</div>
                 <div style={{ display: "flex", gap: 16, alignItems: "baseline" }}>
@@ -540,34 +1880,118 @@ export default function ModelSafeguardsDashboard() {
 
             <div style={{ ...panelStyle, marginBottom: 16 }}>
               <div style={sectionLabelStyle("#D45D79")}>Attacker Populations</div>
-              <Slider label="Lone actors" value={loneActorCount} onChange={setLoneActorCount} min={100} max={100000} step={100} format={v => fmtNum(v)} description={`Budget: ${fmt(loneActorBudget)} each`} />
-              <Slider label="Small groups" value={smallGroupCount} onChange={setSmallGroupCount} min={1} max={1000} step={1} format={v => fmtNum(v)} description={`Budget: ${fmt(smallGroupBudget)} each`} />
-              <Slider label="Well-funded orgs" value={fundedOrgCount} onChange={setFundedOrgCount} min={1} max={200} step={1} format={v => fmtNum(v)} description={`Budget: ${fmt(fundedOrgBudget)} each`} />
-              <Slider label="State actors" value={stateActorCount} onChange={setStateActorCount} min={1} max={50} step={1} format={v => fmtNum(v)} description={`Budget: ${fmt(stateActorBudget)} each`} />
-              <details style={{ marginTop: 8 }}>
-                <summary style={{ fontSize: 11, color: "#7a7e8a", cursor: "pointer" }}>Adjust budgets</summary>
-                <div style={{ marginTop: 12 }}>
-                  <LogSlider label="Lone actor budget" value={loneActorBudget} onChange={setLoneActorBudget} minExp={2} maxExp={5} format={v => fmt(v)} />
-                  <LogSlider label="Small group budget" value={smallGroupBudget} onChange={setSmallGroupBudget} minExp={3} maxExp={6} format={v => fmt(v)} />
-                  <LogSlider label="Well-funded org budget" value={fundedOrgBudget} onChange={setFundedOrgBudget} minExp={5} maxExp={8} format={v => fmt(v)} />
-                  <LogSlider label="State actor budget" value={stateActorBudget} onChange={setStateActorBudget} minExp={7} maxExp={10} format={v => fmt(v)} />
+              {attackerProfiles.map(profile => (
+                <div key={profile.id} style={{ marginBottom: 12, borderBottom: "1px solid #2a2d38" }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 8 }}>
+                    <input type="color" value={profile.color} onChange={e => updateProfile(profile.id, { color: e.target.value })} title="Profile color"
+                      style={{ width: 18, height: 18, padding: 0, border: "none", background: "none", cursor: "pointer" }} />
+                    <input type="text" value={profile.name} onChange={e => updateProfile(profile.id, { name: e.target.value })}
+                      style={{ flex: 1, padding: "2px 4px", background: "transparent", border: "1px solid transparent", borderRadius: 4, color: profile.color, fontSize: 13, fontFamily: "'IBM Plex Mono', monospace" }} />
+                    <button onClick={() => deleteProfile(profile.id)} disabled={attackerProfiles.length <= 1} title="Delete profile"
+                      style={{ background: "none", border: "none", color: attackerProfiles.length <= 1 ? "#3a3d48" : "#D45D79", cursor: "pointer", fontSize: 12 }}>✕</button>
+                  </div>
+                  <LogSlider label="Count" value={profile.count} onChange={v => updateProfile(profile.id, { count: Math.round(v) })} minExp={0} maxExp={6} format={v => fmtNum(v)} />
+                  <LogSlider label={profile.budgetModel === "point" ? "Budget each" : "Median budget"} value={profile.budget} onChange={v => updateProfileBudget(profile, v)} minExp={2} maxExp={10} format={v => fmt(v)} />
+                  <div style={{ display: "flex", gap: 4, marginBottom: 12 }} title="How budgets vary across this population">
+                    {Object.entries(BUDGET_MODELS).map(([id, model]) => (
+                      <button key={id} onClick={() => updateProfile(profile.id, { budgetModel: id })}
+                        style={{ flex: 1, padding: "3px 4px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, fontSize: 10, fontFamily: "'IBM Plex Mono', monospace",
+                          background: profile.budgetModel === id ? `${profile.color}20` : "transparent", color: profile.budgetModel === id ? profile.color : "#7a7e8a" }}>
+                        {model.label}
+                      </button>
+                    ))}
+                  </div>
+                  {profile.budgetModel === "lognormal" && (
+                    <Slider label="Budget spread (σ)" value={profile.budgetSigma} onChange={v => updateProfile(profile.id, { budgetSigma: v })}
+                      min={PROFILE_BUDGET_FIELDS.budgetSigma.min} max={PROFILE_BUDGET_FIELDS.budgetSigma.max} step={0.05}
+                      format={v => { const { p10, p90 } = budgetPercentiles({ ...profile, budgetSigma: v }); return `${v.toFixed(2)} · ${fmt(p10)}–${fmt(p90)}`; }}
+                      description="Log-space standard deviation; the range shown is P10–P90" />
+                  )}
+                  {profile.budgetModel === "quantiles" && (
+                    <>
+                      <LogSlider label="P10 budget" value={profile.budgetP10} onChange={v => updateProfile(profile.id, { budgetP10: Math.min(v, profile.budget) })}
+                        minExp={Math.log10(PROFILE_BUDGET_FIELDS.budgetP10.min)} maxExp={Math.log10(profile.budget)} format={v => fmt(v)} />
+                      <LogSlider label="P90 budget" value={profile.budgetP90} onChange={v => updateProfile(profile.id, { budgetP90: Math.max(v, profile.budget) })}
+                        minExp={Math.log10(profile.budget)} maxExp={Math.log10(PROFILE_BUDGET_FIELDS.budgetP90.max)} format={v => fmt(v)} />
+                    </>
+                  )}
+                  {params.skillBarrier && (
+                    <Slider label="Skill" value={profile.skill} onChange={v => updateProfile(profile.id, { skill: v })}
+                      min={PROFILE_SKILL_FIELD.min} max={PROFILE_SKILL_FIELD.max} step={0.5} format={PARAM_FORMATS.skill}
+                      description="Typical expertise, including wet-lab tacit knowledge" />
+                  )}
+                  <details style={{ marginBottom: 10 }}>
+                    <summary style={{ fontSize: 11, color: "#7a7e8a", cursor: "pointer" }}>Notes{profile.notes ? " ✎" : ""}</summary>
+                    <textarea value={profile.notes} onChange={e => updateProfile(profile.id, { notes: e.target.value })} rows={2} placeholder="Sources, assumptions…"
+                      style={{ width: "100%", marginTop: 6, padding: "6px 8px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#c4c8d4", fontSize: 11, resize: "vertical" }} />
+                  </details>
                 </div>
-              </details>
+              ))}
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                <button onClick={addProfile} style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "transparent", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>+ Add profile</button>
+                <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "#7a7e8a" }} title="Profile the relevance window and break-cost burden are measured against">
+                  Reference
+                  <select value={results.referenceProfile?.id ?? ""} onChange={e => setParam("referenceProfileId")(e.target.value)}
+                    style={{ maxWidth: 120, padding: "2px 4px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#c4c8d4", fontSize: 10 }}>
+                    {attackerProfiles.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                  </select>
+                </label>
+              </div>
+            </div>
+
+            <div style={{ ...panelStyle, marginBottom: 16 }}>
+              <div style={sectionLabelStyle(PARAM_GROUPS.skill.color)}>{PARAM_GROUPS.skill.label}</div>
+              {paramControls("skill")}
+            </div>
+
+            <div style={{ ...panelStyle, marginBottom: 16 }}>
+              <div style={sectionLabelStyle(PARAM_GROUPS.release.color)}>{PARAM_GROUPS.release.label}</div>
+              <div style={{ fontSize: 11, color: "#5a5e6a", marginBottom: 16, lineHeight: 1.4 }}>
+                An attacker holding the weights skips training; it only pays to break safeguards the weights still carry.
+              </div>
+              {paramControls("release")}
             </div>
 
             <div style={{ ...panelStyle, marginBottom: 16 }}>
-              <div style={sectionLabelStyle("#F2C46D")}>Physical Limits</div>
-              <Slider label="Training damping" value={trainingDamping} onChange={setTrainingDamping} min={0} max={0.5} step={0.01} format={v => v < 0.01 ? "None" : v.toFixed(2)} description="How fast training decay rate slows" />
-              <Slider label="Training floor" value={trainingFloor} onChange={setTrainingFloor} min={1} max={5000} step={1} format={v => fmt(v * 1e3)} description="Irreducible minimum cost" />
+              <div style={sectionLabelStyle(PARAM_GROUPS.limits.color)}>{PARAM_GROUPS.limits.label}</div>
+              {paramControls("limits")}
+            </div>
+
+            <div style={{ ...panelStyle, marginBottom: 16 }}>
+              <div style={sectionLabelStyle(PARAM_GROUPS.curves.color)}>{PARAM_GROUPS.curves.label}</div>
+              {paramControls("curves")}
+            </div>
+
+            <div style={{ ...panelStyle, marginBottom: 16 }}>
+              <div style={sectionLabelStyle(PARAM_GROUPS.chain.color)}>{PARAM_GROUPS.chain.label}</div>
+              <div style={{ fontSize: 11, color: "#5a5e6a", marginBottom: 16, lineHeight: 1.4 }}>
+                Chance each stage succeeds before interventions. An attack needs every stage.
+              </div>
+              {paramControls("chain")}
             </div>
 
             <div style={panelStyle}>
-              <div style={sectionLabelStyle("#E88B6E")}>Interventions</div>
-              <Slider label="Safeguard strength" value={safeguardStrength} onChange={setSafeguardStrength} min={0} max={100} step={1} format={v => `${v}%`} description="Resistance to fine-tuning attacks" />
-              <Slider label="Synthesis screening" value={screeningCoverage} onChange={setScreeningCoverage} min={0} max={100} step={1} format={v => `${v}%`} description="Provider coverage" />
-              <Slider label="Novel detection" value={screeningNovelDetect} onChange={setScreeningNovelDetect} min={0} max={100} step={1} format={v => `${v}%`} description="Catch rate for AI-designed sequences" />
-              <Slider label="Surveillance" value={surveillanceEff} onChange={setSurveillanceEff} min={0} max={100} step={1} format={v => `${v}%`} description="Metagenomic surveillance effectiveness" />
+              <div style={sectionLabelStyle(PARAM_GROUPS.interventions.color)}>{PARAM_GROUPS.interventions.label}</div>
+              {paramControls("interventions")}
+            </div>
+
+            <div style={{ ...panelStyle, marginTop: 16 }}>
+              <div style={sectionLabelStyle(PARAM_GROUPS.trajectories.color)}>{PARAM_GROUPS.trajectories.label}</div>
+              <div style={{ fontSize: 11, color: "#5a5e6a", marginBottom: 16, lineHeight: 1.4 }}>
+                Each intervention starts at its slider value. Ramp it toward a target or draw it year by year; the threat matrix uses each year's strength.
+              </div>
+              {paramControls("trajectories")}
             </div>
+
+            <details style={{ ...panelStyle, marginTop: 16 }}>
+              <summary style={{ ...sectionLabelStyle(PARAM_GROUPS.advanced.color), marginBottom: 0, cursor: "pointer" }}>
+                {PARAM_GROUPS.advanced.label}{advancedModified ? ` (${advancedModified} modified)` : ""}
+              </summary>
+              <div style={{ fontSize: 11, color: "#5a5e6a", margin: "10px 0 16px", lineHeight: 1.4 }}>
+                Model internals that are usually left at their defaults.
+              </div>
+              {paramControls("advanced")}
+            </details>
           </div>
 
           {/* ── Visualizations ── */}
@@ -583,47 +2007,57 @@ export default function ModelSafeguardsDashboard() {
               ))}
             </div>
 
+            {/* ── Evaluation year scrubber ── */}
+            <div style={{ ...panelStyle, padding: "14px 20px 0", marginBottom: 16, display: "flex", alignItems: "center", gap: 14 }}>
+              <button onClick={togglePlayback} title={playing ? "Pause" : "Play through the horizon"}
+                style={{ width: 32, height: 32, marginBottom: 20, flexShrink: 0, border: "1px solid #9B8FFF40", borderRadius: "50%", background: playing ? "#9B8FFF20" : "transparent", color: "#9B8FFF", cursor: "pointer", fontSize: 12 }}>
+                {playing ? "❚❚" : "▶"}
+              </button>
+              <div style={{ flex: 1 }}>
+                <Slider label={PARAM_GROUPS.evaluation.label} value={results.evaluationYear} min={0} max={results.horizonYears} step={1 / results.stepsPerYear}
+                  onChange={v => { setPlaying(false); setParam("evaluationYear")(v); }}
+                  format={v => periodLabel(indexAtYear(results, v))} defaultValue={DEFAULT_PARAMS.evaluationYear} />
+              </div>
+            </div>
+
             {/* ── Cruxes tab ── */}
             {activeTab === "cruxes" && (
               <div>
                 {/* Crux 1: Training from scratch */}
                 <div style={{ ...panelStyle, marginBottom: 16 }}>
                   <div style={{ fontSize: 14, fontWeight: 500, marginBottom: 12, fontFamily: "'Space Mono', monospace", color: "#D45D79" }}>
-                    Crux 1: Who can train a {modelSize}B model without safeguards?
+                    Crux 1: Who can train a {modelSize}B{efficiencyGains && "-class"} model without safeguards?
                   </div>
                   
-                  <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10, marginBottom: 16 }}>
-                    <div style={statBox}>
-                      <div style={statLabel}>Today</div>
-                      <div style={statValue()}>{fmt(results.trainingCosts[0])}</div>
-                      <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtNum(results.canTrainByYear[0])} can afford</div>
-                    </div>
-                    <div style={statBox}>
-                      <div style={statLabel}>Year 5</div>
-                      <div style={statValue(results.canTrainByYear[5] > 100 ? "#D45D79" : "#F2C46D")}>{fmt(results.trainingCosts[5])}</div>
-                      <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtNum(results.canTrainByYear[5])} can afford</div>
-                    </div>
-                    <div style={statBox}>
-                      <div style={statLabel}>Year 10</div>
-                      <div style={statValue(results.canTrainByYear[10] > 100 ? "#D45D79" : "#F2C46D")}>{fmt(results.trainingCosts[10])}</div>
-                      <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtNum(results.canTrainByYear[10])} can afford</div>
-                    </div>
-                    <div style={statBox}>
-                      <div style={statLabel}>Year 15</div>
-                      <div style={statValue(results.canTrainByYear[15] > 1000 ? "#D45D79" : "#F2C46D")}>{fmt(results.trainingCosts[Math.min(15, YEARS)])}</div>
-                      <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtNum(results.canTrainByYear[Math.min(15, YEARS)])} can afford</div>
-                    </div>
+                  <div style={{ display: "grid", gridTemplateColumns: `repeat(${cruxCheckpoints.length}, 1fr)`, gap: 10, marginBottom: 16 }}>
+                    {cruxCheckpoints.map(i => (
+                      <div key={i} style={checkpointBox(i)}>
+                        <div style={statLabel}>{i === 0 ? `Today (${periodLabel(i)})` : periodLabel(i)}</div>
+                        <div style={statValue(i === 0 ? undefined : results.canTrainByYear[i] > (i === last ? 1000 : 100) ? "#D45D79" : "#F2C46D")}>{fmt(results.trainingCosts[i])}</div>
+                        <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtNum(results.canTrainByYear[i])} can afford</div>
+                        {efficiencyGains && <div style={{ fontSize: 10, color: "#5a5e6a" }}>{PARAM_FORMATS.params(results.modelSizes[i])} needed</div>}
+                        {weightsInPlay && <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtActors(results.canUseWeightsByYear[i])} can use obtained weights</div>}
+                      </div>
+                    ))}
                   </div>
 
                   <div style={{ marginBottom: 12 }}>
-                    {attackerProfiles.map(p => {
-                      const yearAfford = results.trainingCosts.findIndex(c => p.budget >= c);
+                    {attackerProfiles.map((p, k) => {
+                      const shares = results.trainAffordShare[k];
+                      const yearAfford = shares.findIndex(s => s >= 1);
+                      // For a spread budget: when the first tenth and half of the population can afford it
+                      const from = (share) => {
+                        const i = shares.findIndex(s => s >= share);
+                        return i < 0 ? `after ${lastPeriod}` : i === 0 ? "now" : `from ${periodLabel(i)}`;
+                      };
                       return (
                         <div key={p.name} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
                           <div style={{ width: 8, height: 8, borderRadius: "50%", background: p.color }} />
-                          <span style={{ fontSize: 12, color: p.color, fontFamily: "'IBM Plex Mono', monospace", width: 140 }}>{p.name} ({fmtNum(p.count)})</span>
+                          <span style={{ fontSize: 12, color: p.color, fontFamily: "'IBM Plex Mono', monospace", width: 140, flexShrink: 0 }}>{p.name} ({fmtNum(p.count)})</span>
                           <span style={{ fontSize: 12, color: "#e8e0d4" }}>
-                            {yearAfford < 0 ? `Can't afford in ${YEARS}y` : yearAfford === 0 ? "Can afford now" : `Can afford in +${yearAfford}y`}
+                            {p.budgetModel !== "point"
+                              ? `${fmtNum(p.count * shares[evalIdx])} (${+(shares[evalIdx] * 100).toPrecision(2)}%) can afford in ${evalLabel} · 10% ${from(0.1)} · half ${from(0.5)}`
+                              : yearAfford < 0 ? `Can't afford by ${lastPeriod}` : yearAfford === 0 ? "Can afford now" : `Can afford from ${periodLabel(yearAfford)}`}
                           </span>
                         </div>
                       );
@@ -631,13 +2065,7 @@ export default function ModelSafeguardsDashboard() {
                   </div>
 
                   <div style={insightStyle("#D45D79")}>
-                    <div style={insightText}>
-                      {results.canTrainByYear[5] > 100
-                        ? `⚠ By year 5, ${fmtNum(results.canTrainByYear[5])} actors can train from scratch at ${fmt(results.trainingCosts[5])}, completely bypassing model safeguards.`
-                        : results.canTrainByYear[10] > 100
-                          ? `Training remains expensive through year 5 (${fmt(results.trainingCosts[5])}, only ${fmtNum(results.canTrainByYear[5])} can afford), but ${fmtNum(results.canTrainByYear[10])} can by year 10 at ${fmt(results.trainingCosts[10])}.`
-                          : `Training remains prohibitive through year 10 at ${fmt(results.trainingCosts[10])}. Model safeguards have extended relevance.`}
-                    </div>
+                    <div style={insightText}>{insights.training}</div>
                   </div>
                 </div>
 
@@ -664,27 +2092,37 @@ export default function ModelSafeguardsDashboard() {
 
                   <div style={{ marginBottom: 16 }}>
                     <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 8 }}>SAFEGUARD BENCHMARKS (cost for {modelSize}B model)</div>
-                    {[
-                      { name: "Basic RLHF", steps: 1000, color: "#D45D79", note: "broken in minutes" },
-                      { name: "Constitutional AI", steps: 5000, color: "#E88B6E", note: "" },
-                      { name: "Deep Ignorance (SOTA)", steps: 10000, color: "#F2C46D", note: "2025" },
-                    ].map(bench => (
-                      <div key={bench.name} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                    {benchmarkBars.map(bench => (
+                      <div key={bench.id} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}
+                        title={`${bench.method}: ${fmtSteps(bench.stepsToBreak)} steps on a ${bench.modelSizeB}B model (${bench.hardware || "hardware n/a"}, ${ATTACK_TYPES[bench.attackType]}), ${bench.year}. ${bench.citation}. Confidence: ${bench.confidence}.`}>
                         <div style={{ width: 130 }}>
-                          <span style={{ fontSize: 11, color: bench.color }}>{bench.name}</span>
-                          {bench.note && <span style={{ fontSize: 9, color: "#5a5e6a", marginLeft: 4 }}>{bench.note}</span>}
+                          <span style={{ fontSize: 11, color: bench.color }}>{bench.method}</span>
+                          <span style={{ fontSize: 9, color: "#5a5e6a", marginLeft: 4 }}>{bench.year}</span>
+                          {bench.sizeMismatch && (
+                            <span style={{ fontSize: 9, color: bench.extrapolated ? "#9B8FFF" : "#F2C46D", marginLeft: 4 }}>
+                              {bench.extrapolated ? `↗ from ${bench.modelSizeB}B` : `⚠ ${bench.modelSizeB}B`}
+                            </span>
+                          )}
                         </div>
                         <div style={{ flex: 1, height: 6, background: "#2a2d38", borderRadius: 3, position: "relative" }}>
                           <div style={{
                             position: "absolute", height: "100%", borderRadius: 3,
-                            width: `${Math.min(100, Math.log10(bench.steps) / 6 * 100)}%`,
-                            background: bench.color, opacity: 0.6
+                            width: `${Math.min(100, Math.max(0, Math.log10(bench.steps) / 6 * 100))}%`,
+                            background: bench.color, opacity: CONFIDENCE_OPACITY[bench.confidence]
                           }} />
                         </div>
                         <span style={{ fontSize: 10, color: "#7a7e8a", width: 40, textAlign: "right" }}>{fmtSteps(bench.steps)}</span>
-                        <span style={{ fontSize: 10, color: bench.color, width: 55, textAlign: "right", fontWeight: 600 }}>{fmt(stepsToBreakCost(bench.steps, modelSize, gpuHourCost))}</span>
+                        <span style={{ fontSize: 10, color: bench.color, width: 55, textAlign: "right", fontWeight: 600 }}>{fmt(bench.cost)}</span>
                       </div>
                     ))}
+                    {benchmarkBars.some(b => b.sizeMismatch) && (
+                      <div style={{ fontSize: 10, color: "#5a5e6a", marginTop: 6, lineHeight: 1.4 }}>
+                        {extrapolateBenchmarks
+                          ? <>↗ Steps extrapolated to {modelSize}B assuming steps ∝ size<sup>{benchmarkSizeExponent}</sup>.</>
+                          : <>⚠ Measured on a different model size; steps shown as published. Robustness may not transfer to {modelSize}B.</>}
+                        {" "}Bar opacity reflects confidence in the estimate.
+                      </div>
+                    )}
                     {/* Your method slider visualization */}
                     <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8, marginBottom: 4, padding: "6px 0", borderTop: "1px solid #2a2d38" }}>
                       <div style={{ width: 130 }}>
@@ -702,20 +2140,54 @@ export default function ModelSafeguardsDashboard() {
                       <span style={{ fontSize: 10, color: "#6ECFB0", width: 55, textAlign: "right", fontWeight: 600 }}>{fmt(results.breakCost)}</span>
                     </div>
                     <div style={{ marginTop: 10, padding: "8px 10px", background: "#D45D7915", borderRadius: 4, fontSize: 11, color: "#c4c8d4", lineHeight: 1.4 }}>
-                      <strong style={{ color: "#D45D79" }}>Context:</strong> Deep Ignorance (SOTA, 2025) resists 10K steps — costs <strong>{fmt(stepsToBreakCost(10000, modelSize, gpuHourCost))}</strong> to break.
-                      Prior methods fell to "a few dozen steps." Adjust the slider above to model hypothetical improved methods.
+                      <strong style={{ color: "#D45D79" }}>Context:</strong>{" "}
+                      {strongestBenchmark
+                        ? <>{strongestBenchmark.method} ({strongestBenchmark.year}) resists {fmtSteps(strongestBenchmark.steps)} steps — costs <strong>{fmt(strongestBenchmark.cost)}</strong> to break.</>
+                        : "No benchmarks in the registry."}
+                      {" "}Prior methods fell to "a few dozen steps." Adjust the slider above to model hypothetical improved methods.
                     </div>
+
+                    <details style={{ marginTop: 10 }}>
+                      <summary style={{ fontSize: 11, color: "#7a7e8a", cursor: "pointer" }}>Benchmark registry ({benchmarks.length})</summary>
+                      <div style={{ marginTop: 10 }}>
+                        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#9a9eb0", marginBottom: 10, flexWrap: "wrap" }}>
+                          <input type="checkbox" checked={extrapolateBenchmarks} onChange={e => setExtrapolateBenchmarks(e.target.checked)} />
+                          Extrapolate steps to {modelSize}B as steps ∝ size^
+                          <input type="number" value={benchmarkSizeExponent} step={0.1} min={-2} max={2} disabled={!extrapolateBenchmarks}
+                            onChange={e => setBenchmarkSizeExponent(clamp(parseFloat(e.target.value) || 0, -2, 2))}
+                            style={{ width: 50, padding: "2px 4px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11 }} />
+                        </label>
+                        {benchmarks.map(b => (
+                          <BenchmarkRow key={b.id} benchmark={b} onChange={fields => updateBenchmark(b.id, fields)}
+                            onRemove={() => setBenchmarks(prev => prev.filter(x => x.id !== b.id))} />
+                        ))}
+                        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                          {[
+                            { label: "+ Add benchmark", onClick: () => setBenchmarks(prev => [...prev, createBenchmark({ modelSizeB: modelSize })]) },
+                            { label: "Export", onClick: () => downloadFile("safeguard-benchmarks.json", exportBenchmarks(benchmarks)) },
+                            { label: "Reset to defaults", onClick: () => setBenchmarks(DEFAULT_BENCHMARKS) },
+                          ].map(btn => (
+                            <button key={btn.label} onClick={btn.onClick} style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "transparent", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>{btn.label}</button>
+                          ))}
+                          <label style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                            Import
+                            <input type="file" accept="application/json,.json" style={{ display: "none" }}
+                              onChange={e => { importBenchmarkFile(e.target.files[0]); e.target.value = ""; }} />
+                          </label>
+                        </div>
+                        {benchmarkImportMessage && <div style={{ marginTop: 8, fontSize: 10, color: "#9a9eb0" }}>{benchmarkImportMessage}</div>}
+                      </div>
+                    </details>
                   </div>
 
                   <div style={{ marginBottom: 16 }}>
                     <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 8 }}>WHO CAN AFFORD TO BREAK SAFEGUARDS?</div>
-                    <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10 }}>
-                      {["Today", "Year 5", "Year 10", "Year 15"].map((label, i) => {
-                        const yr = [0, 5, 10, 15][i];
-                        const pct = results.safeguardsBlockByYear[yr] * 100;
+                    <div style={{ display: "grid", gridTemplateColumns: `repeat(${cruxCheckpoints.length}, 1fr)`, gap: 10 }}>
+                      {cruxCheckpoints.map(i => {
+                        const pct = results.safeguardsBlockByYear[i] * 100;
                         return (
-                          <div key={label} style={statBox}>
-                            <div style={statLabel}>{label}</div>
+                          <div key={i} style={checkpointBox(i)}>
+                            <div style={statLabel}>{i === 0 ? "Today" : periodLabel(i)}</div>
                             <div style={statValue(pct > 50 ? "#6ECFB0" : pct > 20 ? "#F2C46D" : "#D45D79")}>{pct.toFixed(0)}%</div>
                             <div style={{ fontSize: 10, color: "#5a5e6a" }}>blocked</div>
                           </div>
@@ -725,13 +2197,7 @@ export default function ModelSafeguardsDashboard() {
                   </div>
 
                   <div style={insightStyle("#9B8FFF")}>
-                    <div style={insightText}>
-                      {stepsToBreak < 5000
-                        ? `⚠ At ${fmtSteps(stepsToBreak)} steps, safeguards cost only ${fmt(results.breakCost)} to break — ineffective against all but lone actors.`
-                        : stepsToBreak < 50000
-                          ? `Current robustness (${fmtSteps(stepsToBreak)} steps, ${fmt(results.breakCost)}) blocks small groups but not funded orgs. Need 10× more steps to matter.`
-                          : `Strong robustness: ${fmtSteps(stepsToBreak)} steps = ${fmt(results.breakCost)}. This blocks ${results.safeguardsBlockByYear[5].toFixed(0) * 100}% of fine-tune-capable attackers at year 5.`}
-                    </div>
+                    <div style={insightText}>{insights.robustness}</div>
                   </div>
 
                   <div style={{ marginTop: 16, padding: "12px 14px", background: "#14161c", borderRadius: 8, borderLeft: "3px solid #6ECFB0" }}>
@@ -739,20 +2205,15 @@ export default function ModelSafeguardsDashboard() {
                     <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.5 }}>
                       {(() => {
                         // Reverse the cost calculation: given budget, how many steps?
-                        // cost = gpuHours * gpuHourCost
-                        // gpuHours = steps * (6 * modelSize * 1e9 * 8 * 2048 / 3e15) * efficiencyFactor / 3600
-                        const efficiencyFactor = 15;
-                        const theoreticalSecsPerStep = (6 * modelSize * 1e9 * 8 * 2048) / 3e15;
-                        const actualSecsPerStep = theoreticalSecsPerStep * efficiencyFactor;
                         const gpuHoursForBudget = safeguardBudgetThreshold / gpuHourCost;
-                        const stepsForBudget = (gpuHoursForBudget * 3600) / actualSecsPerStep;
+                        const stepsForBudget = gpuHoursToSteps(gpuHoursForBudget, modelSize, params);
                         return <>
                           To block attackers with budget &lt; <strong style={{ color: "#e8e0d4" }}>{fmt(safeguardBudgetThreshold)}</strong>, 
                           safeguards need ≥ <strong style={{ color: "#e8e0d4" }}>{fmtSteps(stepsForBudget)} steps</strong> ({gpuHoursForBudget.toFixed(1)} GPU-hours).
                         </>;
                       })()}
                       <br />
-                      <span style={{ fontSize: 11, color: "#7a7e8a" }}>Adjust threshold slider to explore different budget targets.</span>
+                      <span style={{ fontSize: 11, color: "#7a7e8a" }}>Adjust the safeguard budget target under Advanced to explore different budget targets.</span>
                     </div>
                   </div>
 
@@ -772,9 +2233,9 @@ export default function ModelSafeguardsDashboard() {
                     
                     <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginBottom: 14 }}>
                       <div style={{ padding: "10px 12px", background: "#14161c", borderRadius: 6 }}>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Attackers blocked (yr 5)</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: results.blockedPct5 >= 50 ? "#6ECFB0" : results.blockedPct5 >= 20 ? "#F2C46D" : "#D45D79", fontFamily: "'IBM Plex Mono', monospace" }}>
-                          {results.blockedPct5.toFixed(0)}%
+                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Attackers blocked ({evalLabel})</div>
+                        <div style={{ fontSize: 18, fontWeight: 600, color: results.blockedPctAtEval >= 50 ? "#6ECFB0" : results.blockedPctAtEval >= 20 ? "#F2C46D" : "#D45D79", fontFamily: "'IBM Plex Mono', monospace" }}>
+                          {results.blockedPctAtEval.toFixed(0)}%
                         </div>
                         <div style={{ fontSize: 9, color: "#5a5e6a", marginTop: 2 }}>of fine-tune-capable actors</div>
                       </div>
@@ -783,14 +2244,14 @@ export default function ModelSafeguardsDashboard() {
                         <div style={{ fontSize: 18, fontWeight: 600, color: results.windowYears >= 5 ? "#6ECFB0" : results.windowYears >= 3 ? "#F2C46D" : "#D45D79", fontFamily: "'IBM Plex Mono', monospace" }}>
                           {results.windowYears}y
                         </div>
-                        <div style={{ fontSize: 9, color: "#5a5e6a", marginTop: 2 }}>until training-from-scratch accessible</div>
+                        <div style={{ fontSize: 9, color: "#5a5e6a", marginTop: 2 }}>{results.windowEndsWithWeights ? "until weights without safeguards likely out" : "until training-from-scratch accessible"}</div>
                       </div>
                       <div style={{ padding: "10px 12px", background: "#14161c", borderRadius: 6 }}>
                         <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Break cost burden</div>
                         <div style={{ fontSize: 18, fontWeight: 600, color: results.breakCostPct >= 10 ? "#6ECFB0" : results.breakCostPct >= 1 ? "#F2C46D" : "#D45D79", fontFamily: "'IBM Plex Mono', monospace" }}>
                           {results.breakCostPct.toFixed(1)}%
                         </div>
-                        <div style={{ fontSize: 9, color: "#5a5e6a", marginTop: 2 }}>of small group budget ({fmt(smallGroupBudget)})</div>
+                        <div style={{ fontSize: 9, color: "#5a5e6a", marginTop: 2 }}>of {results.referenceProfile?.name.toLowerCase()} budget ({fmt(referenceBudget)})</div>
                       </div>
                     </div>
                     
@@ -804,7 +2265,7 @@ export default function ModelSafeguardsDashboard() {
                       <div style={{ fontSize: 11, color: "#9a9eb0", lineHeight: 1.5 }}>
                         <strong style={{ color: "#c4c8d4" }}>1. Safeguards can be undone by fine-tuning.</strong> If a technique can be broken with fine-tuning, 
                         the cost to do so is determined by steps required × compute cost per step. At current settings, that's {fmt(results.breakCost)} today, 
-                        declining to {fmt(results.breakCostsOverTime[5])} by year 5.
+                        declining to {fmt(results.breakCostsOverTime[i5])} by {periodLabel(i5)}.
                         <br /><br />
                         <strong style={{ color: "#c4c8d4" }}>2. Opportunity cost is unspecified.</strong> "Worth investing" compared to what? 
                         The same R&D effort on synthesis screening or surveillance might have higher expected value. 
@@ -833,32 +2294,30 @@ export default function ModelSafeguardsDashboard() {
                     If one barrier is orders of magnitude cheaper to bypass, it's the weak link.
                   </div>
 
+                  <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 12 }}>
+                    Costs in <strong style={{ color: "#9B8FFF" }}>{evalLabel}</strong> — move the evaluation year above to compare other years.
+                  </div>
+
                   {/* Chokepoint visualization */}
                   <div style={{ marginBottom: 16 }}>
-                    {[
-                      { name: "Break model safeguards", cost: results.breakCost, color: "#9B8FFF", note: `${fmtSteps(stepsToBreak)} steps, your settings`, dynamic: true },
-                      { name: "Train model from scratch", cost: results.trainingCosts[0], color: "#D45D79", note: `${modelSize}B model today`, dynamic: true },
-                      { name: "Unscreened DNA synthesis", cost: 100000, color: "#F2C46D", note: "~$0.20/bp × 500K bp genome" },
-                      { name: "Benchtop DNA printer", cost: 100000, color: "#F2C46D", note: "Equipment + consumables" },
-                      { name: "Basic BSL-2 lab setup", cost: 100000, color: "#6ECFB0", note: "Space, equipment, supplies" },
-                      { name: "BSL-3 lab setup", cost: 1000000, color: "#6ECFB0", note: "Containment infrastructure" },
-                      { name: "Hire domain expert (1 yr)", cost: 250000, color: "#4AA88D", note: "Salary + recruiting" },
-                    ].map((item, i) => {
-                      const maxCost = 2000000; // $2M max for visualization
+                    {chokepointItems.map(item => {
+                      const maxCost = Math.max(2000000, ...chokepointItems.map(c => c.cost)); // at least $2M for visualization
                       const logPct = Math.max(5, (Math.log10(Math.max(1, item.cost)) / Math.log10(maxCost)) * 100);
-                      const isWeakest = item.cost <= results.breakCost && item.dynamic;
+                      const isWeakest = item === weakestLink;
                       return (
-                        <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                        <div key={item.id} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
                           <div style={{ width: 160, flexShrink: 0 }}>
-                            <div style={{ fontSize: 11, color: item.color, fontWeight: item.dynamic ? 600 : 400 }}>{item.name}</div>
+                            <div style={{ fontSize: 11, color: item.color, fontWeight: item.dynamic || isWeakest ? 600 : 400 }}>
+                              {item.name}{isWeakest && <span style={{ marginLeft: 6, fontSize: 9, color: "#D45D79" }}>◀ WEAKEST</span>}
+                            </div>
                             <div style={{ fontSize: 9, color: "#5a5e6a" }}>{item.note}</div>
                           </div>
-                          <div style={{ flex: 1, height: 8, background: "#2a2d38", borderRadius: 4, position: "relative", overflow: "hidden" }}>
+                          <div style={{ flex: 1, height: 8, background: "#2a2d38", borderRadius: 4, position: "relative", overflow: "hidden", outline: isWeakest ? "1px solid #D45D79" : "none" }}>
                             <div style={{
                               position: "absolute", height: "100%", borderRadius: 4,
                               width: `${Math.min(100, logPct)}%`,
                               background: item.color,
-                              opacity: item.dynamic ? 0.9 : 0.5
+                              opacity: item.dynamic || isWeakest ? 0.9 : 0.5
                             }} />
                           </div>
                           <div style={{ width: 70, textAlign: "right" }}>
@@ -871,38 +2330,55 @@ export default function ModelSafeguardsDashboard() {
                     })}
                   </div>
 
+                  <details style={{ marginBottom: 16 }}>
+                    <summary style={{ fontSize: 11, color: "#7a7e8a", cursor: "pointer" }}>Edit chokepoints</summary>
+                    <div style={{ marginTop: 10 }}>
+                      <div style={{ fontSize: 10, color: "#5a5e6a", marginBottom: 10, lineHeight: 1.4 }}>
+                        Each cost follows the same curve as training: it falls by the decay factor per year, the decline slows with damping, and it never drops below the floor. Use decay 1 for a constant cost.
+                      </div>
+                      {params.chokepoints.map(c => (
+                        <ChokepointRow key={c.id} chokepoint={c} onChange={fields => updateChokepoint(c.id, fields)} onRemove={() => deleteChokepoint(c.id)} />
+                      ))}
+                      <button onClick={addChokepoint} style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "transparent", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>+ Add chokepoint</button>
+                    </div>
+                  </details>
+
                   {/* Ratio analysis */}
                   <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 16 }}>
                     <div style={{ padding: "10px 12px", background: "#14161c", borderRadius: 6 }}>
-                      <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Safeguard bypass vs. lab setup</div>
-                      <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Mono', monospace", color: results.breakCost < 10000 ? "#D45D79" : results.breakCost < 50000 ? "#F2C46D" : "#6ECFB0" }}>
-                        {(100000 / results.breakCost).toFixed(0)}×
+                      <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>
+                        Safeguard bypass vs. {cheapestPhysical ? cheapestPhysical.name.toLowerCase() : "physical chokepoints"}
                       </div>
-                      <div style={{ fontSize: 10, color: "#5a5e6a" }}>cheaper to break safeguards</div>
+                      <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Mono', monospace", color: !cheapestPhysical ? "#5a5e6a" : breakCostAtYear < cheapestPhysical.cost * 0.1 ? "#D45D79" : breakCostAtYear < cheapestPhysical.cost * 0.5 ? "#F2C46D" : "#6ECFB0" }}>
+                        {cheapestPhysical ? `${(cheapestPhysical.cost / breakCostAtYear).toFixed(0)}×` : "—"}
+                      </div>
+                      <div style={{ fontSize: 10, color: "#5a5e6a" }}>{cheapestPhysical ? "cheaper to break safeguards than the cheapest physical chokepoint" : "no physical chokepoints defined"}</div>
                     </div>
                     <div style={{ padding: "10px 12px", background: "#14161c", borderRadius: 6 }}>
                       <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Safeguard bypass vs. train from scratch</div>
-                      <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Mono', monospace", color: results.breakCost < results.trainingCosts[0] * 0.01 ? "#D45D79" : results.breakCost < results.trainingCosts[0] * 0.1 ? "#F2C46D" : "#6ECFB0" }}>
-                        {(results.trainingCosts[0] / results.breakCost).toFixed(0)}×
+                      <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Mono', monospace", color: breakCostAtYear < trainCostAtYear * 0.01 ? "#D45D79" : breakCostAtYear < trainCostAtYear * 0.1 ? "#F2C46D" : "#6ECFB0" }}>
+                        {(trainCostAtYear / breakCostAtYear).toFixed(0)}×
                       </div>
                       <div style={{ fontSize: 10, color: "#5a5e6a" }}>cheaper to break safeguards</div>
                     </div>
                   </div>
 
-                  <div style={{ padding: "10px 14px", borderLeft: "2px solid #E88B6E", background: "#E88B6E10", borderRadius: "0 6px 6px 0" }}>
-                    <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.5 }}>
-                      {results.breakCost < 1000 
-                        ? `⚠ At ${fmt(results.breakCost)}, breaking safeguards is ~${(100000 / results.breakCost).toFixed(0)}× cheaper than physical infrastructure. Safeguards are the weakest link by far.`
-                        : results.breakCost < 10000
-                          ? `Breaking safeguards (${fmt(results.breakCost)}) is still ~${(100000 / results.breakCost).toFixed(0)}× cheaper than lab setup. Not the binding constraint on serious attackers.`
-                          : results.breakCost < 100000
-                            ? `At ${fmt(results.breakCost)}, safeguard costs approach lab setup costs. Starting to be a meaningful barrier.`
-                            : `At ${fmt(results.breakCost)}, breaking safeguards rivals physical infrastructure costs. Safeguards are a real chokepoint.`}
+                  {cheapestPhysical && (
+                    <div style={{ padding: "10px 14px", borderLeft: "2px solid #E88B6E", background: "#E88B6E10", borderRadius: "0 6px 6px 0" }}>
+                      <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.5 }}>
+                        {breakCostAtYear < cheapestPhysical.cost * 0.01
+                          ? `⚠ At ${fmt(breakCostAtYear)}, breaking safeguards is ~${(cheapestPhysical.cost / breakCostAtYear).toFixed(0)}× cheaper than the cheapest physical chokepoint (${cheapestPhysical.name.toLowerCase()}). Safeguards are the weakest link by far.`
+                          : breakCostAtYear < cheapestPhysical.cost * 0.1
+                            ? `Breaking safeguards (${fmt(breakCostAtYear)}) is still ~${(cheapestPhysical.cost / breakCostAtYear).toFixed(0)}× cheaper than ${cheapestPhysical.name.toLowerCase()}. Not the binding constraint on serious attackers.`
+                            : breakCostAtYear < cheapestPhysical.cost
+                              ? `At ${fmt(breakCostAtYear)}, safeguard costs approach ${cheapestPhysical.name.toLowerCase()} (${fmt(cheapestPhysical.cost)}). Starting to be a meaningful barrier.`
+                              : `At ${fmt(breakCostAtYear)}, breaking safeguards rivals physical infrastructure costs. Safeguards are a real chokepoint.`}
+                      </div>
                     </div>
-                  </div>
+                  )}
                   
                   <div style={{ marginTop: 12, fontSize: 10, color: "#5a5e6a", lineHeight: 1.4 }}>
-                    Physical infrastructure costs are rough estimates and vary by region/context. DNA synthesis costs declining ~15-20%/year.
+                    Physical infrastructure costs are rough estimates and vary by region/context. DNA synthesis defaults to a ~17%/year decline.
                     The key insight: if one chokepoint is 100-1000× cheaper to bypass, it won't be the binding constraint.
                   </div>
 
@@ -947,32 +2423,194 @@ export default function ModelSafeguardsDashboard() {
             {activeTab === "costs" && (
               <div style={panelStyle}>
                 <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Compute cost trajectories</div>
-                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>Solid = with physical limits · Dashed = naive exponential · Log scale</div>
+                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>
+                  Solid = with physical limits · Dashed = naive exponential · Dotted = attacker budgets
+                  {mcResults && ` · Shaded = P10–P90 across ${fmtNum(mcResults.runs)} runs`}
+                </div>
                 <MiniChart
                   data={[{ values: results.trainingCosts }, { values: results.fineTuneCosts }, { values: results.trainingCostsNaive }, { values: results.fineTuneCostsNaive }]}
-                  width={560} height={240}
+                  width={560} height={240} xLabels={periodLabels} marker={evalIdx} exportName="cost-trajectories"
                   colors={["#D45D79", "#6ECFB0", "#D45D79", "#6ECFB0"]}
                   dashed={[false, false, true, true]}
                   legend={["Train (w/ limits)", "Fine-tune (w/ limits)", "Train (naive)", "Fine-tune (naive)"]}
                   yFormat={fmt} logScale={true}
+                  refLines={attackerProfiles.map(a => ({ value: a.budget, label: `${a.name} ${fmt(a.budget)}`, color: a.color }))}
+                  bands={mcResults ? [
+                    { lower: mcResults.trainingCosts.p10, upper: mcResults.trainingCosts.p90, color: "#D45D79", series: 0 },
+                    { lower: mcResults.fineTuneCosts.p10, upper: mcResults.fineTuneCosts.p90, color: "#6ECFB0", series: 1 },
+                  ] : []}
                 />
                 <div style={{ marginTop: 20, padding: "12px 16px", background: "#14161c", borderRadius: 8 }}>
                   <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 10 }}>ATTACKER AFFORDABILITY TIMELINE</div>
                   <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
-                    {attackerProfiles.map(profile => {
-                      const yr = results.trainingCosts.findIndex(c => profile.budget >= c);
+                    {attackerProfiles.map((profile, k) => {
+                      // For a spread budget, when the median actor can afford it
+                      const yr = results.trainAffordShare[k].findIndex(s => s >= 0.5);
                       return (
                         <div key={profile.name} style={{ display: "flex", alignItems: "center", gap: 6, padding: "4px 10px", borderRadius: 4, background: yr >= 0 ? `${profile.color}18` : "#1e2028" }}>
                           <div style={{ width: 6, height: 6, borderRadius: "50%", background: profile.color }} />
                           <span style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: profile.color }}>{profile.name}:</span>
                           <span style={{ fontSize: 12, fontFamily: "'IBM Plex Mono', monospace", color: "#e8e0d4", fontWeight: 600 }}>
-                            {yr < 0 ? `>${YEARS}y` : yr === 0 ? "Now" : `+${yr}y`}
+                            {yr < 0 ? `After ${lastPeriod}` : yr === 0 ? "Now" : periodLabel(yr)}
                           </span>
                         </div>
                       );
                     })}
                   </div>
                 </div>
+
+                {efficiencyGains && (
+                  <div style={{ marginTop: 20, padding: "12px 16px", background: "#14161c", borderRadius: 8 }}>
+                    <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 6 }}>MODEL SIZE NEEDED</div>
+                    <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 10, lineHeight: 1.5 }}>
+                      At {PARAM_FORMATS.rate(params.algorithmicEfficiency)} algorithmic efficiency, the model attackers train in {evalLabel} is {PARAM_FORMATS.params(results.modelSizes[evalIdx])},
+                      so the costs above are for a smaller model each year: training scales with size², fine-tuning and breaking safeguards with size.
+                    </div>
+                    <MiniChart
+                      data={[{ values: results.modelSizes }, { values: results.years.map(t => params.dangerousCapThreshold / params.algorithmicEfficiency ** t) }]}
+                      width={528} height={180} xLabels={periodLabels} marker={evalIdx} exportName="model-size-needed" logScale={true}
+                      colors={["#D45D79", "#F2C46D"]} dashed={[false, true]} legend={["Model attackers train", "Size at the dangerous threshold"]}
+                      yFormat={v => `${+v.toPrecision(2)}B`}
+                    />
+                    <MiniChart
+                      data={[{ values: results.dangerousCapByYear }, { values: results.novelCapByYear }]}
+                      width={528} height={140} xLabels={periodLabels} marker={evalIdx} exportName="capability-over-time"
+                      colors={["#D45D79", "#9B8FFF"]} legend={["Dangerous capability", "Novel-design capability"]} yFormat={fmtChance}
+                    />
+                  </div>
+                )}
+
+                <div style={{ marginTop: 20, padding: "12px 16px", background: "#14161c", borderRadius: 8 }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 6, flexWrap: "wrap" }}>
+                    <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a" }}>CURVE FAMILY COMPARISON</div>
+                    <select value={curveComparisonSeries} onChange={e => setCurveComparisonSeries(e.target.value)} style={{ padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11 }}>
+                      {Object.entries(COST_SERIES).map(([id, series]) => <option key={id} value={id}>{series.label} cost</option>)}
+                    </select>
+                  </div>
+                  <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 10, lineHeight: 1.5 }}>
+                    The {COST_SERIES[curveComparisonSeries].label.toLowerCase()} cost under each curve family, everything else as set. Click a legend entry to hide a family.
+                  </div>
+                  {curveComparison.length > 0 && (
+                    <>
+                      <MiniChart
+                        data={curveComparison.map(c => ({ values: c.results[`${curveComparisonSeries}Costs`] }))}
+                        width={528} height={200} xLabels={periodLabels} marker={evalIdx} exportName={`curve-families-${curveComparisonSeries}`}
+                        colors={curveComparison.map(c => c.color)} dashed={curveComparison.map(c => !c.selected)}
+                        legend={curveComparison.map(c => c.selected ? `${c.label} (selected)` : c.label)}
+                        yFormat={fmt} logScale={true}
+                        refLines={attackerProfiles.map(a => ({ value: a.budget, label: `${a.name} ${fmt(a.budget)}`, color: a.color }))}
+                      />
+                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", marginTop: 12 }}>
+                        <thead>
+                          <tr style={{ color: "#7a7e8a", textAlign: "left" }}>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Family</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Cost in {evalLabel}</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Relevance</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Window</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {curveComparison.map(c => (
+                            <tr key={c.family} style={{ borderTop: "1px solid #2a2d38" }} title={c.description}>
+                              <td style={{ padding: "4px 6px", color: c.color }}>{c.label}{c.selected && " ●"}</td>
+                              <td style={{ padding: "4px 6px", color: "#e8e0d4" }}>{fmt(c.results[`${curveComparisonSeries}Costs`][evalIdx])}</td>
+                              <td style={{ padding: "4px 6px", color: c.results.relevanceLevel === "high" ? "#6ECFB0" : c.results.relevanceLevel === "marginal" ? "#F2C46D" : "#D45D79" }}>
+                                {c.results.relevanceScore.toFixed(0)} ({c.results.relevanceLevel})
+                              </td>
+                              <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{+c.results.windowYears.toFixed(1)}y</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {new Set(curveComparison.map(c => c.results.relevanceLevel)).size > 1 && (
+                        <div style={{ marginTop: 8, fontSize: 11, color: "#F2C46D", lineHeight: 1.5 }}>
+                          ⚠ The relevance level depends on the curve form — the conclusion is not robust to this modeling choice.
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+
+                <div style={{ marginTop: 20, padding: "12px 16px", background: "#14161c", borderRadius: 8 }}>
+                  <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 6 }}>FIT TO HISTORICAL DATA</div>
+                  <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 10, lineHeight: 1.5 }}>
+                    Paste or upload (year, cost in $) observations, e.g. training-cost estimates or GPU-hour prices. The damped exponential's base cost,
+                    initial decay, damping and floor are fitted by least squares on log cost, with the base read at {startYear}.
+                  </div>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+                    <select value={fitTarget} onChange={e => setFitTarget(e.target.value)}
+                      style={{ padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11 }}>
+                      {Object.entries(COST_FIT_TARGETS).map(([id, t]) => <option key={id} value={id}>{t.label} cost curve</option>)}
+                    </select>
+                    <button onClick={() => setFitCsv(EXAMPLE_COST_CSV)} style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "transparent", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>Load example</button>
+                    <label style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "transparent", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                      Upload CSV
+                      <input type="file" accept="text/csv,.csv,.tsv,.txt" style={{ display: "none" }}
+                        onChange={e => { e.target.files[0]?.text().then(setFitCsv); e.target.value = ""; }} />
+                    </label>
+                    {fitCsv && <button onClick={() => setFitCsv("")} style={{ padding: "4px 10px", border: "1px solid #2a2d38", cursor: "pointer", borderRadius: 6, background: "transparent", color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>Clear</button>}
+                  </div>
+                  <textarea value={fitCsv} onChange={e => setFitCsv(e.target.value)} rows={5} placeholder={"year,cost\n2019,4.6M\n2020,$2.1M\n…"}
+                    style={{ width: "100%", padding: "6px 8px", background: "#1a1c24", border: "1px solid #2a2d38", borderRadius: 4, color: "#c4c8d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", resize: "vertical" }} />
+                  {fitData.errors.length > 0 && (
+                    <div style={{ marginTop: 6, fontSize: 10, color: "#F2C46D", lineHeight: 1.5 }}>
+                      Skipped {fitData.errors.length} line{fitData.errors.length === 1 ? "" : "s"}: {fitData.errors.join("; ")}
+                    </div>
+                  )}
+                  {fitData.points.length > 0 && !costFit && (
+                    <div style={{ marginTop: 6, fontSize: 11, color: "#7a7e8a" }}>
+                      Need at least {FIT_MIN_POINTS} points to fit four parameters ({fitData.points.length} so far).
+                    </div>
+                  )}
+                  {costFit && (
+                    <div style={{ marginTop: 14 }}>
+                      <FitChart points={fitData.points} fit={costFit} startYear={startYear} color={COST_FIT_TARGETS[fitTarget].color}
+                        fromYear={Math.min(startYear, ...fitYears)} toYear={Math.max(startYear + horizonYears, ...fitYears)} exportName={`cost-fit-${fitTarget}`} />
+                      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 10, margin: "12px 0" }}>
+                        <div style={statBox}>
+                          <div style={statLabel}>R² (log cost)</div>
+                          <div style={statValue(costFit.rSquared >= 0.9 ? "#6ECFB0" : costFit.rSquared >= 0.7 ? "#F2C46D" : "#D45D79")}>{costFit.rSquared === null ? "—" : costFit.rSquared.toFixed(3)}</div>
+                        </div>
+                        <div style={statBox}>
+                          <div style={statLabel}>Typical miss</div>
+                          <div style={statValue()}>±{costFit.typicalErrorFactor.toFixed(2)}×</div>
+                        </div>
+                        <div style={statBox}>
+                          <div style={statLabel}>Points</div>
+                          <div style={statValue()}>{fitData.points.length}</div>
+                        </div>
+                      </div>
+                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                        <thead>
+                          <tr style={{ color: "#7a7e8a", textAlign: "left" }}>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Parameter</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Current</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Fitted</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {Object.entries(COST_FIT_TARGETS[fitTarget].keys).map(([knob, key]) => (
+                            <tr key={key} style={{ borderTop: "1px solid #2a2d38" }}>
+                              <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{PARAM_DEFS[key].label}</td>
+                              <td style={{ padding: "4px 6px", color: "#7a7e8a" }}>{formatParamValue(PARAM_DEFS[key], params[key])}</td>
+                              <td style={{ padding: "4px 6px", color: costFit.atBounds.includes(knob) ? "#F2C46D" : "#e8e0d4" }}>
+                                {formatParamValue(PARAM_DEFS[key], costFit.params[key])}{costFit.atBounds.includes(knob) && " ⚠"}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {costFit.atBounds.length > 0 && (
+                        <div style={{ marginTop: 8, fontSize: 10, color: "#F2C46D", lineHeight: 1.5 }}>
+                          ⚠ Fitted at the edge of the slider range — the data may call for a value outside it, and the other parameters compensate.
+                        </div>
+                      )}
+                      <button onClick={applyCostFit} style={{ marginTop: 10, padding: "6px 12px", border: `1px solid ${COST_FIT_TARGETS[fitTarget].color}`, cursor: "pointer", borderRadius: 6, background: `${COST_FIT_TARGETS[fitTarget].color}18`, color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                        Apply to {COST_FIT_TARGETS[fitTarget].label.toLowerCase()} sliders
+                      </button>
+                    </div>
+                  )}
+                </div>
               </div>
             )}
 
@@ -983,17 +2621,13 @@ export default function ModelSafeguardsDashboard() {
                 <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>The annual cost reduction multiplier declines as physical limits approach</div>
                 <MiniChart
                   data={[{ values: results.trainingRates }, { values: results.fineTuneRates }]}
-                  width={560} height={200}
+                  width={560} height={200} xLabels={periodLabels} marker={evalIdx} exportName="decay-rates"
                   colors={["#D45D79", "#6ECFB0"]}
                   legend={["Training ×/yr", "Fine-tuning ×/yr"]}
                   yFormat={v => `${v.toFixed(1)}×`}
                 />
                 <div style={{ marginTop: 20, fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#9B8FFF", marginBottom: 12 }}>PHYSICAL LIMIT REGIMES</div>
-                {[
-                  { period: "2025–2030", rate: `${results.trainingRates[0].toFixed(1)}× → ${results.trainingRates[5].toFixed(1)}×`, label: "Golden era", color: "#6ECFB0" },
-                  { period: "2030–2035", rate: `${results.trainingRates[5].toFixed(1)}× → ${results.trainingRates[10].toFixed(1)}×`, label: "Diminishing returns", color: "#F2C46D" },
-                  { period: "2035+", rate: `${results.trainingRates[10].toFixed(1)}× → ${results.trainingRates[Math.min(14, YEARS)].toFixed(1)}×`, label: "Near-plateau", color: "#D45D79" },
-                ].map((r, i) => (
+                {regimes.map((r, i) => (
                   <div key={i} style={{ display: "flex", gap: 12, marginBottom: 8, padding: "8px 12px", background: "#14161c", borderRadius: 6, borderLeft: `3px solid ${r.color}` }}>
                     <div style={{ fontSize: 12, color: r.color, fontFamily: "'IBM Plex Mono', monospace", fontWeight: 600, width: 80 }}>{r.period}</div>
                     <div style={{ fontSize: 11, color: "#7a7e8a", width: 100 }}>{r.rate}/yr</div>
@@ -1007,222 +2641,542 @@ export default function ModelSafeguardsDashboard() {
             {activeTab === "threat" && (
               <div style={panelStyle}>
                 <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Residual threat by attacker profile</div>
-                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>Probability of successful biological threat creation after all interventions</div>
-                <ThreatHeatmap data={results.threatMatrix} years={YEARS + 1} profiles={attackerProfiles} width={560} />
+                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>
+                  Probability of successful biological threat creation after all interventions
+                  {mcResults && ` · Cells show P50 with P10–P90 below (${fmtNum(mcResults.runs)} runs)`}
+                </div>
+                {mcResults
+                  ? <ThreatHeatmap data={mcResults.threatMatrix.p50} range={{ low: mcResults.threatMatrix.p10, high: mcResults.threatMatrix.p90 }} labels={periodLabels} marker={evalIdx} profiles={attackerProfiles} width={560} exportName="threat-matrix"
+                      selected={drilledCell} onSelect={selectThreatCell} />
+                  : <ThreatHeatmap data={results.threatMatrix} labels={periodLabels} marker={evalIdx} profiles={attackerProfiles} width={560} exportName="threat-matrix"
+                      selected={drilledCell} onSelect={selectThreatCell} />}
+                <div style={{ fontSize: 11, color: "#5a5e6a", marginTop: 6 }}>
+                  Click a cell for its attack-chain breakdown{mcResults && " (at the slider values, not across runs)"}.
+                </div>
+                <AttackChainBreakdown params={params} point={results.attackPoints[drilledCell.pointIndex]} profile={attackerProfiles[drilledCell.profileIndex]}
+                  label={periodLabel(drilledCell.pointIndex)} cellValue={results.threatMatrix[drilledCell.profileIndex][drilledCell.pointIndex]}
+                  access={{ safeguarded: results.weightAccess.safeguarded[drilledCell.pointIndex], unsafeguarded: results.weightAccess.unsafeguarded[drilledCell.pointIndex] }}
+                  onClose={threatCell && (() => setThreatCell(null))} />
                 <div style={insightStyle("#F2C46D")}>
-                  <div style={insightText}>
-                    {(() => {
-                      const yr5 = results.threatMatrix.reduce((s, r) => s + r[5], 0) / 4;
-                      if (yr5 > 0.5) return "⚠ Average residual threat at yr 5 exceeds 50%. Intervention portfolio insufficient.";
-                      if (yr5 > 0.25) return "Moderate residual risk. Synthesis screening has highest marginal impact.";
-                      return "Interventions holding through yr 5+. Physical limits extend window.";
-                    })()}
+                  <div style={insightText}>{insights.threat}</div>
+                </div>
+
+                {weightsInPlay && (
+                  <div style={{ padding: "12px 14px", background: "#14161c", borderRadius: 8, marginTop: 16 }}>
+                    <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 6 }}>WEIGHT RELEASE AND LEAKS</div>
+                    <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 10, lineHeight: 1.5 }}>
+                      Chance an attacker can obtain the model's weights, which lets it skip training. {fmtActors(results.canUseWeightsByYear[evalIdx])} actors
+                      are expected to hold them and be able to use them in {evalLabel}
+                      {results.weightsYear >= 0 ? `; weights without safeguards are more likely than not out from ${periodLabel(indexAtYear(results, results.weightsYear))}.` : "."}
+                    </div>
+                    <MiniChart
+                      data={[{ values: results.weightAccess.released }, { values: results.weightAccess.leaked }, { values: results.weightAccess.unsafeguarded }]}
+                      width={528} height={160} xLabels={periodLabels} marker={evalIdx} exportName="weight-access" minTop={0}
+                      colors={["#9B8FFF", "#F2C46D", "#D45D79"]} dashed={[true, true, false]}
+                      legend={["Released", "Leaked", "Without safeguards"]} yFormat={fmtChance}
+                    />
                   </div>
+                )}
+
+                <div style={{ padding: "12px 14px", background: "#14161c", borderRadius: 8, marginTop: 16 }}>
+                  <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 6 }}>EXPERTISE AND AI UPLIFT</div>
+                  {params.skillBarrier ? (
+                    <>
+                      <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 10, lineHeight: 1.5 }}>
+                        Expected actors in each profile who can afford a path and have the skill to complete it in {evalLabel}.
+                        The model lowers the skill needed to train from {results.skillRequired.train.base} to {+results.skillRequired.train.uplifted.toFixed(1)} and
+                        to fine-tune from {results.skillRequired.fineTune.base} to {+results.skillRequired.fineTune.uplifted.toFixed(1)}.
+                      </div>
+                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                        <thead>
+                          <tr style={{ color: "#7a7e8a", textAlign: "left" }}>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Profile</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Skill</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Capable without AI</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>With uplift</th>
+                            <th style={{ padding: "4px 6px", fontWeight: 400 }}>Change</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {upliftSummary.rows.map(row => (
+                            <tr key={row.id} style={{ borderTop: "1px solid #2a2d38" }}>
+                              <td style={{ padding: "4px 6px", color: row.profile.color }}>{row.profile.name}</td>
+                              <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{PARAM_FORMATS.skill(row.profile.skill)}</td>
+                              <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{fmtActors(row.withoutUplift)}</td>
+                              <td style={{ padding: "4px 6px", color: "#e8e0d4" }}>{fmtActors(row.withUplift)}</td>
+                              <td style={{ padding: "4px 6px", color: row.gain > 0 ? "#D45D79" : "#7a7e8a" }}>
+                                {row.gain > 0 ? `+${fmtActors(row.gain)}` : "—"}
+                                {row.withoutUplift > 0 && row.gain > 0 && ` (${(row.withUplift / row.withoutUplift).toFixed(1)}×)`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div style={{ marginTop: 8, fontSize: 11, color: "#c4c8d4", lineHeight: 1.5 }}>
+                        {upliftSummary.noviceGain + upliftSummary.expertGain <= 0
+                          ? "AI uplift adds no capable actors at these settings."
+                          : upliftSummary.noviceGain > upliftSummary.expertGain
+                            ? `Uplift mostly helps novices: ${(upliftSummary.noviceGain / (upliftSummary.noviceGain + upliftSummary.expertGain) * 100).toFixed(0)}% of the newly capable actors are in profiles below graduate level.`
+                            : `Uplift mostly helps experts: ${(upliftSummary.expertGain / (upliftSummary.noviceGain + upliftSummary.expertGain) * 100).toFixed(0)}% of the newly capable actors are in profiles at graduate level or above.`}
+                      </div>
+                    </>
+                  ) : (
+                    <div style={{ fontSize: 11, color: "#5a5e6a", fontStyle: "italic" }}>
+                      Turn on the skill barrier under {PARAM_GROUPS.skill.label} to weigh each path by whether attackers have the expertise to complete it.
+                    </div>
+                  )}
                 </div>
               </div>
             )}
 
-            {/* ── Intervention value ── */}
-            {activeTab === "value" && (
+            {/* ── Aggregate risk ── */}
+            {activeTab === "risk" && (
               <div style={panelStyle}>
-                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Marginal intervention value at year 5</div>
-                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>How much does each intervention reduce expected risk?</div>
-                <InterventionBars interventions={results.interventionValues} width={560} />
-                <div style={insightStyle("#E88B6E")}>
-                  <div style={insightText}>
-                    {(() => {
-                      const sorted = [...results.interventionValues].sort((a, b) => b.value - a.value);
-                      const top = sorted[0];
-                      return `Highest value: ${top.name} (${top.value.toFixed(0)}%). ${
-                        top.name === "Model safeguards" ? "Depends on safeguard robustness crux — check the Cruxes tab." :
-                        top.name === "Synthesis screening" ? "Robust to cost curves AND physical limit assumptions." :
-                        "Effectiveness degrades as costs fall."}`;
-                    })()}
+                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Aggregate risk across attacker populations</div>
+                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16, lineHeight: 1.5 }}>
+                  The threat matrix is the chance one attacker succeeds. Here each profile's chance is weighted by how many actors it has and how often they try,
+                  then added up over profiles and years.
+                  {mcResults && ` Shaded bands are P10–P90 over ${fmtNum(mcResults.runs)} runs.`}
+                </div>
+
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 20px", marginBottom: 4 }}>
+                  {paramControls("risk")}
+                </div>
+
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10, marginBottom: 16 }}>
+                  <div style={statBox}>
+                    <div style={statLabel}>Expected / yr in {evalLabel}</div>
+                    <div style={statValue("#E88B6E")}>{fmtExpected(results.expectedSuccessesByYear[evalIdx])}</div>
                   </div>
+                  <div style={statBox}>
+                    <div style={statLabel}>P(≥1) by {evalLabel}</div>
+                    <div style={statValue("#F2C46D")}>{fmtChance(results.cumulativeRisk[evalIdx])}</div>
+                  </div>
+                  <div style={statBox}>
+                    <div style={statLabel}>P(≥1) by {lastPeriod}</div>
+                    <div style={statValue("#D45D79")}>{fmtChance(results.cumulativeRisk[last])}</div>
+                  </div>
+                  <div style={statBox}>
+                    <div style={statLabel}>Expected over horizon</div>
+                    <div style={statValue()}>{fmtExpected(results.expectedSuccessesTotal)}</div>
+                    {params.discountRate > 0 && <div style={{ fontSize: 10, color: "#5a5e6a" }}>{fmtExpected(results.discountedSuccessesTotal)} discounted</div>}
+                  </div>
+                </div>
+
+                <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 8 }}>EXPECTED SUCCESSFUL ATTACKS PER YEAR</div>
+                <MiniChart
+                  data={[{ values: results.expectedSuccessesByYear }, ...results.expectedSuccessesByProfile.map(values => ({ values }))]}
+                  width={560} height={200} xLabels={periodLabels} marker={evalIdx} exportName="expected-successes" minTop={0}
+                  colors={["#e8e0d4", ...attackerProfiles.map(a => a.color)]} dashed={[false, ...attackerProfiles.map(() => true)]}
+                  legend={["All profiles", ...attackerProfiles.map(a => a.name)]} yFormat={fmtExpected}
+                  bands={mcResults ? [{ lower: mcResults.expectedSuccessesByYear.p10, upper: mcResults.expectedSuccessesByYear.p90, color: "#e8e0d4", series: 0 }] : []}
+                />
+
+                <div style={{ fontSize: 11, color: "#7a7e8a", margin: "16px 0 8px" }}>PROBABILITY OF AT LEAST ONE SUCCESS</div>
+                <MiniChart
+                  data={[{ values: results.cumulativeRisk }]} width={560} height={180} xLabels={periodLabels} marker={evalIdx} exportName="cumulative-risk"
+                  colors={["#D45D79"]} legend={["P(≥1 success) so far"]} yFormat={fmtChance}
+                  bands={mcResults ? [{ lower: mcResults.cumulativeRisk.p10, upper: mcResults.cumulativeRisk.p90, color: "#D45D79", series: 0 }] : []}
+                />
+
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", marginTop: 16 }}>
+                  <thead>
+                    <tr style={{ color: "#7a7e8a", textAlign: "left" }}>
+                      <th style={{ padding: "4px 6px", fontWeight: 400 }}>Profile</th>
+                      <th style={{ padding: "4px 6px", fontWeight: 400 }}>Actors</th>
+                      <th style={{ padding: "4px 6px", fontWeight: 400 }}>Per attempt in {evalLabel}</th>
+                      <th style={{ padding: "4px 6px", fontWeight: 400 }}>Expected over horizon</th>
+                      {params.discountRate > 0 && <th style={{ padding: "4px 6px", fontWeight: 400 }}>Discounted</th>}
+                      <th style={{ padding: "4px 6px", fontWeight: 400, width: "30%" }}>Share</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.riskByProfile.map((row, k) => (
+                      <tr key={row.id} style={{ borderTop: "1px solid #2a2d38" }}>
+                        <td style={{ padding: "4px 6px", color: attackerProfiles[k].color }}>{attackerProfiles[k].name}</td>
+                        <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{fmtNum(attackerProfiles[k].count)}</td>
+                        <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{fmtChance(results.threatMatrix[k][evalIdx])}</td>
+                        <td style={{ padding: "4px 6px", color: "#e8e0d4" }}>{fmtExpected(row.expected)}</td>
+                        {params.discountRate > 0 && <td style={{ padding: "4px 6px", color: "#c4c8d4" }}>{fmtExpected(row.discounted)}</td>}
+                        <td style={{ padding: "4px 6px" }}>
+                          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                            <div style={{ flex: 1, height: 6, background: "#2a2d38", borderRadius: 3 }}>
+                              <div style={{ width: `${row.share * 100}%`, height: "100%", background: attackerProfiles[k].color, borderRadius: 3 }} />
+                            </div>
+                            <span style={{ color: "#c4c8d4", minWidth: 32, textAlign: "right" }}>{(row.share * 100).toFixed(0)}%</span>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div style={insightStyle("#D45D79")}>
+                  <div style={insightText}>{insights.risk}</div>
+                </div>
+                <div style={{ fontSize: 11, color: "#5a5e6a", marginTop: 12, lineHeight: 1.5 }}>
+                  Assumes attempts are independent and arrive at a steady rate, so successes follow a Poisson process; each point's rate holds until the next point.
+                  The attempt rate is the least certain input here: it scales every number on this tab, but not the share each profile contributes.
                 </div>
               </div>
             )}
 
-            {/* ── Model details ── */}
-            {activeTab === "model" && (
+            {/* ── Intervention value ── */}
+            {activeTab === "value" && (
               <div style={panelStyle}>
-                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 16, fontFamily: "'Space Mono', monospace" }}>Model & Methodology Details</div>
-                
-                {/* Fine-tuning cost model */}
-                <div style={{ marginBottom: 24 }}>
-                  <div style={sectionLabelStyle("#9B8FFF")}>Fine-tuning Cost Model</div>
-                  <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      Converting fine-tuning steps to dollar costs requires modeling the compute required per step.
-                    </p>
-                    <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
-                      <div style={{ color: "#7a7e8a", marginBottom: 8 }}>// Theoretical FLOP per step (LoRA fine-tuning)</div>
-                      <div>FLOP_per_step ≈ 6 × params × batch_size × seq_len</div>
-                      <div style={{ marginTop: 4 }}>= 6 × {modelSize}B × 8 × 2048 = <span style={{ color: "#6ECFB0" }}>{((6 * modelSize * 8 * 2048) / 1e6).toFixed(1)}T FLOP/step</span></div>
-                      <div style={{ marginTop: 12, color: "#7a7e8a" }}>// H100 throughput (theoretical)</div>
-                      <div>~3×10¹⁵ FLOP/s → {(3e15 / (6 * modelSize * 1e9 * 8 * 2048)).toFixed(1)} steps/sec theoretical</div>
-                    </div>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      <strong style={{ color: "#D45D79" }}>However</strong>, real-world training is 10-30× less efficient than theoretical FLOP calculations due to:
-                    </p>
-                    <ul style={{ margin: "0 0 12px 0", paddingLeft: 20, color: "#9a9eb0" }}>
-                      <li>Memory bandwidth limits (not compute-bound)</li>
-                      <li>Optimizer state overhead (Adam momentum, variance)</li>
-                      <li>Gradient accumulation & synchronization</li>
-                      <li>Multi-GPU communication overhead</li>
-                      <li>Data loading & checkpointing</li>
-                    </ul>
-                  </div>
+                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Marginal intervention value in {evalLabel}</div>
+                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>How much does each intervention reduce expected risk?</div>
+                <InterventionBars interventions={results.interventionValues} width={560} exportName="intervention-value" />
+                <div style={insightStyle("#E88B6E")}>
+                  <div style={insightText}>{insights.interventions}</div>
                 </div>
 
-                {/* Empirical calibration */}
-                <div style={{ marginBottom: 24 }}>
-                  <div style={sectionLabelStyle("#6ECFB0")}>Empirical Calibration</div>
-                  <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      We calibrate against empirical data from the <strong>Deep Ignorance</strong> paper (EleutherAI, August 2025):
-                    </p>
-                    <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, marginBottom: 12 }}>
-                      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
-                        <div>
-                          <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Paper's setup</div>
-                          <div style={{ fontSize: 12 }}>6.9B parameter model</div>
-                          <div style={{ fontSize: 12 }}>10,000 fine-tuning steps</div>
-                          <div style={{ fontSize: 12 }}>305M tokens processed</div>
-                          <div style={{ fontSize: 12 }}>2× H200 GPUs</div>
-                        </div>
-                        <div>
-                          <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Measured result</div>
-                          <div style={{ fontSize: 12 }}>~17 GPU-hours wall clock</div>
-                          <div style={{ fontSize: 12 }}>= ~3 seconds/step actual</div>
-                          <div style={{ fontSize: 12 }}>vs ~0.2 sec/step theoretical</div>
-                          <div style={{ fontSize: 12, color: "#F2C46D", fontWeight: 600 }}>≈ 15× efficiency loss</div>
-                        </div>
-                      </div>
-                    </div>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      We apply this <strong style={{ color: "#6ECFB0" }}>15× efficiency factor</strong> to scale theoretical calculations to realistic costs.
-                      This is conservative — some setups may be even less efficient.
-                    </p>
+                <div style={{ fontSize: 11, color: "#7a7e8a", margin: "16px 0 8px" }}>VALUE OVER TIME</div>
+                <MiniChart
+                  data={results.interventionValuesByYear.map(values => ({ values }))} width={560} height={200} xLabels={periodLabels} marker={evalIdx}
+                  exportName="intervention-value-over-time" colors={results.interventionValues.map(iv => iv.color)}
+                  legend={results.interventionValues.map(iv => iv.name)} yFormat={v => `${v.toFixed(0)}%`}
+                />
+                {trajectoriesSet ? (
+                  <>
+                    <div style={{ fontSize: 11, color: "#7a7e8a", margin: "16px 0 8px" }}>STRENGTH TRAJECTORIES</div>
+                    <MiniChart
+                      data={INTERVENTION_KEYS.map(key => ({ values: results.interventionLevels[key] }))} width={560} height={180} xLabels={periodLabels} marker={evalIdx}
+                      exportName="intervention-trajectories" colors={INTERVENTION_KEYS.map(key => DEFENDER_LEVERS.find(l => l.key === key).color)}
+                      legend={INTERVENTION_KEYS.map(key => PARAM_DEFS[key].label)} yFormat={v => `${v.toFixed(0)}%`}
+                    />
+                  </>
+                ) : (
+                  <div style={{ fontSize: 11, color: "#5a5e6a", marginTop: 6, lineHeight: 1.5 }}>
+                    Every intervention holds its slider value over the timeline. Set a ramp or a drawn trajectory under Intervention trajectories to see them change.
                   </div>
-                </div>
+                )}
 
-                {/* Current settings calculation */}
-                <div style={{ marginBottom: 24 }}>
-                  <div style={sectionLabelStyle("#F2C46D")}>Your Current Settings</div>
-                  <div style={{ background: "#14161c", padding: "14px 16px", borderRadius: 6 }}>
-                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16 }}>
-                      <div>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Model size</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: "#e8e0d4", fontFamily: "'IBM Plex Mono', monospace" }}>{modelSize}B</div>
+                {defenderPlan && (
+                  <div style={{ padding: "12px 14px", background: "#14161c", borderRadius: 8, marginTop: 16 }}>
+                    <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 6 }}>DEFENDER BUDGET ALLOCATION</div>
+                    <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 12, lineHeight: 1.5 }}>
+                      Spends the budget on top of the current intervention levels where it most reduces aggregate residual threat: expected successful attacks
+                      over the horizon{params.discountRate > 0 && ", discounted"}, from the Aggregate risk tab. Each further point of an intervention costs more than the last.
+                    </div>
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 20px" }}>
+                      {paramControls("defense")}
+                    </div>
+
+                    <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 10, margin: "4px 0 16px" }}>
+                      <div style={statBox}>
+                        <div style={statLabel}>Threat now</div>
+                        <div style={statValue()}>{fmtExpected(defenderPlan.baseline)}</div>
                       </div>
-                      <div>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Steps to break</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: "#9B8FFF", fontFamily: "'IBM Plex Mono', monospace" }}>{fmtSteps(stepsToBreak)}</div>
+                      <div style={statBox}>
+                        <div style={statLabel}>With {fmt(defenderBudget * 1e6)} spent</div>
+                        <div style={statValue("#6ECFB0")}>{fmtExpected(defenderPlan.optimized)}</div>
                       </div>
-                      <div>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>GPU-hour rate</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: "#e8e0d4", fontFamily: "'IBM Plex Mono', monospace" }}>${gpuHourCost}/hr</div>
+                      <div style={statBox}>
+                        <div style={statLabel}>Reduction</div>
+                        <div style={statValue("#6ECFB0")}>{defenderPlan.baseline > 0 ? fmtChance(1 - defenderPlan.optimized / defenderPlan.baseline) : "—"}</div>
                       </div>
                     </div>
-                    <div style={{ borderTop: "1px solid #2a2d38", marginTop: 14, paddingTop: 14, display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16 }}>
-                      <div>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>GPU-hours needed</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: "#6ECFB0", fontFamily: "'IBM Plex Mono', monospace" }}>{results.breakGpuHours.toFixed(1)}</div>
-                      </div>
-                      <div>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Wall clock (1 GPU)</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: "#e8e0d4", fontFamily: "'IBM Plex Mono', monospace" }}>{(results.breakGpuHours).toFixed(1)}h</div>
-                      </div>
-                      <div>
-                        <div style={{ fontSize: 10, color: "#7a7e8a", marginBottom: 4 }}>Total cost</div>
-                        <div style={{ fontSize: 18, fontWeight: 600, color: "#D45D79", fontFamily: "'IBM Plex Mono', monospace" }}>{fmt(results.breakCost)}</div>
+
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                      <thead>
+                        <tr style={{ color: "#7a7e8a", textAlign: "left" }}>
+                          <th style={{ padding: "4px 6px", fontWeight: 400 }}>Intervention</th>
+                          <th style={{ padding: "4px 6px", fontWeight: 400, width: "28%" }}>Spend</th>
+                          <th style={{ padding: "4px 6px", fontWeight: 400 }}>Level</th>
+                          <th style={{ padding: "4px 6px", fontWeight: 400 }} title="Share of the remaining threat one more $1M would remove">Next $1M</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {DEFENDER_LEVERS.map(lever => {
+                          const spend = defenderPlan.allocation[lever.key];
+                          const def = PARAM_DEFS[lever.key];
+                          const marginal = defenderPlan.optimized > 0 ? defenderPlan.marginalPerMillion[lever.key] / defenderPlan.optimized : 0;
+                          return (
+                            <tr key={lever.key} style={{ borderTop: "1px solid #2a2d38" }}>
+                              <td style={{ padding: "4px 6px", color: lever.color }}>{lever.label}</td>
+                              <td style={{ padding: "4px 6px" }}>
+                                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                                  <div style={{ flex: 1, height: 6, background: "#2a2d38", borderRadius: 3 }}>
+                                    <div style={{ width: `${spend / defenderBudget * 100}%`, height: "100%", background: lever.color, borderRadius: 3 }} />
+                                  </div>
+                                  <span style={{ color: "#e8e0d4", minWidth: 48, textAlign: "right" }}>{spend > 0 ? fmt(spend * 1e6) : "—"}</span>
+                                </div>
+                              </td>
+                              <td style={{ padding: "4px 6px", color: spend > 0 ? "#e8e0d4" : "#7a7e8a" }}>
+                                {formatParamValue(def, params[lever.key])}{spend > 0 && ` → ${formatParamValue(def, defenderPlan.params[lever.key])}`}
+                              </td>
+                              <td style={{ padding: "4px 6px", color: marginal > 0 ? "#c4c8d4" : "#5a5e6a" }}>{marginal > 0 ? `−${+(marginal * 100).toPrecision(2)}%` : "—"}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginTop: 8 }}>
+                      <div style={{ fontSize: 11, color: "#5a5e6a", lineHeight: 1.5 }}>
+                        Next $1M: share of the remaining threat one more million would remove from each intervention at this allocation.
                       </div>
+                      <button onClick={applyDefenderPlan} title="Set the intervention sliders to the optimized levels"
+                        style={{ padding: "6px 12px", border: "none", cursor: "pointer", borderRadius: 6, background: "#2a2d38", color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", whiteSpace: "nowrap" }}>
+                        Apply to sliders
+                      </button>
+                    </div>
+
+                    <div style={{ fontSize: 11, color: "#7a7e8a", margin: "16px 0 8px" }}>EFFICIENT FRONTIER</div>
+                    <MiniChart
+                      data={[{ values: defenderPlan.frontier.map(f => f.objective) }]} width={528} height={180} minTop={0}
+                      xLabels={defenderPlan.frontier.map(f => fmt(f.budget * 1e6))} marker={defenderPlan.budgetIndex} exportName="defender-frontier"
+                      colors={["#6ECFB0"]} legend={["Lowest reachable threat"]} yFormat={fmtExpected}
+                    />
+                    <div style={{ fontSize: 11, color: "#5a5e6a", marginTop: 6, lineHeight: 1.5 }}>
+                      Expected successful attacks at the best allocation of each budget, up to twice the one set. The marker is the budget above.
                     </div>
                   </div>
+                )}
+              </div>
+            )}
+
+            {/* ── Uncertainty ── */}
+            {activeTab === "uncertainty" && (
+              <div style={panelStyle}>
+                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Monte Carlo uncertainty</div>
+                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>
+                  Give uncertain inputs a distribution instead of a point value. Parameters without one stay at their slider value.
+                  When enabled, the Cost curves and Threat matrix tabs show percentile bands.
                 </div>
 
-                {/* Training cost model */}
-                <div style={{ marginBottom: 24 }}>
-                  <div style={sectionLabelStyle("#D45D79")}>Training-from-Scratch Cost Model</div>
-                  <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      Training costs follow a <strong>decaying exponential</strong> model that captures physical limits:
-                    </p>
-                    <div style={{ background: "#14161c", padding: "12px 14px", borderRadius: 6, fontFamily: "'IBM Plex Mono', monospace", fontSize: 11, marginBottom: 12 }}>
-                      <div style={{ color: "#7a7e8a", marginBottom: 8 }}>// Cost model with physical floor</div>
-                      <div>cost(t) = floor + (base − floor) × exp(−∫k(s)ds)</div>
-                      <div style={{ marginTop: 8, color: "#7a7e8a" }}>// Where decay rate k(t) itself decays:</div>
-                      <div>k(t) = k₀ × exp(−damping × t)</div>
+                <div style={{ display: "flex", alignItems: "center", gap: 16, marginBottom: 16, flexWrap: "wrap" }}>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#c4c8d4", cursor: "pointer" }}>
+                    <input type="checkbox" checked={uncertaintyEnabled} onChange={e => setUncertaintyEnabled(e.target.checked)} />
+                    Enable uncertainty mode
+                  </label>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#7a7e8a" }}>
+                    Runs
+                    <select value={mcRuns} onChange={e => setMcRuns(parseInt(e.target.value, 10))}
+                      style={{ padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11 }}>
+                      {RUN_OPTIONS.map(n => <option key={n} value={n}>{fmtNum(n)}</option>)}
+                    </select>
+                  </label>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#7a7e8a" }}>
+                    Seed
+                    <input type="number" value={mcSeed} onChange={e => setMcSeed(parseInt(e.target.value, 10) || 1)}
+                      style={{ width: 60, padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#e8e0d4", fontSize: 11 }} />
+                  </label>
+                </div>
+
+                <div style={{ padding: "12px 14px", background: "#14161c", borderRadius: 8, marginBottom: 16 }}>
+                  <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a", marginBottom: 10 }}>PARAMETER DISTRIBUTIONS</div>
+                  {Object.entries(distributions).map(([key, dist]) => (
+                    <DistributionRow key={key} label={paramDefsFor(params).find(d => d.key === key)?.label ?? key} dist={dist}
+                      onChange={d => setDistributions(prev => ({ ...prev, [key]: d }))}
+                      onRemove={() => setDistributions(prev => { const next = { ...prev }; delete next[key]; return next; })} />
+                  ))}
+                  <select value="" onChange={e => { const key = e.target.value; if (key) setDistributions(prev => ({ ...prev, [key]: defaultDistributionFor(getParamValue(params, key)) })); }}
+                    style={{ marginTop: 4, padding: "4px 6px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 4, color: "#7a7e8a", fontSize: 11 }}>
+                    <option value="">+ Add parameter…</option>
+                    {paramDefsFor(params).filter(d => !distributions[d.key]).map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+                  </select>
+                </div>
+
+                {mcResults ? (
+                  <>
+                    <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 10, marginBottom: 16 }}>
+                      {[["high", "#6ECFB0"], ["marginal", "#F2C46D"], ["low", "#D45D79"]].map(([level, color]) => (
+                        <div key={level} style={statBox}>
+                          <div style={statLabel}>{level} relevance</div>
+                          <div style={statValue(color)}>{(mcRelevance.relevanceLevelShares[level] * 100).toFixed(0)}%</div>
+                          <div style={{ fontSize: 10, color: "#5a5e6a" }}>of runs</div>
+                        </div>
+                      ))}
                     </div>
-                    <p style={{ margin: 0 }}>
-                      This captures three regimes: (1) <strong style={{ color: "#6ECFB0" }}>Golden era</strong> (2025-2030) with rapid cost declines,
-                      (2) <strong style={{ color: "#F2C46D" }}>Diminishing returns</strong> (2030-2035) as easy gains exhaust,
-                      (3) <strong style={{ color: "#D45D79" }}>Near-plateau</strong> (2035+) approaching physical limits.
-                    </p>
-                  </div>
+                    <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 8 }}>RELEVANCE SCORE DISTRIBUTION</div>
+                    <Histogram bins={mcRelevance.relevanceHistogram} width={560} height={170}
+                      colorFor={bin => bin.lo >= 60 ? "#6ECFB0" : bin.lo >= 30 ? "#F2C46D" : "#D45D79"} />
+                    <div style={insightStyle("#9B8FFF")}>
+                      <div style={insightText}>
+                        Safeguards are high relevance in {(mcRelevance.relevanceLevelShares.high * 100).toFixed(0)}% of plausible worlds.
+                        Relevance score P10 / P50 / P90: {mcRelevance.relevanceScorePercentiles.p10.toFixed(0)} / {mcRelevance.relevanceScorePercentiles.p50.toFixed(0)} / {mcRelevance.relevanceScorePercentiles.p90.toFixed(0)}
+                        {" "}(point estimate: {results.relevanceScore.toFixed(0)}).
+                      </div>
+                    </div>
+                  </>
+                ) : (
+                  <div style={{ fontSize: 12, color: "#5a5e6a", fontStyle: "italic" }}>Enable uncertainty mode to sample {fmtNum(mcRuns)} runs.</div>
+                )}
+              </div>
+            )}
+
+            {/* ── Scenario comparison ── */}
+            {activeTab === "compare" && (
+              <div style={panelStyle}>
+                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Scenario comparison</div>
+                <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>Save named scenarios, then tick two or more to compare them. The first ticked scenario is the baseline.</div>
+
+                <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+                  <input type="text" value={scenarioName} placeholder="Scenario name, e.g. Deep Ignorance today"
+                    onChange={e => setScenarioName(e.target.value)} onKeyDown={e => e.key === "Enter" && saveCurrentScenario()}
+                    style={{ flex: 1, padding: "6px 10px", background: "#14161c", border: "1px solid #2a2d38", borderRadius: 6, color: "#e8e0d4", fontSize: 12 }} />
+                  <button onClick={saveCurrentScenario} style={{ padding: "6px 12px", border: "none", cursor: "pointer", borderRadius: 6, background: "#2a2d38", color: "#e8e0d4", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>Save current</button>
                 </div>
 
-                {/* Key assumption */}
-                <div style={{ marginBottom: 24 }}>
-                  <div style={sectionLabelStyle("#D45D79")}>Critical Assumption: Fine-tuning Can Break Safeguards</div>
-                  <div style={{ fontSize: 12, color: "#c4c8d4", lineHeight: 1.7 }}>
-                    <div style={{ background: "#D45D7915", padding: "12px 14px", borderRadius: 6, borderLeft: "3px solid #D45D79", marginBottom: 12 }}>
-                      <strong style={{ color: "#D45D79" }}>This tool assumes any safeguard can be undone with enough fine-tuning steps.</strong>
+                <div style={{ padding: "12px 14px", background: "#14161c", borderRadius: 8, marginBottom: 16 }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                    <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#7a7e8a" }}>SCENARIO LIBRARY ({scenarios.length})</div>
+                    <div style={{ display: "flex", gap: 10, fontSize: 11 }}>
+                      <button onClick={() => downloadFile("scenarios.json", exportScenarios(scenarios))} disabled={!scenarios.length}
+                        style={{ background: "none", border: "none", color: scenarios.length ? "#6ECFB0" : "#5a5e6a", cursor: "pointer", fontSize: 11 }}>Export JSON</button>
+                      <label style={{ color: "#6ECFB0", cursor: "pointer" }}>
+                        Import JSON
+                        <input type="file" accept="application/json,.json" style={{ display: "none" }}
+                          onChange={e => { importScenarioFile(e.target.files[0]); e.target.value = ""; }} />
+                      </label>
                     </div>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      This is the dominant empirical finding for current safeguard methods (RLHF, Constitutional AI, Circuit Breaking, etc.) — 
-                      they can typically be broken in dozens to thousands of steps.
-                    </p>
-                    <p style={{ margin: "0 0 12px 0" }}>
-                      <strong style={{ color: "#6ECFB0" }}>However, this assumption may not hold for all safeguard architectures:</strong>
-                    </p>
-                    <ul style={{ margin: "0 0 12px 0", paddingLeft: 20, color: "#9a9eb0" }}>
-                     <li><strong style={{ color: "#c4c8d4" }}>Distributed representations</strong>: If safety-relevant features are deeply entangled with capability features, 
-                      low-rank fine-tuning (LoRA) may be unable to target them without destroying capabilities.</li>
-                      <li><strong style={{ color: "#c4c8d4" }}>Architectural safeguards</strong>: Hardware-level interventions, inference-time monitors, or 
-                      cryptographic commitments can't be fine-tuned away at all.</li>
-                    </ul>
-                    <p style={{ margin: 0 }}>
-                      If such "qualitatively harder" safeguards prove achievable, the calculus changes significantly — 
-                      the relevant cost comparison becomes training-from-scratch, not fine-tuning.
-                      This remains an open research question.
-                    </p>
                   </div>
+                  {importError && <div style={{ fontSize: 11, color: "#D45D79", marginBottom: 8 }}>{importError}</div>}
+                  {[{ id: "current", name: "Current settings" }, ...scenarios].map(s => (
+                    <div key={s.id} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                      <input type="checkbox" checked={compareIds.includes(s.id)} onChange={() => toggleCompare(s.id)} />
+                      <span style={{ flex: 1, fontSize: 12, color: "#c4c8d4" }}>{s.name}</span>
+                      {s.savedAt && <span style={{ fontSize: 10, color: "#5a5e6a" }}>{new Date(s.savedAt).toLocaleDateString()}</span>}
+                      {s.id !== "current" && (
+                        <>
+                          <button onClick={() => setParams(scenarioParams(s))} style={{ background: "none", border: "none", color: "#9B8FFF", cursor: "pointer", fontSize: 11 }}>Load</button>
+                          <button onClick={() => deleteScenario(s.id)} style={{ background: "none", border: "none", color: "#D45D79", cursor: "pointer", fontSize: 12 }}>✕</button>
+                        </>
+                      )}
+                    </div>
+                  ))}
                 </div>
 
-                {/* Key references */}
-                <div>
-                  <div style={sectionLabelStyle("#7a7e8a")}>Key References</div>
-                  <div style={{ fontSize: 11, color: "#9a9eb0", lineHeight: 1.6 }}>
-                    <div style={{ marginBottom: 8 }}>
-                      <strong style={{ color: "#c4c8d4" }}>Deep Ignorance</strong> (O'Brien, Casper, et al., 2025) — 
-                      "Filtering Pretraining Data Builds Tamper-Resistant Safeguards into Open-Weight LLMs" — 
-                      State-of-the-art tamper resistance, resisting 10K steps of adversarial fine-tuning.
-                      <span style={{ color: "#6ECFB0", marginLeft: 8 }}>arxiv:2508.06601</span>
-                    </div>
-                    <div style={{ marginBottom: 8 }}>
-                      <strong style={{ color: "#c4c8d4" }}>Epoch AI</strong> — Hardware efficiency analysis suggesting ~200× headroom to CMOS ceiling 
-                      (Ho & Erdil, 2023). Process node roadmaps from IRDS, TSMC, Intel.
+                {compared.length >= 2 ? (
+                  <>
+                    <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 8 }}>TRAINING COST (solid) AND SAFEGUARD BREAK COST (dashed)</div>
+                    {compareCosts.xLabels.length >= 2 ? (
+                      <MiniChart
+                        {...compareCosts} width={560} height={240} exportName="scenario-comparison"
+                        colors={compared.flatMap(c => [c.color, c.color])}
+                        dashed={compared.flatMap(() => [false, true])}
+                        legend={compared.flatMap(c => [`${c.name} (train)`, `${c.name} (break)`])}
+                        yFormat={fmt} logScale={true}
+                      />
+                    ) : (
+                      <div style={{ fontSize: 12, color: "#7a7e8a" }}>The selected scenarios' timelines don't overlap, so their costs can't be charted together.</div>
+                    )}
+
+                    <div style={{ fontSize: 11, color: "#7a7e8a", margin: "20px 0 8px" }}>KEY METRICS</div>
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, fontFamily: "'IBM Plex Mono', monospace" }}>
+                      <thead>
+                        <tr>
+                          <th style={{ textAlign: "left", padding: "4px 6px", color: "#5a5e6a", fontWeight: 400 }}></th>
+                          {compared.map(c => <th key={c.id} style={{ textAlign: "right", padding: "4px 6px", color: c.color, fontWeight: 500 }}>{c.name}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          { label: "Relevance score", get: r => `${r.relevanceScore.toFixed(0)} (${r.relevanceLevel})` },
+                          { label: "Relevance window", get: r => `${r.windowYears}y` },
+                          { label: "Blocked at eval. year", get: r => `${r.blockedPctAtEval.toFixed(0)}% (${fmtPeriod(r.calendarYears[r.evaluationIdx], r.stepsPerYear)})` },
+                          { label: "Floor buys", get: r => `${r.floorBuysYears}y` },
+                          { label: "Break cost today", get: r => fmt(r.breakCost) },
+                        ].map(row => (
+                          <tr key={row.label} style={{ borderTop: "1px solid #2a2d38" }}>
+                            <td style={{ padding: "6px", color: "#7a7e8a" }}>{row.label}</td>
+                            {compared.map(c => <td key={c.id} style={{ padding: "6px", textAlign: "right", color: "#e8e0d4" }}>{row.get(c.results)}</td>)}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    {compared.slice(1).map(c => (
+                      <div key={c.id} style={{ marginTop: 20 }}>
+                        <div style={{ fontSize: 11, color: "#7a7e8a", marginBottom: 8 }}>
+                          THREAT DIFFERENCE: <span style={{ color: c.color }}>{c.name}</span> − <span style={{ color: compared[0].color }}>{compared[0].name}</span> (percentage points)
+                        </div>
+                        <ThreatHeatmap diff width={560} {...threatDiff(c.results, compared[0].results)} />
+                      </div>
+                    ))}
+                  </>
+                ) : (
+                  <div style={{ fontSize: 12, color: "#5a5e6a", fontStyle: "italic" }}>Tick at least two scenarios to compare.</div>
+                )}
+              </div>
+            )}
+
+            {/* ── Sensitivity ── */}
+            {activeTab === "sensitivity" && sensitivity && (() => {
+              const metric = SENSITIVITY_METRICS[sensitivityMetric];
+              const metricFmt = sensitivityMetric === "breakCost" ? fmt
+                : sensitivityMetric === "avgThreatAtEval" || sensitivityMetric === "cumulativeRisk" ? (v => `${(v * 100).toFixed(0)}%`)
+                : (v => v.toFixed(0));
+              const rows = sensitivity.rankings[sensitivityMetric].map(p => ({ ...p, ...p.metrics[sensitivityMetric] }));
+              return (
+                <div style={panelStyle}>
+                  <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 4, fontFamily: "'Space Mono', monospace" }}>Sensitivity analysis</div>
+                  <div style={{ fontSize: 12, color: "#7a7e8a", marginBottom: 16 }}>
+                    Each parameter swept across its slider range with all others held at current values.
+                    Purple = parameter at slider min · Green = at slider max · ⚑ = small change flips relevance level
+                  </div>
+                  {sensitivity.base.evaluationIdx !== evalIdx && (
+                    <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: "#F2C46D", marginBottom: 12 }}>
+                      Swept at {periodLabels[sensitivity.base.evaluationIdx]}; the sweep holds while the evaluation year moves.
+                      <button onClick={rerunSensitivity} style={{ padding: "3px 10px", border: "1px solid #F2C46D", borderRadius: 4, background: "transparent", color: "#F2C46D", fontSize: 11, cursor: "pointer" }}>
+                        Re-run at {periodLabels[evalIdx]}
+                      </button>
                     </div>
-                    <div style={{ marginBottom: 8 }}>
-                      <strong style={{ color: "#c4c8d4" }}>Cost calibration</strong> — Training cost estimates from Epoch AI compute trends, 
-                      a16z infrastructure reports, and public cloud GPU pricing (H100 spot ~$2/hr as of 2025).
+                  )}
+                  <div style={{ display: "flex", gap: 2, marginBottom: 16, flexWrap: "wrap" }}>
+                    {Object.entries(SENSITIVITY_METRICS).map(([key, m]) => (
+                      <button key={key} onClick={() => setSensitivityMetric(key)} style={{
+                        padding: "6px 12px", border: "none", cursor: "pointer", borderRadius: 6,
+                        background: sensitivityMetric === key ? "#2a2d38" : "transparent",
+                        color: sensitivityMetric === key ? "#e8e0d4" : "#5a5e6a",
+                        fontSize: 11, fontFamily: "'IBM Plex Mono', monospace"
+                      }}>{m.label}</button>
+                    ))}
+                  </div>
+                  <TornadoChart rows={rows} baseValue={sensitivity.baseMetrics[sensitivityMetric]} width={560} format={metricFmt} />
+
+                  <div style={{ marginTop: 20, padding: "12px 14px", background: "#14161c", borderRadius: 8 }}>
+                    <div style={{ fontSize: 11, fontFamily: "'IBM Plex Mono', monospace", color: "#F2C46D", marginBottom: 10 }}>
+                      THRESHOLD PARAMETERS (current level: {sensitivity.base.relevanceLevel})
                     </div>
-                    <div>
-                      <strong style={{ color: "#c4c8d4" }}>Attacker populations</strong> — Illustrative estimates; 
-                      see Luca Righetti's threat modeling work at GovAI for more rigorous analysis.
+                    {sensitivity.thresholds.length === 0 ? (
+                      <div style={{ fontSize: 12, color: "#7a7e8a" }}>No single parameter flips the relevance level within 10% of its slider range.</div>
+                    ) : sensitivity.thresholds.map(p => (
+                      <div key={p.key} style={{ display: "flex", gap: 8, marginBottom: 6, fontSize: 12 }}>
+                        <span style={{ color: "#c4c8d4", width: 180 }}>{p.label}</span>
+                        <span style={{ color: "#7a7e8a" }}>
+                          {p.nearestFlip.from} → {p.nearestFlip.to} near {p.nearestFlip.value.toPrecision(3)} (now {Number(p.current).toPrecision(3)})
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div style={insightStyle("#9B8FFF")}>
+                    <div style={insightText}>
+                      {rows[0].swing === 0
+                        ? `No single parameter moves ${metric.label.toLowerCase()} away from ${metricFmt(sensitivity.baseMetrics[sensitivityMetric])} on its own — try changing several at once.`
+                        : <>{metric.label} is most sensitive to <strong>{rows[0].label}</strong> (range {metricFmt(rows[0].lo)}–{metricFmt(rows[0].hi)}), then {rows[1].label} and {rows[2].label}.</>}
                     </div>
                   </div>
                 </div>
+              );
+            })()}
+
+            {/* ── Model details ── */}
+            {activeTab === "model" && (
+              <div style={panelStyle}>
+                <div style={{ fontSize: 15, fontWeight: 500, marginBottom: 16, fontFamily: "'Space Mono', monospace" }}>Model & Methodology Details</div>
+                
+                {methodology}
               </div>
             )}
           </div>
         </div>
 
         <div style={{ marginTop: 32, padding: "16px 0", borderTop: "1px solid #2a2d38", fontSize: 11, color: "#5a5e6a", fontFamily: "'IBM Plex Mono', monospace", lineHeight: 1.5 }}>
-          v3 — Steps-to-cost calibrated from Deep Ignorance (EleutherAI 2025): 6.9B model, 10K steps = ~17 GPU-hrs empirical.
-          We use 15× efficiency factor over theoretical FLOP calc to match real-world training costs.
+          v{MODEL_VERSION} — Steps-to-cost calibrated from Deep Ignorance (EleutherAI 2025): 6.9B model, 10K steps = ~17 GPU-hrs empirical.
+          We use a {computeEfficiencyFactor}× efficiency factor over theoretical FLOP calc to match real-world training costs.
           Cost floor model: floor + (base − floor) × exp(−∫k(t)dt). Attacker populations illustrative.
         </div>
       </div>
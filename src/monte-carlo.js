@@ -0,0 +1,175 @@
+// ── Monte Carlo uncertainty mode ─────────────────────────────────
+// Replaces point estimates with distributions: sample parameter sets, run the
+// scenario engine on each, and summarize the spread as percentiles.
+import { DEFAULT_PARAMS, LEGACY_PROFILE_KEYS, assessRelevance, clamp, runScenario } from "./scenario-engine.js";
+import { getParamValue, withParamValue, paramDefForKey } from "./param-schema.js";
+
+export const DISTRIBUTION_TYPES = {
+  uniform: { label: "Uniform", fields: ["min", "max"] },
+  normal: { label: "Normal", fields: ["mean", "sd"] },
+  lognormal: { label: "Lognormal", fields: ["median", "sigma"] },
+  triangular: { label: "Triangular", fields: ["min", "mode", "max"] },
+};
+
+// Run counts offered in the dashboard; links asking for others fall back to the default
+export const RUN_OPTIONS = [500, 1000, 2000, 5000];
+
+// Starting distributions for the inputs we are least sure about
+export const DEFAULT_DISTRIBUTIONS = {
+  trainingDecayRate: { type: "triangular", min: 1.5, mode: 2.5, max: 4 },
+  trainingDamping: { type: "uniform", min: 0.05, max: 0.3 },
+  trainingFloor: { type: "lognormal", median: 50, sigma: 1 },
+  stepsToBreak: { type: "lognormal", median: 10000, sigma: 1.2 },
+  "attackerProfiles.small-group.budget": { type: "lognormal", median: 50000, sigma: 0.8 },
+};
+
+// Why `dist` can't be sampled, or null if it can
+export function validateDistribution(dist) {
+  const def = DISTRIBUTION_TYPES[dist?.type];
+  if (!def) return `Unknown distribution type: ${dist?.type}`;
+  const missing = def.fields.filter(f => typeof dist[f] !== "number" || !Number.isFinite(dist[f]));
+  if (missing.length) return `${missing.join(", ")} must be a number`;
+  switch (dist.type) {
+    case "uniform": return dist.min <= dist.max ? null : "min must not exceed max";
+    case "normal": return dist.sd >= 0 ? null : "sd must not be negative";
+    case "lognormal": return dist.median > 0 && dist.sigma >= 0 ? null : "median must be positive and sigma not negative";
+    case "triangular": return dist.min <= dist.mode && dist.mode <= dist.max ? null : "needs min ≤ mode ≤ max";
+    default: return null;
+  }
+}
+
+// Sensible starting distribution for a parameter currently at `value`
+export function defaultDistributionFor(value) {
+  return { type: "triangular", min: value * 0.5, mode: value, max: value * 1.5 };
+}
+
+// Small seeded PRNG (mulberry32) so a given seed reproduces the same runs
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(rng) {
+  // Box-Muller; 1 - u keeps log() away from zero
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export function sampleDistribution(dist, rng) {
+  switch (dist.type) {
+    case "uniform":
+      return dist.min + (dist.max - dist.min) * rng();
+    case "normal":
+      return dist.mean + dist.sd * standardNormal(rng);
+    case "lognormal":
+      return dist.median * Math.exp(dist.sigma * standardNormal(rng));
+    case "triangular": {
+      const { min, mode, max } = dist;
+      const u = rng();
+      const split = (mode - min) / ((max - min) || 1);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default:
+      throw new Error(`Unknown distribution type: ${dist.type}`);
+  }
+}
+
+// Maps distributions keyed by legacy flat profile params (e.g. smallGroupBudget)
+// onto their attackerProfiles path
+export function migrateDistributionKeys(distributions) {
+  return Object.fromEntries(Object.entries(distributions).map(([key, dist]) => {
+    const legacy = LEGACY_PROFILE_KEYS[key];
+    return [legacy ? `attackerProfiles.${legacy[0]}.${legacy[1]}` : key, dist];
+  }));
+}
+
+// Keys that don't resolve to a numeric parameter (e.g. a deleted profile) are
+// skipped. Samples are clamped to the parameter's range, so a normal tail
+// can't push a cost or budget below zero.
+export function sampleParams(baseParams, distributions, rng) {
+  let sampled = { ...DEFAULT_PARAMS, ...baseParams };
+  for (const [key, dist] of Object.entries(distributions)) {
+    if (typeof getParamValue(sampled, key) !== "number") continue;
+    const value = sampleDistribution(dist, rng);
+    const def = paramDefForKey(key);
+    sampled = withParamValue(sampled, key, def ? clamp(value, def.min, def.max) : value);
+  }
+  return sampled;
+}
+
+// Linear-interpolated percentile of an ascending-sorted array (q in 0..1)
+export function percentile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+const QUANTILES = { p10: 0.1, p50: 0.5, p90: 0.9 };
+
+function seriesPercentiles(runs, pick) {
+  const length = pick(runs[0]).length;
+  const out = { p10: [], p50: [], p90: [] };
+  for (let i = 0; i < length; i++) {
+    const sorted = runs.map(r => pick(r)[i]).sort((a, b) => a - b);
+    for (const [k, q] of Object.entries(QUANTILES)) out[k].push(percentile(sorted, q));
+  }
+  return out;
+}
+
+// Relevance across the runs at evaluation point `evaluationIdx`: the sampled
+// series don't depend on the evaluation year, so moving it only re-reads them
+export function relevanceAt(mc, evaluationIdx, bins = 10) {
+  const scores = mc.relevanceInputs.map(({ blockByYear, ...rest }) =>
+    assessRelevance({ ...rest, blockedPct: blockByYear[Math.min(evaluationIdx, blockByYear.length - 1)] * 100 }));
+  const relevanceScores = scores.map(r => r.relevanceScore);
+  const binWidth = 100 / bins;
+  const relevanceHistogram = Array.from({ length: bins }, (_, i) => ({ lo: i * binWidth, hi: (i + 1) * binWidth, count: 0 }));
+  relevanceScores.forEach(s => { if (Number.isFinite(s)) relevanceHistogram[Math.min(bins - 1, Math.floor(s / binWidth))].count++; });
+  const relevanceLevelShares = { low: 0, marginal: 0, high: 0 };
+  scores.forEach(r => { relevanceLevelShares[r.relevanceLevel]++; });
+  for (const level of Object.keys(relevanceLevelShares)) relevanceLevelShares[level] /= scores.length;
+
+  const sortedScores = [...relevanceScores].sort((a, b) => a - b);
+  return {
+    relevanceScores, relevanceHistogram, relevanceLevelShares,
+    relevanceScorePercentiles: { p10: percentile(sortedScores, 0.1), p50: percentile(sortedScores, 0.5), p90: percentile(sortedScores, 0.9) },
+  };
+}
+
+export function runMonteCarlo(baseParams, distributions, { runs = 1000, seed = 1, bins = 10 } = {}) {
+  const rng = createRng(seed);
+  const samples = Array.from({ length: runs }, () => runScenario(sampleParams(baseParams, distributions, rng)));
+
+  const trainingCosts = seriesPercentiles(samples, r => r.trainingCosts);
+  const fineTuneCosts = seriesPercentiles(samples, r => r.fineTuneCosts);
+  const breakCostsOverTime = seriesPercentiles(samples, r => r.breakCostsOverTime);
+  const expectedSuccessesByYear = seriesPercentiles(samples, r => r.expectedSuccessesByYear);
+  const cumulativeRisk = seriesPercentiles(samples, r => r.cumulativeRisk);
+
+  const threatMatrix = { p10: [], p50: [], p90: [] };
+  samples[0].threatMatrix.forEach((_, pi) => {
+    const row = seriesPercentiles(samples, r => r.threatMatrix[pi]);
+    for (const k of Object.keys(QUANTILES)) threatMatrix[k].push(row[k]);
+  });
+
+  // What each run's relevance assessment needs, for relevanceAt
+  const relevanceInputs = samples.map(r => ({
+    blockByYear: r.safeguardsBlockByYear, windowYears: r.windowYears, windowEndsWithWeights: r.windowEndsWithWeights,
+    breakCostPct: r.breakCostPct, referenceName: r.referenceProfile?.name ?? "Reference profile",
+  }));
+
+  const mc = { runs, trainingCosts, fineTuneCosts, breakCostsOverTime, threatMatrix, expectedSuccessesByYear, cumulativeRisk, relevanceInputs };
+  // Relevance histogram over 0-100 plus share of runs at each level, at the params' evaluation year
+  return { ...mc, ...relevanceAt(mc, samples[0]?.evaluationIdx ?? 0, bins) };
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_PARAMS, runScenario } from "./scenario-engine.js";
+import { PARAM_DEFS } from "./param-schema.js";
+import { DEFAULT_DISTRIBUTIONS, createRng, relevanceAt, runMonteCarlo, sampleParams, validateDistribution } from "./monte-carlo.js";
+
+describe("validateDistribution", () => {
+  it("accepts well-formed distributions", () => {
+    expect(validateDistribution({ type: "triangular", min: 1, mode: 2, max: 3 })).toBeNull();
+    expect(validateDistribution({ type: "lognormal", median: 50, sigma: 1 })).toBeNull();
+  });
+
+  it("rejects inverted, negative-spread and non-positive-median distributions", () => {
+    expect(validateDistribution({ type: "triangular", min: 3, mode: 2, max: 1 })).toBeTruthy();
+    expect(validateDistribution({ type: "uniform", min: 2, max: 1 })).toBeTruthy();
+    expect(validateDistribution({ type: "normal", mean: 1, sd: -1 })).toBeTruthy();
+    expect(validateDistribution({ type: "lognormal", median: 0, sigma: 1 })).toBeTruthy();
+    expect(validateDistribution({ type: "normal", mean: NaN, sd: 1 })).toBeTruthy();
+    expect(validateDistribution({ type: "bogus" })).toBeTruthy();
+  });
+});
+
+describe("sampleParams", () => {
+  it("clamps samples to the parameter's range", () => {
+    const rng = createRng(1);
+    const wide = {
+      trainingFloor: { type: "normal", mean: 0, sd: 1e6 },
+      "attackerProfiles.small-group.budget": { type: "normal", mean: 0, sd: 1e12 },
+    };
+    for (let i = 0; i < 50; i++) {
+      const p = sampleParams(DEFAULT_PARAMS, wide, rng);
+      expect(p.trainingFloor).toBeGreaterThanOrEqual(PARAM_DEFS.trainingFloor.min);
+      expect(p.trainingFloor).toBeLessThanOrEqual(PARAM_DEFS.trainingFloor.max);
+      expect(p.attackerProfiles.find(a => a.id === "small-group").budget).toBeGreaterThanOrEqual(1e2);
+    }
+  });
+});
+
+describe("relevanceAt", () => {
+  it("matches a run made at that evaluation year", () => {
+    const options = { runs: 50, seed: 3 };
+    const atStart = runMonteCarlo({ ...DEFAULT_PARAMS, evaluationYear: 0 }, DEFAULT_DISTRIBUTIONS, options);
+    const atTen = runMonteCarlo({ ...DEFAULT_PARAMS, evaluationYear: 10 }, DEFAULT_DISTRIBUTIONS, options);
+    const rng = createRng(3);
+    const direct = Array.from({ length: 50 }, () => runScenario(sampleParams({ ...DEFAULT_PARAMS, evaluationYear: 10 }, DEFAULT_DISTRIBUTIONS, rng)).relevanceScore);
+    expect(atTen.relevanceScores).toEqual(direct);
+    expect(relevanceAt(atStart, 10)).toEqual({
+      relevanceScores: atTen.relevanceScores, relevanceHistogram: atTen.relevanceHistogram,
+      relevanceLevelShares: atTen.relevanceLevelShares, relevanceScorePercentiles: atTen.relevanceScorePercentiles,
+    });
+  });
+});
@@ -0,0 +1,428 @@
+// ── Parameter schema ─────────────────────────────────────────────
+// Label, unit, range and control for every scalar key in DEFAULT_PARAMS; the
+// dashboard's parameter panel is generated from this list. `group` picks the
+// sidebar panel, `format` how the value is displayed (see the dashboard's
+// PARAM_FORMATS), and `displayScale` converts stored units to dollars.
+// Attacker profile fields are addressed as "attackerProfiles.<id>.<field>".
+// Entries with a `when(params)` predicate only apply, and are only shown,
+// while it holds (e.g. a curve family's parameters while that family is selected).
+// `type: "points"` entries hold a list of values within min–max, one per whole
+// year; an empty list holds the value of their `startKey` parameter.
+import {
+  DEFAULT_PARAMS, FINE_TUNE_METHODS, STEPS_PER_YEAR_OPTIONS, COST_CURVE_FAMILIES, BUDGET_MODELS, ATTACK_STAGES,
+  INTERVENTION_KEYS, TRAJECTORY_TYPES, RAMP_SHAPES, RELEASE_POLICIES, MIN_MODEL_SIZE, migrateLegacyParams,
+} from "./scenario-engine.js";
+
+export const PARAM_GROUPS = {
+  timeline: { label: "Timeline", color: "#7a7e8a" },
+  // Rendered as the global year scrubber above the tabs, not in the sidebar
+  evaluation: { label: "Evaluation year", color: "#9B8FFF" },
+  model: { label: "Model & Compute", color: "#6ECFB0" },
+  safeguards: { label: "Safeguard Robustness Crux", color: "#9B8FFF" },
+  compute: { label: "Fine-tuning compute", color: "#9B8FFF" },
+  limits: { label: "Physical Limits", color: "#F2C46D" },
+  curves: { label: "Cost curve shape", color: "#F2C46D" },
+  skill: { label: "Expertise & AI uplift", color: "#6ECFB0" },
+  chain: { label: "Attack chain", color: "#D45D79" },
+  release: { label: "Weight release & leaks", color: "#D45D79" },
+  // Rendered on the Aggregate risk tab, not in the sidebar
+  risk: { label: "Aggregate risk", color: "#D45D79" },
+  interventions: { label: "Interventions", color: "#E88B6E" },
+  trajectories: { label: "Intervention trajectories", color: "#E88B6E" },
+  // Rendered on the Intervention value tab, not in the sidebar
+  defense: { label: "Defender budget", color: "#E88B6E" },
+  advanced: { label: "Advanced", color: "#7a7e8a" },
+};
+
+const usesCurve = (series, family) => (p) => p[`${series}Curve`] === family;
+const skillBarrierOn = (p) => p.skillBarrier;
+const releasesWeights = (p) => p.releasePolicy !== "closed";
+const usesTrajectory = (key, type) => (p) => p[`${key}Trajectory`] === type;
+
+// Trajectory choice and per-type parameters for one intervention; `label` is
+// its slider's label, whose value the trajectory starts from
+function trajectoryParamDefs(key, label) {
+  const lower = label.toLowerCase();
+  return [
+    { key: `${key}Trajectory`, group: "trajectories", label: `${label} trajectory`, type: "choice", options: Object.keys(TRAJECTORY_TYPES),
+      optionLabels: Object.fromEntries(Object.entries(TRAJECTORY_TYPES).map(([k, t]) => [k, t.label])),
+      description: `How ${lower} changes from its slider value over the timeline` },
+    { key: `${key}Target`, group: "trajectories", label: `${label} target`, unit: "%", min: 0, max: 100, step: 1, format: "percent",
+      description: "Strength reached at the end of the ramp", when: usesTrajectory(key, "ramp") },
+    { key: `${key}RampYear`, group: "trajectories", label: `${label} ramp end`, unit: "years", min: 0, max: 40, step: 0.5, format: "years",
+      description: "Years after the start when the target is reached", when: usesTrajectory(key, "ramp") },
+    { key: `${key}RampShape`, group: "trajectories", label: `${label} ramp shape`, type: "choice", options: Object.keys(RAMP_SHAPES),
+      optionLabels: Object.fromEntries(Object.entries(RAMP_SHAPES).map(([k, s]) => [k, s.label])),
+      when: usesTrajectory(key, "ramp") },
+    { key: `${key}Points`, group: "trajectories", label: `${label} by year`, type: "points", unit: "%", min: 0, max: 100, startKey: key,
+      description: "Click or drag to set the strength at each year", when: usesTrajectory(key, "drawn") },
+  ];
+}
+
+// Family choice and per-family parameters for one cost series
+function curveParamDefs(series, label) {
+  const lower = label.toLowerCase();
+  return [
+    { key: `${series}Curve`, group: "curves", label: `${label} curve`, type: "choice", options: Object.keys(COST_CURVE_FAMILIES),
+      optionLabels: Object.fromEntries(Object.entries(COST_CURVE_FAMILIES).map(([k, f]) => [k, f.shortLabel])),
+      description: `Functional form of the ${lower} cost trajectory; the Cost curves tab overlays all of them` },
+    { key: `${series}LogisticMidpoint`, group: "curves", label: `${label} S-curve midpoint`, unit: "years", min: 0, max: 30, step: 0.5, format: "years",
+      description: "Years after the start when the decline is steepest", when: usesCurve(series, "logistic") },
+    { key: `${series}LogisticSteepness`, group: "curves", label: `${label} S-curve steepness`, unit: "/yr", min: 0.1, max: 3, step: 0.05, format: "perYear",
+      description: "How abruptly costs drop around the midpoint", when: usesCurve(series, "logistic") },
+    { key: `${series}LearningRate`, group: "curves", label: `${label} learning rate`, unit: "%", min: 1, max: 50, step: 1, format: "percent",
+      description: "Cost drop per doubling of cumulative output", when: usesCurve(series, "wright") },
+    { key: `${series}OutputShare`, group: "curves", label: `${label} output share`, unit: "%", min: 5, max: 500, step: 5, format: "percent",
+      description: "This year's output as a share of everything produced to date", when: usesCurve(series, "wright") },
+    { key: `${series}OutputGrowth`, group: "curves", label: `${label} output growth`, unit: "%/yr", min: 0, max: 100, step: 1, format: "percentPerYear",
+      description: "Annual growth in output", when: usesCurve(series, "wright") },
+    { key: `${series}BreakYear`, group: "curves", label: `${label} regime change`, unit: "years", min: 0, max: 40, step: 0.5, format: "years",
+      description: "Years after the start when the initial decay gives way to the late rate", when: usesCurve(series, "piecewise") },
+    { key: `${series}LateDecayRate`, group: "curves", label: `${label} late decay`, unit: "×/yr", min: 1, max: 10, step: 0.1, format: "rate",
+      description: "Annual cost reduction after the regime change", when: usesCurve(series, "piecewise") },
+    { key: `${series}PlateauYear`, group: "curves", label: `${label} plateau`, unit: "years", min: 0, max: 40, step: 0.5, format: "years",
+      description: "Years after the start when costs stop falling", when: usesCurve(series, "piecewise") },
+  ];
+}
+
+// Labels of the intervention sliders, shared by their trajectory controls
+const INTERVENTION_LABELS = {
+  safeguardStrength: "Safeguard strength", screeningCoverage: "Synthesis screening",
+  screeningNovelDetect: "Novel detection", surveillanceEff: "Surveillance",
+};
+
+export const PARAM_SCHEMA = [
+  // Timeline
+  { key: "startYear", group: "timeline", label: "Start year", min: 2000, max: 2100, step: 1, format: "year",
+    description: "Calendar year of the first point (today's costs)" },
+  { key: "horizonYears", group: "timeline", label: "Horizon", unit: "years", min: 5, max: 40, step: 1, format: "years",
+    description: "How far ahead to project" },
+  { key: "stepsPerYear", group: "timeline", label: "Resolution", type: "choice", options: STEPS_PER_YEAR_OPTIONS,
+    optionLabels: { 1: "Yearly", 2: "Half-yearly", 4: "Quarterly", 12: "Monthly" } },
+  { key: "evaluationYear", group: "evaluation", label: "Evaluation year", unit: "years", min: 0, max: 40, step: 0.01,
+    description: "Point on the timeline the intervention values, relevance score and chokepoint costs are read at" },
+
+  // Model & compute
+  { key: "modelSize", group: "model", label: "Target model size", unit: "B params", min: MIN_MODEL_SIZE, max: 200, step: 1, format: "params",
+    description: "Biological foundation model size (Evo2 ≈ 40B)" },
+  { key: "trainingCostBase", group: "model", label: "Training cost (today)", unit: "$M", min: 0.1, max: 200, step: 0.1, format: "usd", displayScale: 1e6,
+    description: "Current cost to train from scratch" },
+  { key: "fineTuneCostBase", group: "model", label: "Fine-tune cost (today)", unit: "$K", min: 0.01, max: 50, step: 0.01, format: "usd", displayScale: 1e3,
+    description: "Current LoRA fine-tuning cost" },
+  { key: "trainingDecayRate", group: "model", label: "Initial training decay", unit: "×/yr", min: 1.2, max: 10, step: 0.1, format: "rate",
+    description: "Starting annual cost reduction" },
+  { key: "fineTuneDecayRate", group: "model", label: "Initial fine-tune decay", unit: "×/yr", min: 1.5, max: 15, step: 0.1, format: "rate",
+    description: "Starting annual fine-tuning cost reduction" },
+  { key: "algorithmicEfficiency", group: "model", label: "Algorithmic efficiency", unit: "×/yr", min: 1, max: 3, step: 0.1, format: "rate",
+    description: "Yearly cut in the model size needed for the same capability; smaller models are cheaper to train and fine-tune. 1 = none." },
+
+  // Safeguard robustness
+  { key: "stepsToBreak", group: "safeguards", label: "Steps to break safeguards", unit: "steps", min: 1e2, max: 1e6, scale: "log", format: "steps",
+    description: "Fine-tuning steps needed to undo safeguards. Basic RLHF: ~1K. Deep Ignorance (SOTA): ~10K." },
+  { key: "gpuHourCost", group: "safeguards", label: "GPU-hour cost", unit: "$/hr", min: 0.1, max: 10, step: 0.1, format: "usdPerHour",
+    description: "Rental price per GPU-hour" },
+
+  // Fine-tuning compute
+  { key: "fineTuneMethod", group: "compute", label: "Fine-tuning method", type: "choice", options: Object.keys(FINE_TUNE_METHODS),
+    optionLabels: Object.fromEntries(Object.entries(FINE_TUNE_METHODS).map(([k, m]) => [k, m.label])) },
+  { key: "fineTuneBatchSize", group: "compute", label: "Batch size", unit: "seqs", min: 1, max: 1024, scale: "log", integer: true, format: "seqs" },
+  { key: "fineTuneSeqLen", group: "compute", label: "Sequence length", unit: "tokens", min: 128, max: 131072, scale: "log", integer: true, format: "tokens" },
+  { key: "gpuFlops", group: "compute", label: "GPU peak throughput", unit: "FLOP/s", min: 1e13, max: 1e17, scale: "log", format: "flops" },
+  { key: "computeEfficiencyFactor", group: "compute", label: "Efficiency factor", unit: "× slower than peak", min: 1, max: 100, step: 1, format: "multiplier",
+    description: "How much slower real runs are than peak FLOP/s (15× matches Deep Ignorance)" },
+
+  // Physical limits
+  { key: "trainingDamping", group: "limits", label: "Training damping", min: 0, max: 0.5, step: 0.01, format: "damping",
+    description: "How fast training decay rate slows", when: usesCurve("training", "damped") },
+  { key: "trainingFloor", group: "limits", label: "Training floor", unit: "$K", min: 1, max: 5000, step: 1, format: "usd", displayScale: 1e3,
+    description: "Irreducible minimum cost" },
+
+  // Cost curve shape
+  ...curveParamDefs("training", "Training"),
+  ...curveParamDefs("fineTune", "Fine-tune"),
+
+  // Expertise & AI uplift
+  { key: "skillBarrier", group: "skill", label: "Skill barrier", type: "boolean",
+    description: "On: attackers also need the expertise to carry out a path, set per profile. Off: budget is the only barrier." },
+  { key: "trainSkillRequired", group: "skill", label: "Skill to train from scratch", unit: "0–10", min: 0, max: 10, step: 0.5, format: "skill",
+    description: "Expertise at which half of attackers who can afford training also succeed", when: skillBarrierOn },
+  { key: "fineTuneSkillRequired", group: "skill", label: "Skill to fine-tune", unit: "0–10", min: 0, max: 10, step: 0.5, format: "skill",
+    description: "Expertise at which half of attackers who can afford fine-tuning also succeed", when: skillBarrierOn },
+  { key: "aiUplift", group: "skill", label: "AI uplift", unit: "skill points", min: 0, max: 8, step: 0.5, format: "skillPoints",
+    description: "Skill a model with full dangerous capability takes off each requirement; scales with capability", when: skillBarrierOn },
+
+  // Attack chain: base success of each stage
+  ...ATTACK_STAGES.map(stage => ({
+    key: stage.param, group: "chain", label: stage.label, unit: "%", min: 1, max: 100, step: 1, format: "percent",
+    description: stage.description,
+  })),
+
+  // Weight release & leaks
+  { key: "releasePolicy", group: "release", label: "Release policy", type: "choice", options: Object.keys(RELEASE_POLICIES),
+    optionLabels: Object.fromEntries(Object.entries(RELEASE_POLICIES).map(([k, r]) => [k, r.label])),
+    description: "Whether and how the dangerous model's weights are published" },
+  { key: "releaseYear", group: "release", label: "Release year", unit: "years", min: 0, max: 40, step: 0.5, format: "years",
+    description: "Years after the start when the weights are first released", when: releasesWeights },
+  { key: "stagedReleaseYears", group: "release", label: "Staged rollout", unit: "years", min: 0, max: 20, step: 0.5, format: "years",
+    description: "Years from first release until every attacker can get the weights", when: p => p.releasePolicy === "staged" },
+  { key: "releasedSafeguards", group: "release", label: "Released weights keep safeguards", type: "boolean",
+    description: "On: attackers still have to break the safeguards. Off: the released model has none.", when: releasesWeights },
+  { key: "leakRate", group: "release", label: "Leak chance", unit: "%/yr", min: 0, max: 50, step: 0.5, format: "percentPerYear",
+    description: "Chance each year that the weights leak or are stolen, under any policy" },
+  { key: "leakedSafeguards", group: "release", label: "Leaked weights keep safeguards", type: "boolean",
+    description: "On: a leaked model still carries its safeguards. Off: the leak is of a model without them.", when: p => p.leakRate > 0 },
+
+  // Aggregate risk
+  { key: "attemptRate", group: "risk", label: "Attempt rate", unit: "%/yr", min: 1e-4, max: 100, scale: "log", format: "sharePerYear",
+    description: "Share of each attacker population that attempts an attack in a given year" },
+  { key: "discountRate", group: "risk", label: "Discount rate", unit: "%/yr", min: 0, max: 20, step: 0.5, format: "percentPerYear",
+    description: "How much less a success counts for each year it lies in the future" },
+
+  // Interventions
+  { key: "safeguardStrength", group: "interventions", label: INTERVENTION_LABELS.safeguardStrength, unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Resistance to fine-tuning attacks" },
+  { key: "screeningCoverage", group: "interventions", label: INTERVENTION_LABELS.screeningCoverage, unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Provider coverage" },
+  { key: "screeningNovelDetect", group: "interventions", label: INTERVENTION_LABELS.screeningNovelDetect, unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Catch rate for AI-designed sequences" },
+  { key: "surveillanceEff", group: "interventions", label: INTERVENTION_LABELS.surveillanceEff, unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Metagenomic surveillance effectiveness" },
+
+  // Intervention trajectories
+  ...INTERVENTION_KEYS.flatMap(key => trajectoryParamDefs(key, INTERVENTION_LABELS[key])),
+
+  // Defender budget
+  { key: "defenderBudget", group: "defense", label: "Defender budget", unit: "$M", min: 1, max: 10000, scale: "log", format: "usd", displayScale: 1e6,
+    description: "Total to spend on improving the interventions" },
+  { key: "safeguardCostPerPoint", group: "defense", label: "Safeguards cost", unit: "$M/point", min: 0.01, max: 100, scale: "log", format: "usdPerPoint", displayScale: 1e6,
+    description: "Cost of one point of safeguard strength at 0%; rises as strength nears 100%" },
+  { key: "screeningCoverageCostPerPoint", group: "defense", label: "Screening coverage cost", unit: "$M/point", min: 0.01, max: 100, scale: "log", format: "usdPerPoint", displayScale: 1e6,
+    description: "Cost of one point of provider coverage at 0%; rises as coverage nears 100%" },
+  { key: "screeningNovelDetectCostPerPoint", group: "defense", label: "Novel detection cost", unit: "$M/point", min: 0.01, max: 100, scale: "log", format: "usdPerPoint", displayScale: 1e6,
+    description: "Cost of one point of novel-sequence detection at 0%; rises as detection nears 100%" },
+  { key: "surveillanceCostPerPoint", group: "defense", label: "Surveillance cost", unit: "$M/point", min: 0.01, max: 100, scale: "log", format: "usdPerPoint", displayScale: 1e6,
+    description: "Cost of one point of surveillance effectiveness at 0%; rises as it nears 100%" },
+  { key: "computeGovCostPerDecade", group: "defense", label: "Compute governance cost", unit: "$M/decade", min: 0.1, max: 1000, scale: "log", format: "usdPerDecade", displayScale: 1e6,
+    description: "Cost of lowering the governance threshold tenfold; each further decade costs twice as much" },
+
+  // Advanced: model internals usually left at their defaults
+  { key: "fineTuneDamping", group: "advanced", label: "Fine-tune damping", min: 0, max: 0.5, step: 0.01, format: "damping",
+    description: "How fast the fine-tune decay rate slows", when: usesCurve("fineTune", "damped") },
+  { key: "fineTuneFloor", group: "advanced", label: "Fine-tune floor", unit: "$K", min: 0.001, max: 50, scale: "log", format: "usd", displayScale: 1e3,
+    description: "Irreducible minimum fine-tuning cost" },
+  { key: "dangerousCapThreshold", group: "advanced", label: "Dangerous capability threshold", unit: "B params", min: 0.1, max: 1000, scale: "log", format: "params",
+    description: "Model size at which dangerous capability is half present" },
+  { key: "noveltyRequiresScale", group: "advanced", label: "Novel designs require scale", type: "boolean",
+    description: "On: novel designs need 2.5× the dangerous-capability size. Off: novel capability is 70% of dangerous capability at any size." },
+  { key: "computeGovThreshold", group: "advanced", label: "Compute governance threshold", unit: "$M", min: 0.01, max: 1000, scale: "log", format: "usd", displayScale: 1e6,
+    description: "Training runs costing more than this fall under compute governance" },
+  { key: "computeGovTrainStrength", group: "advanced", label: "Compute governance on training", unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Share of from-scratch training attempts above the threshold that compute governance stops" },
+  { key: "computeGovFineTuneStrength", group: "advanced", label: "Compute governance on fine-tuning", unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Share of fine-tuning attempts that compute governance stops once training costs exceed the threshold" },
+  { key: "surveillanceReach", group: "advanced", label: "Surveillance reach", unit: "%", min: 0, max: 100, step: 1, format: "percent",
+    description: "Share of deployments surveillance stops at 100% effectiveness" },
+  { key: "safeguardBudgetThreshold", group: "advanced", label: "Safeguard budget target", unit: "$", min: 10, max: 1e7, scale: "log", format: "usd",
+    description: "Attacker budget safeguards should hold out against (sets the required safeguard target in Crux 2)" },
+].map(def => ({ ...def, default: DEFAULT_PARAMS[def.key] }));
+
+export const PARAM_DEFS = Object.fromEntries(PARAM_SCHEMA.map(def => [def.key, def]));
+
+export const isParamActive = (def, params) => !def.when || def.when(params);
+
+// Ranges shared by every attacker profile's sliders
+export const PROFILE_FIELDS = {
+  count: { label: "count", min: 1, max: 1e6, scale: "log" },
+  budget: { label: "budget", unit: "$", min: 1e2, max: 1e10, scale: "log" },
+};
+
+// Range for a profile's expertise (see SKILL_LEVELS). Optional: profiles saved
+// before skill was modelled get the midpoint.
+export const PROFILE_SKILL_FIELD = { label: "skill", min: 0, max: 10 };
+
+// Ranges for a profile's budget spread. Optional: profiles saved before
+// budgets could be spread get a point budget and quantiles around it.
+export const PROFILE_BUDGET_FIELDS = {
+  budgetSigma: { label: "spread (σ)", min: 0.05, max: 3 },
+  budgetP10: { label: "P10 budget", unit: "$", min: 1, max: 1e11, scale: "log" },
+  budgetP90: { label: "P90 budget", unit: "$", min: 1e2, max: 1e12, scale: "log" },
+};
+
+// Ranges for each chokepoint's cost curve
+export const CHOKEPOINT_FIELDS = {
+  baseCost: { label: "cost today", unit: "$", min: 1, max: 1e10 },
+  decayRate: { label: "decay", unit: "×/yr", min: 1, max: 10 },
+  damping: { label: "damping", min: 0, max: 0.5 },
+  floor: { label: "floor", unit: "$", min: 0, max: 1e10 },
+};
+
+const PROFILE_KEY = /^attackerProfiles\.([^.]+)\.(count|budget)$/;
+
+export function getParamValue(params, key) {
+  const m = key.match(PROFILE_KEY);
+  if (!m) return params[key];
+  return params.attackerProfiles.find(a => a.id === m[1])?.[m[2]];
+}
+
+// Schema entry (with min/max) for a scalar or profile-field key
+export function paramDefForKey(key) {
+  const m = key.match(PROFILE_KEY);
+  return m ? PROFILE_FIELDS[m[2]] : PARAM_DEFS[key];
+}
+
+export function withParamValue(params, key, value) {
+  const m = key.match(PROFILE_KEY);
+  if (!m) return { ...params, [key]: value };
+  return { ...params, attackerProfiles: params.attackerProfiles.map(a => a.id === m[1] ? { ...a, [m[2]]: value } : a) };
+}
+
+// Schema entries for the numeric scalar params (no `type`) plus each
+// profile's count and budget. Timeline params change the length of every
+// series and the evaluation year only picks where results are read, so they
+// are left out of sampling and sweeps, as are parameters of curve families
+// not in use and the defender costs, which only feed the budget optimizer.
+export function paramDefsFor(params) {
+  const profileDefs = params.attackerProfiles.flatMap(a => Object.entries(PROFILE_FIELDS).map(([field, def]) => ({
+    ...def, key: `attackerProfiles.${a.id}.${field}`, label: `${a.name} ${def.label}`,
+  })));
+  return [...PARAM_SCHEMA.filter(def => !def.type && def.group !== "timeline" && def.group !== "evaluation" && def.group !== "defense" && isParamActive(def, params)), ...profileDefs];
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Validates a list of named entries (profiles, chokepoints) whose numeric
+// fields must fall within `fields` ranges. Invalid entries are reported and
+// dropped; valid ones are passed through `normalize`.
+function validateEntries(listKey, raw, fields, errors, normalize) {
+  if (!Array.isArray(raw)) { errors.push(`${listKey} must be a list`); return undefined; }
+  const entries = [];
+  raw.forEach((e, i) => {
+    const where = `${listKey}[${i}]${e && typeof e.name === "string" ? ` (${e.name})` : ""}`;
+    if (!e || typeof e !== "object") { errors.push(`${where} must be an object`); return; }
+    if (typeof e.name !== "string" || !e.name.trim()) { errors.push(`${where} needs a name`); return; }
+    let ok = true;
+    for (const [field, def] of Object.entries(fields)) {
+      const v = e[field];
+      if (typeof v !== "number" || !Number.isFinite(v)) { errors.push(`${where} ${field} must be a number, got ${JSON.stringify(v)}`); ok = false; }
+      else if (v < def.min || v > def.max) { errors.push(`${where} ${field} = ${v} is outside the allowed range ${def.min}–${def.max}`); ok = false; }
+    }
+    if (ok) entries.push(normalize(e, i));
+  });
+  return entries;
+}
+
+// The profile's budget spread fields, defaulting missing ones and reporting invalid ones
+function validateBudgetSpread(a, where, errors) {
+  const defaults = { budgetSigma: 1, budgetP10: a.budget / 10, budgetP90: a.budget * 10 };
+  const spread = { budgetModel: "point", ...defaults };
+  if (a.budgetModel !== undefined) {
+    if (a.budgetModel in BUDGET_MODELS) spread.budgetModel = a.budgetModel;
+    else errors.push(`${where} budgetModel must be one of ${Object.keys(BUDGET_MODELS).join(", ")}, got ${JSON.stringify(a.budgetModel)}`);
+  }
+  for (const [field, { min, max }] of Object.entries(PROFILE_BUDGET_FIELDS)) {
+    const v = a[field];
+    if (v === undefined) continue;
+    if (typeof v !== "number" || !Number.isFinite(v) || v < min || v > max) errors.push(`${where} ${field} = ${JSON.stringify(v)} must be a number in ${min}–${max}`);
+    else spread[field] = v;
+  }
+  if (spread.budgetP10 > a.budget || spread.budgetP90 < a.budget) {
+    errors.push(`${where} needs budgetP10 ≤ budget ≤ budgetP90`);
+    Object.assign(spread, { budgetP10: defaults.budgetP10, budgetP90: defaults.budgetP90 });
+  }
+  return spread;
+}
+
+function validateSkill(a, where, errors) {
+  const { min, max } = PROFILE_SKILL_FIELD;
+  if (a.skill === undefined) return 5;
+  if (typeof a.skill === "number" && Number.isFinite(a.skill) && a.skill >= min && a.skill <= max) return a.skill;
+  errors.push(`${where} skill = ${JSON.stringify(a.skill)} must be a number in ${min}–${max}`);
+  return 5;
+}
+
+function validateProfiles(raw, errors) {
+  const profiles = validateEntries("attackerProfiles", raw, PROFILE_FIELDS, errors, (a, i) => ({
+    id: typeof a.id === "string" && a.id ? a.id : `profile-${i + 1}`,
+    name: a.name,
+    count: a.count,
+    budget: a.budget,
+    color: typeof a.color === "string" && HEX_COLOR.test(a.color) ? a.color : "#9B8FFF",
+    notes: typeof a.notes === "string" ? a.notes : "",
+    ...validateBudgetSpread(a, `attackerProfiles[${i}] (${a.name})`, errors),
+    skill: validateSkill(a, `attackerProfiles[${i}] (${a.name})`, errors),
+  }));
+  if (profiles && !profiles.length && !errors.length) errors.push("attackerProfiles needs at least one profile");
+  return profiles;
+}
+
+function validateChokepoints(raw, errors) {
+  return validateEntries("chokepoints", raw, CHOKEPOINT_FIELDS, errors, (c, i) => ({
+    id: typeof c.id === "string" && c.id ? c.id : `chokepoint-${i + 1}`,
+    name: c.name,
+    baseCost: c.baseCost,
+    decayRate: c.decayRate,
+    damping: c.damping,
+    floor: c.floor,
+    color: typeof c.color === "string" && HEX_COLOR.test(c.color) ? c.color : "#9B8FFF",
+    note: typeof c.note === "string" ? c.note : "",
+  }));
+}
+
+// Checks a raw parameter object against the schema. Unknown keys are
+// ignored with a warning; wrong types and out-of-range values are errors.
+export function validateParams(raw) {
+  const errors = [];
+  const warnings = [];
+  const params = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { params, errors: ["Expected an object of parameter values"], warnings };
+  }
+  raw = migrateLegacyParams(raw);
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "attackerProfiles") {
+      const profiles = validateProfiles(value, errors);
+      if (profiles) params.attackerProfiles = profiles;
+      continue;
+    }
+    if (key === "chokepoints") {
+      const chokepoints = validateChokepoints(value, errors);
+      if (chokepoints) params.chokepoints = chokepoints;
+      continue;
+    }
+    if (key === "referenceProfileId") {
+      if (typeof value === "string") params.referenceProfileId = value;
+      else errors.push(`referenceProfileId must be a profile id string, got ${JSON.stringify(value)}`);
+      continue;
+    }
+    const def = PARAM_DEFS[key];
+    if (!def) { warnings.push(`Unknown parameter "${key}" ignored`); continue; }
+    if (def.type === "choice") {
+      if (!def.options.includes(value)) errors.push(`${def.label} (${key}) must be one of ${def.options.join(", ")}, got ${JSON.stringify(value)}`);
+      else params[key] = value;
+      continue;
+    }
+    if (def.type === "points") {
+      if (!Array.isArray(value) || !value.every(v => typeof v === "number" && v >= def.min && v <= def.max)) {
+        errors.push(`${def.label} (${key}) must be a list of numbers within ${def.min}–${def.max}${def.unit ? ` ${def.unit}` : ""}`);
+      } else {
+        params[key] = value;
+      }
+      continue;
+    }
+    if (def.type === "boolean") {
+      if (typeof value !== "boolean") errors.push(`${def.label} (${key}) must be true or false, got ${JSON.stringify(value)}`);
+      else params[key] = value;
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${def.label} (${key}) must be a number, got ${JSON.stringify(value)}`);
+    } else if (value < def.min || value > def.max) {
+      errors.push(`${def.label} (${key}) = ${value} is outside the allowed range ${def.min}–${def.max}${def.unit ? ` ${def.unit}` : ""}`);
+    } else {
+      params[key] = value;
+    }
+  }
+  const missing = Object.keys(DEFAULT_PARAMS).filter(key => !(key in raw));
+  if (missing.length) warnings.push(`${missing.length} parameter${missing.length === 1 ? "" : "s"} not set, using defaults: ${missing.join(", ")}`);
+  return { params, errors, warnings };
+}
@@ -0,0 +1,165 @@
+// ── Shareable permalinks ─────────────────────────────────────────
+// Serializes dashboard state into a versioned URL hash, e.g.
+//   #v=2&modelSize=60&stepsToBreak=100000&tab=threat
+// Only values that differ from their defaults are written, so links stay
+// short. Decoding ignores keys it doesn't know and falls back to defaults for
+// missing ones, so old links keep opening as parameters are added.
+import { DEFAULT_PARAMS, LEGACY_PROFILE_KEYS } from "./scenario-engine.js";
+import { DISTRIBUTION_TYPES, DEFAULT_DISTRIBUTIONS, RUN_OPTIONS, migrateDistributionKeys, validateDistribution } from "./monte-carlo.js";
+import { validateParams } from "./param-schema.js";
+
+// v2: attacker profiles are a list ("profiles=") instead of flat count/budget keys
+export const PERMALINK_VERSION = 2;
+
+export const DEFAULT_TAB = "cruxes";
+export const DEFAULT_UNCERTAINTY = { enabled: false, runs: 2000, seed: 1, distributions: DEFAULT_DISTRIBUTIONS };
+
+// Parameter keys renamed since a link was written: { version: { oldKey: newKey } }
+const RENAMED_KEYS = {};
+
+// Booleans as 1/0; yearly point lists (e.g. safeguardStrengthPoints) comma-joined
+const encodeValue = (v) => typeof v === "boolean" ? (v ? "1" : "0") : String(v);
+
+function decodeValue(raw, defaultValue) {
+  if (typeof defaultValue === "boolean") return raw === "1" || raw === "true";
+  if (typeof defaultValue === "string") return raw;
+  if (Array.isArray(defaultValue)) {
+    const values = raw.split(",").filter(Boolean).map(Number);
+    return values.every(Number.isFinite) ? values : undefined;
+  }
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+// key~type~a~b(~c) entries joined by "|"; field order follows DISTRIBUTION_TYPES
+function encodeDistributions(distributions) {
+  return Object.entries(distributions)
+    .map(([key, dist]) => [key, dist.type, ...DISTRIBUTION_TYPES[dist.type].fields.map(f => encodeValue(dist[f]))].join("~"))
+    .join("|");
+}
+
+function decodeDistributions(raw) {
+  const out = {};
+  for (const entry of raw.split("|").filter(Boolean)) {
+    const [key, type, ...values] = entry.split("~");
+    const def = DISTRIBUTION_TYPES[type];
+    const knownKey = typeof DEFAULT_PARAMS[key] === "number" || key in LEGACY_PROFILE_KEYS || key.startsWith("attackerProfiles.");
+    if (!def || !knownKey) continue;
+    const nums = values.map(Number);
+    if (nums.length !== def.fields.length) continue;
+    const dist = { type, ...Object.fromEntries(def.fields.map((f, i) => [f, nums[i]])) };
+    if (!validateDistribution(dist)) out[key] = dist;
+  }
+  return migrateDistributionKeys(out);
+}
+
+// List params are written as "~"-separated fields per entry, entries joined
+// by "|". "%", "~" and "|" inside a field are percent-escaped so they can't
+// be read as separators.
+const LIST_PARAMS = {
+  attackerProfiles: {
+    qsKey: "profiles", minEntries: 1,
+    fields: ["id", "name", "color", "count", "budget", "notes", "budgetModel", "budgetSigma", "budgetP10", "budgetP90", "skill"],
+    numeric: ["count", "budget", "budgetSigma", "budgetP10", "budgetP90", "skill"],
+  },
+  chokepoints: { qsKey: "chokepoints", fields: ["id", "name", "color", "baseCost", "decayRate", "damping", "floor", "note"], numeric: ["baseCost", "decayRate", "damping", "floor"], minEntries: 0 },
+};
+const FIELD_ESCAPES = { "%": "%25", "~": "%7E", "|": "%7C" };
+const encodeField = (v) => encodeValue(v ?? "").replace(/[%~|]/g, c => FIELD_ESCAPES[c]);
+
+function encodeList(key, list) {
+  return list.map(e => LIST_PARAMS[key].fields.map(f => encodeField(e[f])).join("~")).join("|");
+}
+
+function decodeList(key, raw) {
+  const { fields, numeric } = LIST_PARAMS[key];
+  const entries = raw.split("|").filter(Boolean).flatMap(entry => {
+    let values;
+    try {
+      values = entry.split("~").map(v => decodeURIComponent(v));
+    } catch {
+      return []; // stray "%" from a hand-edited or truncated link
+    }
+    const e = Object.fromEntries(fields.map((f, i) => [f, values[i] ?? ""]));
+    // Empty fields are missing (e.g. added after the link was written), not zero
+    for (const f of fields) if (e[f] === "") delete e[f];
+    for (const f of numeric) if (f in e) e[f] = Number(e[f]);
+    return [e];
+  });
+  // Drop malformed entries rather than rejecting the whole link
+  return validateParams({ [key]: entries }).params[key];
+}
+
+export function encodePermalink({ params, activeTab = DEFAULT_TAB, uncertainty = DEFAULT_UNCERTAINTY }) {
+  const qs = new URLSearchParams();
+  qs.set("v", String(PERMALINK_VERSION));
+  for (const [key, defaultValue] of Object.entries(DEFAULT_PARAMS)) {
+    if (!(key in params)) continue;
+    if (key in LIST_PARAMS) {
+      const encoded = encodeList(key, params[key]);
+      if (encoded !== encodeList(key, defaultValue)) qs.set(LIST_PARAMS[key].qsKey, encoded);
+    } else if (encodeValue(params[key]) !== encodeValue(defaultValue)) {
+      qs.set(key, encodeValue(params[key]));
+    }
+  }
+  if (activeTab !== DEFAULT_TAB) qs.set("tab", activeTab);
+  if (uncertainty.enabled) qs.set("mc", "1");
+  if (uncertainty.runs !== DEFAULT_UNCERTAINTY.runs) qs.set("runs", String(uncertainty.runs));
+  if (uncertainty.seed !== DEFAULT_UNCERTAINTY.seed) qs.set("seed", String(uncertainty.seed));
+  const dists = encodeDistributions(uncertainty.distributions);
+  if (dists !== encodeDistributions(DEFAULT_UNCERTAINTY.distributions)) qs.set("dists", dists);
+  // "~", "|" and "," are safe in a hash; keep them readable
+  return qs.toString().replace(/%7E/gi, "~").replace(/%7C/gi, "|").replace(/%2C/gi, ",");
+}
+
+// Returns only what the link specifies: { params, activeTab?, uncertainty? }
+export function decodePermalink(hash) {
+  const qs = new URLSearchParams(hash.replace(/^#/, ""));
+  const version = parseInt(qs.get("v"), 10) || PERMALINK_VERSION;
+
+  for (let v = version; v < PERMALINK_VERSION; v++) {
+    for (const [oldKey, newKey] of Object.entries(RENAMED_KEYS[v] || {})) {
+      if (qs.has(oldKey) && !qs.has(newKey)) qs.set(newKey, qs.get(oldKey));
+      qs.delete(oldKey);
+    }
+  }
+
+  const lists = {};
+  const scalars = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_PARAMS)) {
+    if (key in LIST_PARAMS) {
+      const qsKey = LIST_PARAMS[key].qsKey;
+      const list = qs.has(qsKey) ? decodeList(key, qs.get(qsKey)) : undefined;
+      if (list && list.length >= LIST_PARAMS[key].minEntries) lists[key] = list;
+      continue;
+    }
+    if (!qs.has(key)) continue;
+    const value = decodeValue(qs.get(key), defaultValue);
+    if (value !== undefined) scalars[key] = value;
+  }
+  if (version < 2) {
+    for (const key of Object.keys(LEGACY_PROFILE_KEYS)) {
+      const value = qs.has(key) ? decodeValue(qs.get(key), 0) : undefined;
+      if (value !== undefined) scalars[key] = value;
+    }
+  }
+  // Out-of-range or unknown values (hand-edited links) fall back to their
+  // defaults rather than reaching the engine; validateParams also migrates
+  // legacy keys
+  const params = { ...lists, ...validateParams(scalars).params };
+
+  const result = { params };
+  if (qs.has("tab")) result.activeTab = qs.get("tab");
+  if (["mc", "runs", "seed", "dists"].some(k => qs.has(k))) {
+    // Runs are synchronous, so only the counts the dashboard offers are taken
+    const runs = Number(qs.get("runs"));
+    const seed = parseInt(qs.get("seed"), 10);
+    result.uncertainty = {
+      enabled: qs.get("mc") === "1",
+      runs: RUN_OPTIONS.includes(runs) ? runs : DEFAULT_UNCERTAINTY.runs,
+      seed: Number.isFinite(seed) ? Math.max(0, seed) : DEFAULT_UNCERTAINTY.seed,
+      distributions: qs.has("dists") ? decodeDistributions(qs.get("dists")) : DEFAULT_UNCERTAINTY.distributions,
+    };
+  }
+  return result;
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_PARAMS, runScenario } from "./scenario-engine.js";
+import { encodePermalink, decodePermalink } from "./permalink.js";
+
+describe("decodePermalink", () => {
+  it("round-trips changed parameters", () => {
+    const params = { ...DEFAULT_PARAMS, modelSize: 60, trainingCurve: "logistic", skillBarrier: true };
+    const { params: decoded } = decodePermalink(encodePermalink({ params }));
+    expect(decoded).toEqual({ modelSize: 60, trainingCurve: "logistic", skillBarrier: true });
+  });
+
+  it("drops values that fail validation and keeps the rest", () => {
+    const { params } = decodePermalink("#v=2&trainingCurve=bogus&modelSize=60");
+    expect(params).toEqual({ modelSize: 60 });
+    expect(() => runScenario({ ...DEFAULT_PARAMS, ...params })).not.toThrow();
+  });
+
+  it("range- and option-checks the timeline", () => {
+    expect(decodePermalink("#horizonYears=1000000&stepsPerYear=3.3").params).toEqual({});
+    expect(decodePermalink("#horizonYears=40&stepsPerYear=12").params).toEqual({ horizonYears: 40, stepsPerYear: 12 });
+  });
+
+  it("drops list entries with malformed escapes", () => {
+    expect(() => decodePermalink("#v=2&profiles=a~100%~~10~1000")).not.toThrow();
+    const { params } = decodePermalink("#v=2&profiles=a~100%~~10~1000|b~Group~~5~50000");
+    expect(params.attackerProfiles.map(a => a.id)).toEqual(["b"]);
+  });
+
+  it("only accepts the offered Monte Carlo run counts and non-negative seeds", () => {
+    expect(decodePermalink("#mc=1&runs=99999999&seed=-4").uncertainty).toMatchObject({ runs: 2000, seed: 0 });
+    expect(decodePermalink("#mc=1&runs=500.5&seed=7.9").uncertainty).toMatchObject({ runs: 2000, seed: 7 });
+    expect(decodePermalink("#mc=1&runs=5000").uncertainty.runs).toBe(5000);
+  });
+
+  it("drops distributions that can't be sampled", () => {
+    const { distributions } = decodePermalink("#mc=1&dists=trainingDamping~triangular~3~2~1|stepsToBreak~lognormal~10000~1").uncertainty;
+    expect(distributions).toEqual({ stepsToBreak: { type: "lognormal", median: 10000, sigma: 1 } });
+  });
+});
@@ -0,0 +1,105 @@
+// ── Results export / parameter import ────────────────────────────
+// JSON and CSV exports of every computed series, stamped with the exact
+// inputs and model version, plus validated import of parameter files.
+import { MODEL_VERSION, DEFAULT_PARAMS } from "./scenario-engine.js";
+import { validateParams } from "./param-schema.js";
+
+export const RESULTS_FORMAT = "biosecurity-explorer/results";
+
+// Per-year series written as columns of the yearly CSV table
+const YEARLY_SERIES = [
+  "trainingCosts", "fineTuneCosts", "trainingCostsNaive", "fineTuneCostsNaive",
+  "trainingRates", "fineTuneRates", "breakCostsOverTime",
+  "modelSizes", "dangerousCapByYear", "novelCapByYear",
+  "canTrainByYear", "canBreakSafeguardsByYear", "canUseWeightsByYear", "safeguardsBlockByYear",
+];
+
+const SCALARS = [
+  "dangerousCap", "novelCap", "floorBuysYears", "breakGpuHours", "breakCost", "totalAttackers",
+  "relevanceScore", "relevanceLevel", "relevanceReason", "evaluationYear", "blockedPctAtEval", "windowYears", "windowEndsWithWeights", "weightsYear", "breakCostPct",
+];
+
+export function buildResultsJson(params, results) {
+  return JSON.stringify({
+    format: RESULTS_FORMAT,
+    modelVersion: MODEL_VERSION,
+    exportedAt: new Date().toISOString(),
+    params: { ...DEFAULT_PARAMS, ...params },
+    results,
+  }, null, 2);
+}
+
+const csvCell = (v) => {
+  const s = typeof v === "number" ? String(v) : String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+// One file, several tables: each starts with a "# title" row and is
+// separated from the next by a blank line.
+export function buildResultsCsv(params, results) {
+  const p = { ...DEFAULT_PARAMS, ...params };
+  const tables = [];
+
+  tables.push([
+    `# Biosecurity × AI Risk Explorer results — model ${MODEL_VERSION}`,
+    csvRow(["parameter", "value"]),
+    ...Object.entries(p).map(([k, v]) => csvRow([k, typeof v === "object" ? JSON.stringify(v) : v])),
+  ]);
+
+  tables.push([
+    "# Scalar results",
+    csvRow(["metric", "value"]),
+    ...SCALARS.map(k => csvRow([k, results[k]])),
+  ]);
+
+  tables.push([
+    "# Yearly series",
+    csvRow(["year", ...YEARLY_SERIES]),
+    ...results.calendarYears.map((y, i) => csvRow([y, ...YEARLY_SERIES.map(k => results[k][i])])),
+  ]);
+
+  tables.push([
+    "# Threat matrix (residual success probability)",
+    csvRow(["profile", "count", "budget", ...results.calendarYears.map(y => `year_${y}`)]),
+    ...results.attackerProfiles.map((a, pi) => csvRow([a.name, a.count, a.budget, ...results.threatMatrix[pi]])),
+  ]);
+
+  tables.push([
+    "# Chokepoint costs ($)",
+    csvRow(["chokepoint", ...results.calendarYears.map(y => `year_${y}`)]),
+    ...results.chokepoints.map(c => csvRow([c.name, ...c.costs])),
+  ]);
+
+  tables.push([
+    "# Intervention strengths (%)",
+    csvRow(["intervention", ...results.calendarYears.map(y => `year_${y}`)]),
+    ...Object.entries(results.interventionLevels).map(([key, levels]) => csvRow([key, ...levels])),
+  ]);
+
+  tables.push([
+    `# Intervention values (${results.calendarYears[results.evaluationIdx]})`,
+    csvRow(["intervention", "value", "active"]),
+    ...results.interventionValues.map(iv => csvRow([iv.name, iv.value, iv.active])),
+  ]);
+
+  return tables.map(t => t.join("\n")).join("\n\n") + "\n";
+}
+
+// Accepts a results export (uses its `params`), `{ params: {...} }`, or a
+// bare parameter object. Returns { params, errors, warnings }; callers should
+// refuse to apply anything when `errors` is non-empty.
+export function parseParamsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { params: {}, errors: [`Not valid JSON: ${err.message}`], warnings: [] };
+  }
+  const raw = data && typeof data === "object" && data.params && typeof data.params === "object" ? data.params : data;
+  const { params, errors, warnings } = validateParams(raw);
+  if (data?.modelVersion && data.modelVersion !== MODEL_VERSION) {
+    warnings.unshift(`File was exported from model ${data.modelVersion}; this is ${MODEL_VERSION}, so results may differ`);
+  }
+  return { params, errors, warnings };
+}
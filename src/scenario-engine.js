@@ -0,0 +1,940 @@
+// ── Headless scenario engine ─────────────────────────────────────
+// Pure modeling logic behind the dashboard. No React, no DOM: takes a plain
+// parameter object and returns the full results structure, so scenarios can
+// be run and checked outside the browser.
+
+// Bump when a change to the model would change any output for the same inputs
+export const MODEL_VERSION = "4.0.0";
+
+export const DEFAULT_PARAMS = {
+  // Timeline: series run from startYear over horizonYears, stepsPerYear points per year
+  startYear: 2025,
+  horizonYears: 15,
+  stepsPerYear: 1,          // 1 | 2 | 4 | 12, see STEPS_PER_YEAR_OPTIONS
+  evaluationYear: 5,        // years after start; where intervention values and relevance are read
+
+  // Model & compute
+  modelSize: 40,            // B params
+  trainingCostBase: 20,     // $M
+  fineTuneCostBase: 0.5,    // $K
+  trainingDecayRate: 2.5,   // ×/yr
+  fineTuneDecayRate: 4,     // ×/yr
+  trainingDamping: 0.15,
+  fineTuneDamping: 0.12,
+  trainingFloor: 50,        // $K
+  fineTuneFloor: 0.01,      // $K
+
+  // Cost curve shape per series, see COST_CURVE_FAMILIES. Every family starts
+  // at the base cost and never drops below the floor; the rest of its
+  // parameters are its own.
+  trainingCurve: "damped",
+  fineTuneCurve: "damped",
+  trainingLogisticMidpoint: 6,   // years after start of the steepest decline
+  fineTuneLogisticMidpoint: 4,
+  trainingLogisticSteepness: 0.6, // /yr
+  fineTuneLogisticSteepness: 0.8,
+  trainingLearningRate: 30,      // % cost drop per doubling of cumulative output
+  fineTuneLearningRate: 35,
+  trainingOutputShare: 150,      // first year's output as % of cumulative output to date
+  fineTuneOutputShare: 200,
+  trainingOutputGrowth: 50,      // %/yr growth in annual output
+  fineTuneOutputGrowth: 60,
+  trainingBreakYear: 4,          // years after start the decline slows to the late rate
+  fineTuneBreakYear: 3,
+  trainingLateDecayRate: 1.5,    // ×/yr
+  fineTuneLateDecayRate: 2,
+  trainingPlateauYear: 10,       // years after start costs stop falling
+  fineTunePlateauYear: 8,
+
+  // Capability. Algorithmic efficiency cuts the parameter count needed for a
+  // given capability by this factor each year (1 = no progress), see
+  // attackModelSizes.
+  dangerousCapThreshold: 10, // B params
+  noveltyRequiresScale: true,
+  algorithmicEfficiency: 1,  // ×/yr
+
+  // Expertise: skill each attack path needs (0–10) and how many skill points
+  // a model with full dangerous capability takes off that requirement
+  skillBarrier: false,       // when off, money is the only barrier in the threat matrix
+  trainSkillRequired: 7,
+  fineTuneSkillRequired: 5,
+  aiUplift: 3,
+
+  // Attacker populations: count of actors and budget ($) each. `budget` is
+  // the median; budgetModel spreads it across the population (see BUDGET_MODELS)
+  // with budgetSigma for "lognormal" and budgetP10/budgetP90 for "quantiles".
+  // `skill` is expertise including wet-lab tacit knowledge, 0–10 (see SKILL_LEVELS).
+  attackerProfiles: [
+    { id: "lone-actor", name: "Lone actor", budget: 1000, count: 10000, color: "#6ECFB0", notes: "",
+      budgetModel: "point", budgetSigma: 1, budgetP10: 200, budgetP90: 10000, skill: 3 },
+    { id: "small-group", name: "Small group", budget: 50000, count: 100, color: "#F2C46D", notes: "",
+      budgetModel: "point", budgetSigma: 1, budgetP10: 10000, budgetP90: 500000, skill: 5 },
+    { id: "funded-org", name: "Well-funded org", budget: 2000000, count: 20, color: "#E88B6E", notes: "",
+      budgetModel: "point", budgetSigma: 1, budgetP10: 300000, budgetP90: 20000000, skill: 7 },
+    { id: "state-actor", name: "State actor", budget: 500000000, count: 15, color: "#D45D79", notes: "",
+      budgetModel: "point", budgetSigma: 1, budgetP10: 100000000, budgetP90: 2000000000, skill: 9 },
+  ],
+  // Profile the relevance framework measures the window and break-cost burden against
+  referenceProfileId: "small-group",
+
+  // Other chokepoints in the development chain. Each cost follows the same
+  // decaying-exponential-with-floor curve as training: baseCost and floor in $,
+  // decayRate in ×/yr (1 = constant).
+  chokepoints: [
+    { id: "dna-synthesis", name: "Unscreened DNA synthesis", baseCost: 100000, decayRate: 1.2, damping: 0.05, floor: 5000, color: "#F2C46D", note: "~$0.20/bp × 500K bp genome" },
+    { id: "benchtop-printer", name: "Benchtop DNA printer", baseCost: 100000, decayRate: 1.1, damping: 0.05, floor: 20000, color: "#F2C46D", note: "Equipment + consumables" },
+    { id: "bsl2-lab", name: "Basic BSL-2 lab setup", baseCost: 100000, decayRate: 1, damping: 0, floor: 100000, color: "#6ECFB0", note: "Space, equipment, supplies" },
+    { id: "bsl3-lab", name: "BSL-3 lab setup", baseCost: 1000000, decayRate: 1, damping: 0, floor: 1000000, color: "#6ECFB0", note: "Containment infrastructure" },
+    { id: "domain-expert", name: "Hire domain expert (1 yr)", baseCost: 250000, decayRate: 1, damping: 0, floor: 250000, color: "#4AA88D", note: "Salary + recruiting" },
+  ],
+
+  // Safeguard robustness
+  stepsToBreak: 10000,
+  gpuHourCost: 2,            // $/hr
+  safeguardBudgetThreshold: 1000, // $
+
+  // Fine-tuning compute: what one step of a safeguard-removal run costs
+  fineTuneMethod: "full",    // "full" | "lora", see FINE_TUNE_METHODS
+  fineTuneBatchSize: 8,      // sequences/step
+  fineTuneSeqLen: 2048,      // tokens/sequence
+  gpuFlops: 3e15,            // FLOP/s peak per GPU, see HARDWARE_PRESETS
+  computeEfficiencyFactor: 15, // × slower than peak in practice
+
+  // Attack chain: base success probability of each stage (%), before
+  // interventions, see ATTACK_STAGES
+  stageDesignSuccess: 95,
+  stageAcquireSuccess: 90,
+  stageBuildSuccess: 75,
+  stageScaleSuccess: 85,
+  stageDeploySuccess: 85,
+
+  // Aggregate risk: share of each population attempting an attack each year,
+  // and the rate future successes are discounted at
+  attemptRate: 0.001,        // %/yr
+  discountRate: 0,           // %/yr
+
+  // Weight release: how the dangerous model's weights get out (see
+  // RELEASE_POLICIES), plus a yearly chance they leak or are stolen under any
+  // policy. Either route's weights may or may not still carry safeguards.
+  releasePolicy: "closed",
+  releaseYear: 3,            // years after start
+  stagedReleaseYears: 3,     // years from first release to fully public
+  releasedSafeguards: true,
+  leakRate: 0,               // %/yr
+  leakedSafeguards: false,
+
+  // Interventions
+  safeguardStrength: 70,     // %
+  screeningCoverage: 40,     // %
+  screeningNovelDetect: 30,  // %
+  computeGovThreshold: 1,    // $M
+  surveillanceEff: 50,       // %
+
+  // How hard each intervention bites at full strength, see ATTACK_STAGES:
+  // the share of design attempts compute governance stops on each path, and
+  // of deployments surveillance stops at 100% effectiveness
+  computeGovTrainStrength: 60,    // %
+  computeGovFineTuneStrength: 20, // %
+  surveillanceReach: 50,          // %
+
+  // Intervention trajectories, see interventionTrajectory. The intervention
+  // values above are the strengths at the start; "constant" keeps them.
+  safeguardStrengthTrajectory: "constant",
+  screeningCoverageTrajectory: "constant",
+  screeningNovelDetectTrajectory: "constant",
+  surveillanceEffTrajectory: "constant",
+  safeguardStrengthTarget: 90,      // % reached at the ramp year
+  screeningCoverageTarget: 80,
+  screeningNovelDetectTarget: 60,
+  surveillanceEffTarget: 80,
+  safeguardStrengthRampYear: 5,     // years after start
+  screeningCoverageRampYear: 5,
+  screeningNovelDetectRampYear: 8,
+  surveillanceEffRampYear: 10,
+  safeguardStrengthRampShape: "linear",
+  screeningCoverageRampShape: "linear",
+  screeningNovelDetectRampShape: "linear",
+  surveillanceEffRampShape: "linear",
+  safeguardStrengthPoints: [],      // % at each whole year from the start
+  screeningCoveragePoints: [],
+  screeningNovelDetectPoints: [],
+  surveillanceEffPoints: [],
+
+  // Defender budget: what improving each intervention costs, in $M per point
+  // at 0% (each further point costs more, see defender-budget.js) or per
+  // decade the compute governance threshold is lowered
+  defenderBudget: 100,       // $M
+  safeguardCostPerPoint: 0.5,
+  screeningCoverageCostPerPoint: 1,
+  screeningNovelDetectCostPerPoint: 2,
+  surveillanceCostPerPoint: 3,
+  computeGovCostPerDecade: 20,
+};
+
+export const STEPS_PER_YEAR_OPTIONS = [1, 2, 4, 12];
+
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Index of the point `t` years after the start on a results timeline,
+// clamped to the ends so short horizons never read past the arrays
+export const indexAtYear = (results, t) => clamp(Math.round(t * results.stepsPerYear), 0, results.years.length - 1);
+
+// ── Core model: decaying exponential cost with floor ────────────
+export function computeCostAtYear(baseCost, initialDecayRate, year, damping, floor) {
+  const k0 = Math.log(initialDecayRate);
+  const effectiveDamping = Math.max(damping, 0.001);
+  const cumulativeDecline = (k0 / effectiveDamping) * (1 - Math.exp(-effectiveDamping * year));
+  const cost = floor + (baseCost - floor) * Math.exp(-cumulativeDecline);
+  return Math.max(floor, cost);
+}
+
+export function instantaneousRate(initialDecayRate, year, damping) {
+  const k0 = Math.log(initialDecayRate);
+  const effectiveDamping = Math.max(damping, 0.001);
+  const kt = k0 * Math.exp(-effectiveDamping * year);
+  return Math.exp(kt);
+}
+
+// ── Cost curve families ──────────────────────────────────────────
+// Alternative shapes for the training and fine-tune cost trajectories. Each
+// `cost(c, t)` takes the series' parameters (see costCurveParams; base and
+// floor in $) and years since the start, and is clamped to the floor.
+export const COST_CURVE_FAMILIES = {
+  damped: {
+    shortLabel: "Damped",
+    label: "Damped exponential",
+    description: "Exponential decline whose rate decays toward zero as physical limits approach",
+    cost: (c, t) => computeCostAtYear(c.base, c.decayRate, t, c.damping, c.floor),
+  },
+  logistic: {
+    shortLabel: "Logistic",
+    label: "Logistic S-curve",
+    description: "Log cost falls from the base to the floor along an S-curve: slow, then fastest at the midpoint, then leveling off",
+    cost: (c, t) => {
+      const s = c.logisticSteepness;
+      const remaining = (1 + Math.exp(-s * c.logisticMidpoint)) / (1 + Math.exp(s * (t - c.logisticMidpoint)));
+      return Math.max(c.floor, c.floor * Math.pow(c.base / c.floor, remaining));
+    },
+  },
+  wright: {
+    shortLabel: "Wright",
+    label: "Wright's law",
+    description: "Cost falls by the learning rate with every doubling of cumulative output, which grows with annual output",
+    cost: (c, t) => {
+      const share = c.outputShare / 100;
+      const growth = c.outputGrowth / 100;
+      // Cumulative output relative to today's
+      const cumulative = 1 + share * (growth > 1e-6 ? (Math.exp(growth * t) - 1) / growth : t);
+      const exponent = -Math.log2(1 - c.learningRate / 100);
+      return Math.max(c.floor, c.floor + (c.base - c.floor) * Math.pow(cumulative, -exponent));
+    },
+  },
+  piecewise: {
+    shortLabel: "Piecewise",
+    label: "Piecewise with plateau",
+    description: "Declines at the initial rate until the break year, then at the late rate, then flat from the plateau year",
+    cost: (c, t) => {
+      const plateau = Math.max(0, c.plateauYear);
+      const early = Math.min(t, c.breakYear, plateau);
+      const late = Math.max(0, Math.min(t, plateau) - c.breakYear);
+      return Math.max(c.floor, c.base * Math.exp(-early * Math.log(c.decayRate) - late * Math.log(c.lateDecayRate)));
+    },
+  },
+};
+
+// Units of each series' base cost param; floors are in $K for both
+export const COST_SERIES = {
+  training: { label: "Training", baseScale: 1e6 },
+  fineTune: { label: "Fine-tune", baseScale: 1e3 },
+};
+
+const CURVE_PARAM_FIELDS = [
+  "DecayRate", "Damping", "LogisticMidpoint", "LogisticSteepness", "LearningRate", "OutputShare", "OutputGrowth",
+  "BreakYear", "LateDecayRate", "PlateauYear",
+];
+
+// The parameters of one cost series ("training" or "fineTune") with the
+// prefix dropped, e.g. trainingLearningRate → learningRate, base and floor in $
+export function costCurveParams(p, series) {
+  return {
+    base: p[`${series}CostBase`] * COST_SERIES[series].baseScale,
+    floor: p[`${series}Floor`] * 1e3,
+    ...Object.fromEntries(CURVE_PARAM_FIELDS.map(f => [f[0].toLowerCase() + f.slice(1), p[`${series}${f}`]])),
+  };
+}
+
+// Costs of one series over `years`, with the series' own family unless one is given
+export function seriesCosts(p, series, years, family = p[`${series}Curve`]) {
+  const c = costCurveParams(p, series);
+  return years.map(t => COST_CURVE_FAMILIES[family].cost(c, t));
+}
+
+// Annual cost reduction factor at each year. Exact for the damped family;
+// other families use the local slope of log cost.
+export function seriesRates(p, series, years, family = p[`${series}Curve`]) {
+  const c = costCurveParams(p, series);
+  if (family === "damped") return years.map(t => instantaneousRate(c.decayRate, t, c.damping));
+  const h = 1e-3;
+  const { cost } = COST_CURVE_FAMILIES[family];
+  return years.map(t => Math.exp((Math.log(cost(c, t)) - Math.log(cost(c, t + h))) / h));
+}
+
+export function capabilityCurve(params, midpoint, steepness = 1.5) {
+  const x = Math.log10(params) - Math.log10(midpoint);
+  return 1 / (1 + Math.exp(-steepness * x * 5));
+}
+
+// ── Algorithmic efficiency ───────────────────────────────────────
+// With better architectures and data, a model of N params at year t is as
+// capable as one of N × algorithmicEfficiency^t at the start. Attackers train
+// the cheapest model (B params) with the target model's capability at each of
+// `years`. A target below the dangerous threshold stays at its size, growing
+// more capable, until efficiency carries it across; from then on the model
+// only has to cross the threshold. Sizes stop shrinking at MIN_MODEL_SIZE,
+// where the model keeps gaining capability instead.
+export const MIN_MODEL_SIZE = 1; // B params, also the target model size slider's minimum
+
+export function attackModelSizes(p, years) {
+  return years.map(t => Math.min(p.modelSize, Math.max(MIN_MODEL_SIZE, Math.max(p.modelSize, p.dangerousCapThreshold) / Math.pow(p.algorithmicEfficiency, t))));
+}
+
+// How costs scale with model size: compute-optimal training runs on tokens in
+// proportion to params, so params²; fine-tuning FLOP per token ∝ params
+export const TRAINING_SIZE_EXPONENT = 2;
+export const FINE_TUNE_SIZE_EXPONENT = 1;
+
+export function safeguardEffectiveness(safeguardBase, attackerBudgetRatio) {
+  return safeguardBase * Math.exp(-0.5 * Math.max(0, attackerBudgetRatio - 1));
+}
+
+// ── Fine-tuning steps to GPU-hours/cost mapping ─────────────────
+// Theoretical calculation:
+// - FLOP per step ≈ k × params × batch × seq, with k = 6 for full
+//   fine-tuning (2 forward + 4 backward) and ≈ 4 for LoRA, which skips the
+//   weight gradients of the frozen base model
+// - divided by the GPU's peak throughput (H100: ~3e15 FLOP/s)
+//
+// BUT: Real-world training is 10-30x less efficient than theoretical FLOP calc
+// due to: memory bandwidth limits, optimizer state overhead, gradient
+// accumulation, multi-GPU communication, data loading, checkpointing.
+//
+// Empirical calibration from Deep Ignorance paper (EleutherAI 2025):
+// - 6.9B model, 10K steps, 305M tokens = ~17 GPU-hours on 2×H200
+// - That's ~8.5 GPU-hours per run, or ~3 seconds/step actual
+// - Theoretical would predict ~0.23 sec/step — so ~13x efficiency loss
+//
+// The default 15x efficiency factor (conservative) matches that data. Every
+// steps ↔ GPU-hours conversion goes through fineTuneStepTime so the
+// dashboard's costs, targets and methodology text can't drift apart.
+
+export const FINE_TUNE_METHODS = {
+  full: { label: "Full fine-tuning", flopPerParamToken: 6 },
+  lora: { label: "LoRA", flopPerParamToken: 4 },
+};
+
+// Peak dense throughput on the same precision basis as the H100 figure, and
+// typical cloud $/GPU-hour
+export const HARDWARE_PRESETS = {
+  h100: { label: "NVIDIA H100", gpuFlops: 3e15, gpuHourCost: 2 },
+  h200: { label: "NVIDIA H200", gpuFlops: 3e15, gpuHourCost: 3 },
+  a100: { label: "NVIDIA A100", gpuFlops: 1e15, gpuHourCost: 1.2 },
+  mi300: { label: "AMD MI300X", gpuFlops: 4e15, gpuHourCost: 2.5 },
+  rtx4090: { label: "RTX 4090 (consumer)", gpuFlops: 5e14, gpuHourCost: 0.4 },
+};
+
+// Seconds per fine-tuning step for a model of `modelSizeB` billion params.
+// `compute` holds the fine-tuning compute params (any params object will do);
+// missing keys fall back to DEFAULT_PARAMS.
+export function fineTuneStepTime(modelSizeB, compute = {}) {
+  const c = { ...DEFAULT_PARAMS, ...compute };
+  const method = FINE_TUNE_METHODS[c.fineTuneMethod] || FINE_TUNE_METHODS.full;
+  const flopPerStep = method.flopPerParamToken * modelSizeB * 1e9 * c.fineTuneBatchSize * c.fineTuneSeqLen;
+  const theoreticalSeconds = flopPerStep / c.gpuFlops;
+  return { flopPerStep, theoreticalSeconds, actualSeconds: theoreticalSeconds * c.computeEfficiencyFactor };
+}
+
+export function stepsToGpuHours(steps, modelSizeB, compute = {}) {
+  return (steps * fineTuneStepTime(modelSizeB, compute).actualSeconds) / 3600;
+}
+
+export function gpuHoursToSteps(gpuHours, modelSizeB, compute = {}) {
+  return (gpuHours * 3600) / fineTuneStepTime(modelSizeB, compute).actualSeconds;
+}
+
+export function gpuHoursToCost(gpuHours, costPerGpuHour) {
+  return gpuHours * costPerGpuHour;
+}
+
+export function stepsToBreakCost(steps, modelSizeB, costPerGpuHour, compute = {}) {
+  return gpuHoursToCost(stepsToGpuHours(steps, modelSizeB, compute), costPerGpuHour);
+}
+
+// ── Attacker profiles ────────────────────────────────────────────
+// Before profiles were user-defined, each default profile had a flat
+// count/budget parameter pair. Links, files and saved scenarios from then
+// still use these keys.
+export const LEGACY_PROFILE_KEYS = {
+  loneActorCount: ["lone-actor", "count"],
+  loneActorBudget: ["lone-actor", "budget"],
+  smallGroupCount: ["small-group", "count"],
+  smallGroupBudget: ["small-group", "budget"],
+  fundedOrgCount: ["funded-org", "count"],
+  fundedOrgBudget: ["funded-org", "budget"],
+  stateActorCount: ["state-actor", "count"],
+  stateActorBudget: ["state-actor", "budget"],
+};
+
+// Folds legacy flat profile keys into `attackerProfiles`
+export function migrateLegacyParams(raw) {
+  const legacy = Object.keys(raw).filter(k => k in LEGACY_PROFILE_KEYS);
+  if (!legacy.length) return raw;
+  const { ...rest } = raw;
+  const profiles = (raw.attackerProfiles || DEFAULT_PARAMS.attackerProfiles).map(a => ({ ...a }));
+  for (const key of legacy) {
+    const [id, field] = LEGACY_PROFILE_KEYS[key];
+    const profile = profiles.find(a => a.id === id);
+    if (profile) profile[field] = raw[key];
+    delete rest[key];
+  }
+  return { ...rest, attackerProfiles: profiles };
+}
+
+// The reference profile, or the median-budget profile if it was deleted
+export function referenceProfile(p) {
+  const found = p.attackerProfiles.find(a => a.id === p.referenceProfileId);
+  if (found) return found;
+  const byBudget = [...p.attackerProfiles].sort((a, b) => a.budget - b.budget);
+  return byBudget[Math.floor((byBudget.length - 1) / 2)];
+}
+
+let nextProfileId = 1;
+export function createAttackerProfile(fields = {}) {
+  return {
+    id: `profile-${Date.now().toString(36)}-${nextProfileId++}`, name: "New profile", budget: 100000, count: 10, color: "#9B8FFF", notes: "",
+    budgetModel: "point", budgetSigma: 1, budgetP10: 20000, budgetP90: 500000, skill: 5, ...fields,
+  };
+}
+
+// ── Expertise and AI uplift ──────────────────────────────────────
+// Skill on a 0–10 scale, covering both know-how and wet-lab tacit knowledge
+export const SKILL_LEVELS = [
+  { min: 0, label: "None" },
+  { min: 2, label: "Hobbyist" },
+  { min: 4, label: "Undergraduate" },
+  { min: 6, label: "Graduate" },
+  { min: 8, label: "PhD + wet lab" },
+  { min: 10, label: "Expert team" },
+];
+export const skillLabel = (skill) => SKILL_LEVELS.filter(l => skill >= l.min).pop().label;
+
+// Chance an attacker completes a path: even odds at the required level, and
+// each skill point above or below multiplies the odds by e
+export const skillSuccess = (skill, required) => 1 / (1 + Math.exp(required - skill));
+
+// A path's required skill once a model with `capability` (0–1) does part of the work
+export const upliftedRequirement = (required, uplift, capability) => Math.max(0, required - uplift * capability);
+
+// ── Attacker budget distributions ────────────────────────────────
+// How budgets vary within one profile's population. Both spread models are a
+// two-piece lognormal around the median `budget`: "lognormal" has the same
+// log-space sigma on both sides, "quantiles" fits each side to P10 and P90.
+export const BUDGET_MODELS = {
+  point: { label: "Single value" },
+  lognormal: { label: "Lognormal" },
+  quantiles: { label: "P10 / P50 / P90" },
+};
+
+const Z90 = 1.2815515655446004; // standard normal 90th percentile
+
+// Abramowitz & Stegun 7.1.26, accurate to ~1e-7
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Acklam's rational approximation of the inverse normal CDF
+function normalQuantile(u) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (u < 0.02425) return tail(Math.sqrt(-2 * Math.log(u)));
+  if (u > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - u)));
+  const q = u - 0.5, r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Log-space sigma below and above the median; 0 for a point budget
+function budgetSigmas(a) {
+  if (a.budgetModel === "lognormal") return { low: a.budgetSigma, high: a.budgetSigma };
+  if (a.budgetModel === "quantiles") {
+    return { low: Math.log(a.budget / Math.min(a.budgetP10, a.budget)) / Z90, high: Math.log(Math.max(a.budgetP90, a.budget) / a.budget) / Z90 };
+  }
+  return { low: 0, high: 0 };
+}
+
+// P10 and P90 budgets across the population (both the budget for a point)
+export function budgetPercentiles(a) {
+  const { low, high } = budgetSigmas(a);
+  return { p10: a.budget * Math.exp(-Z90 * low), p90: a.budget * Math.exp(Z90 * high) };
+}
+
+// Fraction of a profile's population with at least `cost` to spend
+export function shareAbove(a, cost) {
+  const { low, high } = budgetSigmas(a);
+  const z = Math.log(cost / a.budget);
+  const sigma = z < 0 ? low : high;
+  if (!(sigma > 0)) return a.budget >= cost ? 1 : 0;
+  return 1 - normalCdf(z / sigma);
+}
+
+// Fraction with a budget in [lo, hi)
+const shareBetween = (a, lo, hi) => hi > lo ? Math.max(0, shareAbove(a, lo) - shareAbove(a, hi)) : 0;
+
+// Budgets at the midpoints of `n` equal-probability slices of the population,
+// for averaging anything that depends on budget; just the budget for a point.
+// Every slice costs a pass over the timeline, and 8 already land within about
+// 1% of finer slicing on expected successes.
+export function budgetQuantiles(a, n = 8) {
+  const { low, high } = budgetSigmas(a);
+  if (!(low > 0) && !(high > 0)) return [a.budget];
+  return Array.from({ length: n }, (_, k) => {
+    const z = normalQuantile((k + 0.5) / n);
+    return a.budget * Math.exp(z * (z < 0 ? low : high));
+  });
+}
+
+// ── Intervention trajectories ────────────────────────────────────
+// Each intervention's strength (%) can change over the timeline instead of
+// holding its slider value. "ramp" moves from the slider value at the start
+// to `<key>Target` by `<key>RampYear` along `<key>RampShape`, then holds;
+// "drawn" follows `<key>Points`, one value per whole year from the start,
+// interpolated in between and held after the last.
+export const INTERVENTION_KEYS = ["safeguardStrength", "screeningCoverage", "screeningNovelDetect", "surveillanceEff"];
+
+export const TRAJECTORY_TYPES = {
+  constant: { label: "Constant" },
+  ramp: { label: "Ramp" },
+  drawn: { label: "Drawn" },
+};
+
+// Share of the way from start to target, for x = share of the ramp elapsed
+export const RAMP_SHAPES = {
+  linear: { label: "Linear", progress: x => x },
+  sCurve: { label: "S-curve", progress: x => x * x * (3 - 2 * x) },
+  early: { label: "Front-loaded", progress: x => 1 - (1 - x) ** 2 },
+  step: { label: "Step", progress: x => x >= 1 ? 1 : 0 },
+};
+
+export function interventionTrajectory(p, key, years) {
+  const start = p[key];
+  if (p[`${key}Trajectory`] === "ramp") {
+    const target = p[`${key}Target`];
+    const rampYear = p[`${key}RampYear`];
+    const { progress } = RAMP_SHAPES[p[`${key}RampShape`]] ?? RAMP_SHAPES.linear;
+    return years.map(t => start + (target - start) * progress(rampYear > 0 ? clamp(t / rampYear, 0, 1) : 1));
+  }
+  const points = p[`${key}Points`];
+  if (p[`${key}Trajectory`] === "drawn" && points?.length) {
+    const last = points.length - 1;
+    return years.map(t => {
+      const k = Math.floor(t);
+      return clamp(k >= last ? points[last] : points[k] + (points[k + 1] - points[k]) * (t - k), 0, 100);
+    });
+  }
+  return years.map(() => start);
+}
+
+// ── Weight release ───────────────────────────────────────────────
+// An attacker who obtains the dangerous model's weights skips training
+// altogether. If the weights still carry their safeguards it only has to pay
+// to break them; if not, it gets the model for nothing.
+export const RELEASE_POLICIES = {
+  closed: { label: "Closed", description: "Weights stay with the developer; only a leak gets them out" },
+  staged: { label: "Staged", description: "Access widens steadily from the release year until the weights are public" },
+  open: { label: "Open", description: "Weights are public from the release year" },
+};
+
+// Chance an attacker can obtain the weights at each of `years`: released
+// (share of attackers the release reaches), leaked (by then, at leakRate per
+// year) and, splitting the chance of either, with safeguards intact
+// (`safeguarded`) or stripped (`unsafeguarded`). Anyone who can get stripped
+// weights uses them.
+export function weightAccess(p, years) {
+  const released = years.map(t => {
+    if (p.releasePolicy === "open") return t >= p.releaseYear ? 1 : 0;
+    if (p.releasePolicy === "staged") return p.stagedReleaseYears > 0 ? clamp((t - p.releaseYear) / p.stagedReleaseYears, 0, 1) : t >= p.releaseYear ? 1 : 0;
+    return 0;
+  });
+  const leaked = years.map(t => 1 - Math.pow(1 - p.leakRate / 100, t));
+  const unsafeguarded = years.map((_, i) => 1 - (1 - (p.releasedSafeguards ? 0 : released[i])) * (1 - (p.leakedSafeguards ? 0 : leaked[i])));
+  const safeguarded = years.map((_, i) => 1 - (1 - released[i]) * (1 - leaked[i]) - unsafeguarded[i]);
+  return { released, leaked, safeguarded, unsafeguarded };
+}
+
+// ── Attack chain ─────────────────────────────────────────────────
+// An attack succeeds only if every stage does. Each stage has a base success
+// probability (`param`, in %) and the interventions acting on it; an
+// intervention of strength s stops that share of the attempts reaching the
+// stage. `point` is the state of the world at one timeline point: training and
+// fine-tune costs, the cost to break safeguards, model capability, the skill
+// each path needs and the intervention strengths (`levels`, % by key).
+// `point.weights` is set ("safeguarded" or "unsafeguarded") for an attacker
+// holding the model's weights, which opens the "weights" path.
+export const ATTACK_PATHS = {
+  train: { label: "Train from scratch" },
+  fineTune: { label: "Fine-tune past safeguards" },
+  weights: { label: "Use obtained weights" },
+};
+
+// What taking `path` costs at `point`
+const pathCost = (point, path) =>
+  path === "train" ? point.trainingCost : path === "fineTune" ? point.fineTuneCost : point.weights === "safeguarded" ? point.breakCost : 0;
+
+// Paths open at `point`; using weights takes holding them
+const openPaths = (point) => Object.keys(ATTACK_PATHS).filter(path => path !== "weights" || point.weights);
+
+// Least an attacker needs to afford any path at `point`
+const cheapestPathCost = (point) => Math.min(...openPaths(point).map(path => pathCost(point, path)));
+
+// Share of designs that are novel rather than known agents, which screening
+// catches less often. A model fine-tuned past its safeguards yields fewer.
+const novelShare = (point, path) =>
+  (path === "train" || (path === "weights" && point.weights === "unsafeguarded") ? 1 : 0.4) * clamp(point.novelCap / Math.max(point.dangerousCap, 0.01), 0, 1);
+
+// Whether safeguards stand in the way on `path`
+const safeguardedPath = (point, path) => path === "fineTune" || (path === "weights" && point.weights === "safeguarded");
+
+export const ATTACK_STAGES = [
+  {
+    id: "design", label: "Design", param: "stageDesignSuccess", scalesWithCapability: true,
+    description: "Design or choose an agent with the model's help; scaled by the model's dangerous capability",
+    interventions: (p, point, path, budget) => [
+      ...(safeguardedPath(point, path) ? [{ name: "Model safeguards", strength: safeguardEffectiveness(point.levels.safeguardStrength / 100, budget / pathCost(point, path)) }] : []),
+      ...(path !== "weights" && point.trainingCost >= p.computeGovThreshold * 1e6 ? [{ name: "Compute governance", strength: (path === "train" ? p.computeGovTrainStrength : p.computeGovFineTuneStrength) / 100 }] : []),
+    ],
+  },
+  {
+    id: "acquire", label: "Acquire sequences", param: "stageAcquireSuccess",
+    description: "Obtain the DNA from a synthesis provider or a benchtop printer",
+    interventions: (p, point, path) => {
+      const novel = novelShare(point, path);
+      return [{ name: "Synthesis screening", strength: (point.levels.screeningCoverage / 100) * (1 - novel + novel * point.levels.screeningNovelDetect / 100) }];
+    },
+  },
+  {
+    id: "build", label: "Build & culture", param: "stageBuildSuccess",
+    description: "Assemble the agent and grow it in a lab",
+    interventions: () => [],
+  },
+  {
+    id: "scale", label: "Scale up", param: "stageScaleSuccess",
+    description: "Produce and stabilize enough of it for an attack",
+    interventions: () => [],
+  },
+  {
+    id: "deploy", label: "Deploy", param: "stageDeploySuccess",
+    description: "Release it before surveillance picks up the outbreak",
+    interventions: (p, point) => [{ name: "Surveillance", strength: point.levels.surveillanceEff / 100 * p.surveillanceReach / 100 }],
+  },
+];
+
+// Per-stage success along `path` for an attacker with `budget` at `point`;
+// overall success is the product
+export function attackChain(p, point, path, budget) {
+  let success = 1;
+  const stages = ATTACK_STAGES.map(stage => {
+    const base = p[stage.param] / 100 * (stage.scalesWithCapability ? point.dangerousCap : 1);
+    const interventions = stage.interventions(p, point, path, budget);
+    const stageSuccess = interventions.reduce((s, iv) => s * (1 - iv.strength), base);
+    success *= stageSuccess;
+    return { id: stage.id, label: stage.label, base, interventions, success: stageSuccess };
+  });
+  return { stages, success: clamp(success, 0, 1) };
+}
+
+// Every path open to an attacker with `budget` and `skill` at `point`: whether
+// it can afford each, its attack chain and, with the skill barrier, the chance
+// it has the expertise to complete it. `threat` is zero for paths it can't
+// afford. Using obtained weights takes the fine-tuning skill.
+export function attackPaths(p, point, budget, skill) {
+  return openPaths(point).map(path => {
+    const affordable = budget >= pathCost(point, path);
+    const chain = attackChain(p, point, path, budget);
+    const skillOdds = p.skillBarrier ? skillSuccess(skill, point.skillRequired[path === "weights" ? "fineTune" : path]) : 1;
+    return { path, affordable, chain, skillOdds, threat: affordable ? chain.success * skillOdds : 0 };
+  });
+}
+
+// The path the attacker takes, or null if it can afford none. Money alone:
+// anyone who can use obtained weights does, and otherwise anyone who can
+// afford to train does. With the skill barrier, the path most likely to succeed.
+export function chosenPath(p, paths) {
+  const affordable = paths.filter(x => x.affordable);
+  if (!affordable.length) return null;
+  if (p.skillBarrier) return affordable.reduce((a, b) => b.threat > a.threat ? b : a);
+  return affordable.find(x => x.path === "weights") ?? affordable[0];
+}
+
+let nextChokepointId = 1;
+export function createChokepoint(fields = {}) {
+  return { id: `chokepoint-${Date.now().toString(36)}-${nextChokepointId++}`, name: "New chokepoint", baseCost: 100000, decayRate: 1, damping: 0, floor: 100000, color: "#9B8FFF", note: "", ...fields };
+}
+
+// Relevance score (0-100), level and reason from the decision framework's
+// inputs at one evaluation point; see runScenario
+export function assessRelevance({ blockedPct, windowYears, windowEndsWithWeights, breakCostPct, referenceName }) {
+  let relevanceScore = 0;
+  let relevanceReason = "";
+
+  if (blockedPct < 20) {
+    relevanceScore = Math.max(0, blockedPct);
+    relevanceReason = `Only ${blockedPct.toFixed(0)}% of attackers blocked — safeguards ineffective at current robustness`;
+  } else if (windowYears < 3) {
+    relevanceScore = Math.min(30, blockedPct * 0.5);
+    relevanceReason = windowEndsWithWeights
+      ? `Weights without safeguards are likely out in ${+windowYears.toFixed(2)}y — safeguards obsolete before they matter`
+      : `${referenceName} can train from scratch in ${+windowYears.toFixed(2)}y — safeguards obsolete before they matter`;
+  } else if (breakCostPct < 1) {
+    relevanceScore = Math.min(40, blockedPct * 0.6);
+    relevanceReason = `Breaking cost is ${breakCostPct.toFixed(1)}% of attacker budget — trivial barrier`;
+  } else if (blockedPct >= 50 && windowYears >= 5 && breakCostPct >= 10) {
+    relevanceScore = Math.min(100, blockedPct + windowYears * 2 + breakCostPct * 0.5);
+    relevanceReason = `${blockedPct.toFixed(0)}% blocked, ${+windowYears.toFixed(2)}y window, ${breakCostPct.toFixed(0)}% of budget — safeguards have value`;
+  } else {
+    relevanceScore = Math.min(70, blockedPct * 0.7 + windowYears * 2);
+    relevanceReason = `Marginal value: ${blockedPct.toFixed(0)}% blocked, ${+windowYears.toFixed(2)}y window`;
+  }
+
+  const relevanceLevel = relevanceScore >= 60 ? "high" : relevanceScore >= 30 ? "marginal" : "low";
+
+  return { relevanceScore, relevanceReason, relevanceLevel };
+}
+
+// ── Scenario runner ──────────────────────────────────────────────
+// Missing keys fall back to DEFAULT_PARAMS, so callers can pass only the
+// parameters they want to vary.
+export function runScenario(params = {}) {
+  const p = { ...DEFAULT_PARAMS, ...migrateLegacyParams(params) };
+  const { attackerProfiles } = p;
+  const reference = referenceProfile(p);
+  const referenceBudget = reference ? reference.budget : 0; // median if the budget is spread
+  const referenceName = reference ? reference.name : "Reference profile";
+
+  // `years` are offsets from startYear (fractional with sub-annual resolution)
+  const { startYear, horizonYears, stepsPerYear } = p;
+  const years = Array.from({ length: Math.round(horizonYears * stepsPerYear) + 1 }, (_, i) => i / stepsPerYear);
+  const calendarYears = years.map(t => startYear + t);
+  const timeline = { years, stepsPerYear };
+  const evaluationIdx = indexAtYear(timeline, p.evaluationYear);
+  const evaluationYear = years[evaluationIdx];
+
+  // Model attackers train at each point and its capability, see attackModelSizes.
+  // The cost curves are for the target size and scale with the model, but
+  // never below the series floor: a smaller model can't beat the irreducible
+  // minimum (naive curves, which ignore it, only fall below it by decay).
+  const modelSizes = attackModelSizes(p, years);
+  const effectiveParams = years.map((t, i) => modelSizes[i] * 1e9 * Math.pow(p.algorithmicEfficiency, t));
+  const dangerousCapByYear = effectiveParams.map(n => capabilityCurve(n, p.dangerousCapThreshold * 1e9));
+  const novelCapByYear = effectiveParams.map((n, i) => p.noveltyRequiresScale ? capabilityCurve(n, p.dangerousCapThreshold * 1e9 * 2.5) : dangerousCapByYear[i] * 0.7);
+  // Capability at the evaluation year, for the scalar outputs
+  const dangerousCap = dangerousCapByYear[evaluationIdx];
+  const novelCap = novelCapByYear[evaluationIdx];
+  const sizeFactor = (i, exponent) => Math.pow(modelSizes[i] / p.modelSize, exponent);
+  const bySize = (costs, exponent, floor) => costs.map((c, i) => Math.max(Math.min(c, floor), c * sizeFactor(i, exponent)));
+  const trainingFloor = p.trainingFloor * 1e3, fineTuneFloor = p.fineTuneFloor * 1e3;
+
+  const trainingCosts = bySize(seriesCosts(p, "training", years), TRAINING_SIZE_EXPONENT, trainingFloor);
+  const fineTuneCosts = bySize(seriesCosts(p, "fineTune", years), FINE_TUNE_SIZE_EXPONENT, fineTuneFloor);
+  const trainingCostsNaive = bySize(years.map(y => p.trainingCostBase * 1e6 * Math.pow(1 / p.trainingDecayRate, y)), TRAINING_SIZE_EXPONENT, trainingFloor);
+  const fineTuneCostsNaive = bySize(years.map(y => p.fineTuneCostBase * 1e3 * Math.pow(1 / p.fineTuneDecayRate, y)), FINE_TUNE_SIZE_EXPONENT, fineTuneFloor);
+  const trainingRates = seriesRates(p, "training", years);
+  const fineTuneRates = seriesRates(p, "fineTune", years);
+
+  // Safeguard breaking cost
+  const breakGpuHours = stepsToGpuHours(p.stepsToBreak, p.modelSize, p);
+  const breakCost = gpuHoursToCost(breakGpuHours, p.gpuHourCost);
+
+  // Break cost over time (GPU-hour costs also decline, roughly tracking fine-tune
+  // decay; GPU-hours per step scale with the model)
+  const breakCostsOverTime = years.map((y, i) => {
+    const futureGpuCost = p.gpuHourCost * Math.pow(1 / p.fineTuneDecayRate, y * 0.5); // GPU costs decline slower than fine-tuning
+    return gpuHoursToCost(breakGpuHours * sizeFactor(i, 1), Math.max(0.1, futureGpuCost));
+  });
+
+  const chokepoints = p.chokepoints.map(c => ({
+    ...c, costs: years.map(y => computeCostAtYear(c.baseCost, c.decayRate, y, c.damping, c.floor)),
+  }));
+
+  // Skill each path needs with and without help from the dangerous model, at
+  // the evaluation year
+  const skillRequired = {
+    train: { base: p.trainSkillRequired, uplifted: upliftedRequirement(p.trainSkillRequired, p.aiUplift, dangerousCap) },
+    fineTune: { base: p.fineTuneSkillRequired, uplifted: upliftedRequirement(p.fineTuneSkillRequired, p.aiUplift, dangerousCap) },
+  };
+
+  // Intervention strengths (%) at each point
+  const interventionLevels = Object.fromEntries(INTERVENTION_KEYS.map(key => [key, interventionTrajectory(p, key, years)]));
+  const levelsAt = (i) => Object.fromEntries(INTERVENTION_KEYS.map(key => [key, interventionLevels[key][i]]));
+
+  // Chance of holding the weights at each point, see weightAccess
+  const weights = weightAccess(p, years);
+
+  // What an attacker without the weights faces at each point, for attackPaths
+  const attackPoints = years.map((_, i) => ({
+    trainingCost: trainingCosts[i], fineTuneCost: fineTuneCosts[i], breakCost: breakCostsOverTime[i],
+    dangerousCap: dangerousCapByYear[i], novelCap: novelCapByYear[i],
+    skillRequired: {
+      train: upliftedRequirement(p.trainSkillRequired, p.aiUplift, dangerousCapByYear[i]),
+      fineTune: upliftedRequirement(p.fineTuneSkillRequired, p.aiUplift, dangerousCapByYear[i]),
+    },
+    levels: levelsAt(i),
+  }));
+
+  // Residual threat from one attacker with `budget` and `skill` at point i:
+  // the attack chain's success along the path it takes, weighted by the chance
+  // it holds safeguarded, stripped or no weights. Budgets that can't afford
+  // any path skip the chains.
+  const threatWith = (point, budget, skill) =>
+    budget < cheapestPathCost(point) ? 0 : chosenPath(p, attackPaths(p, point, budget, skill))?.threat ?? 0;
+  const threatAt = (budget, skill, i) => {
+    const point = attackPoints[i];
+    const withoutWeights = threatWith(point, budget, skill);
+    const safeguarded = weights.safeguarded[i], unsafeguarded = weights.unsafeguarded[i];
+    if (!safeguarded && !unsafeguarded) return withoutWeights;
+    return (1 - safeguarded - unsafeguarded) * withoutWeights
+      + (safeguarded && safeguarded * threatWith({ ...point, weights: "safeguarded" }, budget, skill))
+      + (unsafeguarded && unsafeguarded * threatWith({ ...point, weights: "unsafeguarded" }, budget, skill));
+  };
+  // Averaged over each profile's budget distribution
+  const threatMatrix = attackerProfiles.map(attacker => {
+    const budgets = budgetQuantiles(attacker);
+    return years.map((_, i) => budgets.reduce((sum, b) => sum + threatAt(b, attacker.skill, i), 0) / budgets.length);
+  });
+
+  // Aggregate risk. Attempts arrive at attemptRate per actor per year and
+  // succeed independently with the threat-matrix probability, so successes are
+  // Poisson with a yearly rate summed over every actor. Each point's rate holds
+  // until the next point.
+  const stepYears = 1 / stepsPerYear;
+  const expectedSuccessesByProfile = attackerProfiles.map((a, k) => threatMatrix[k].map(threat => a.count * (p.attemptRate / 100) * threat));
+  const expectedSuccessesByYear = years.map((_, i) => expectedSuccessesByProfile.reduce((sum, row) => sum + row[i], 0));
+  // P(at least one success) by each point, from the periods before it
+  let cumulativeHazard = 0;
+  const cumulativeRisk = years.map((_, i) => {
+    if (i > 0) cumulativeHazard += expectedSuccessesByYear[i - 1] * stepYears;
+    return 1 - Math.exp(-cumulativeHazard);
+  });
+  const discountFactors = years.map(t => Math.pow(1 + p.discountRate / 100, -t));
+  // Expected successes over the horizon, and in present terms at the start
+  const horizonTotal = (rates, weights) => rates.slice(0, -1).reduce((sum, rate, i) => sum + rate * stepYears * (weights ? weights[i] : 1), 0);
+  const expectedSuccessesTotal = horizonTotal(expectedSuccessesByYear);
+  const discountedSuccessesTotal = horizonTotal(expectedSuccessesByYear, discountFactors);
+  const riskByProfile = attackerProfiles.map((a, k) => {
+    const expected = horizonTotal(expectedSuccessesByProfile[k]);
+    return {
+      id: a.id, expected, discounted: horizonTotal(expectedSuccessesByProfile[k], discountFactors),
+      share: expectedSuccessesTotal > 0 ? expected / expectedSuccessesTotal : 0,
+    };
+  });
+
+  // Attacker population analysis
+  const totalAttackers = attackerProfiles.reduce((sum, a) => sum + a.count, 0);
+
+  // Share of each profile able to afford training from scratch at each point
+  const trainAffordShare = attackerProfiles.map(a => trainingCosts.map(c => shareAbove(a, c)));
+
+  // How many attackers can afford to train from scratch at year Y?
+  const canTrainByYear = years.map((_, i) => {
+    return attackerProfiles.reduce((sum, a, k) => sum + a.count * trainAffordShare[k][i], 0);
+  });
+
+  // How many attackers can obtain the weights and afford to use them at year Y?
+  const canUseWeightsByYear = years.map((_, i) => attackerProfiles.reduce((sum, a) =>
+    sum + a.count * (weights.unsafeguarded[i] + weights.safeguarded[i] * shareAbove(a, breakCostsOverTime[i])), 0));
+
+  // How many attackers can afford to break safeguards at year Y?
+  const canBreakSafeguardsByYear = years.map((_, i) => {
+    const breakCostY = breakCostsOverTime[i];
+    return attackerProfiles.reduce((sum, a) => sum + a.count * shareAbove(a, breakCostY), 0);
+  });
+
+  // Safeguards block what % of attackers who could fine-tune but not train?
+  // None of those holding stripped weights.
+  const safeguardsBlockByYear = years.map((_, i) => {
+    const breakCostY = breakCostsOverTime[i];
+    const totalInRange = attackerProfiles.reduce((sum, a) => sum + a.count * shareBetween(a, fineTuneCosts[i], trainingCosts[i]), 0);
+    const blockedCount = attackerProfiles.reduce((sum, a) => sum + a.count * shareBetween(a, fineTuneCosts[i], Math.min(trainingCosts[i], breakCostY)), 0);
+    // Under a millionth of an actor in range is distribution tail, not a population
+    return (totalInRange > 1e-6 ? blockedCount / totalInRange : 1) * (1 - weights.unsafeguarded[i]);
+  });
+
+  // Who AI uplift helps: expected actors in each profile who can afford a
+  // path and have the skill to complete it at the evaluation year
+  const capableAt = (a, i, level) => {
+    const budgets = budgetQuantiles(a);
+    const success = budgets.reduce((sum, b) => sum + Math.max(
+      b >= trainingCosts[i] ? skillSuccess(a.skill, skillRequired.train[level]) : 0,
+      b >= fineTuneCosts[i] ? skillSuccess(a.skill, skillRequired.fineTune[level]) : 0,
+    ), 0) / budgets.length;
+    return a.count * success;
+  };
+  const upliftByProfile = attackerProfiles.map(a => ({
+    id: a.id, withoutUplift: capableAt(a, evaluationIdx, "base"), withUplift: capableAt(a, evaluationIdx, "uplifted"),
+  }));
+  // Value of each intervention at point i, with that point's strengths
+  const interventionValuesAt = (i) => {
+    const { safeguardStrength, screeningCoverage, screeningNovelDetect, surveillanceEff } = attackPoints[i].levels;
+    return [
+      { name: "Model safeguards", value: clamp((safeguardStrength / 100) * dangerousCapByYear[i] * 30 * safeguardsBlockByYear[i], 0, 100), color: "#6ECFB0", active: safeguardStrength > 10 },
+      { name: "Synthesis screening", value: clamp(screeningCoverage * 0.7 + screeningNovelDetect * 0.15, 0, 100), color: "#4AA88D", active: screeningCoverage > 10 },
+      { name: "Compute governance", value: clamp(trainingCosts[i] >= p.computeGovThreshold * 1e6 ? 45 * (1 - Math.min(1, p.computeGovThreshold * 1e6 / trainingCosts[i])) : 5, 0, 100), color: "#F2C46D", active: trainingCosts[i] >= p.computeGovThreshold * 1e6 * 0.5 },
+      { name: "Surveillance", value: clamp(surveillanceEff * 0.6, 0, 100), color: "#E88B6E", active: surveillanceEff > 10 },
+    ];
+  };
+  const interventionValues = interventionValuesAt(evaluationIdx);
+  // Each intervention's value over the timeline, in interventionValues order
+  const interventionValuesByYear = interventionValues.map((_, k) => years.map((__, i) => interventionValuesAt(i)[k].value));
+
+  // First year offset at which the reference profile can afford to train, or -1 within the horizon
+  const firstAffordable = (costs) => { const i = costs.findIndex(c => c <= referenceBudget); return i < 0 ? -1 : years[i]; };
+  const naiveTrainYear = firstAffordable(trainingCostsNaive);
+  const realTrainYear = firstAffordable(trainingCosts);
+  const floorBuysYears = (realTrainYear < 0 ? horizonYears : realTrainYear) - (naiveTrainYear < 0 ? horizonYears : naiveTrainYear);
+  // First year offset by which stripped weights are more likely than not to be out, or -1
+  const weightsIdx = weights.unsafeguarded.findIndex(u => u >= 0.5);
+  const weightsYear = weightsIdx < 0 ? -1 : years[weightsIdx];
+
+  // Safeguard relevance decision framework
+  // Evaluates whether model safeguards are worth investing in based on:
+  // 1. What % of fine-tune-capable attackers are blocked at the evaluation year?
+  // 2. How many years until training-from-scratch is accessible to same
+  //    population, or weights without safeguards are likely out?
+  // 3. Is the breaking cost meaningful relative to attacker budgets?
+
+  const blockedPctAtEval = safeguardsBlockByYear[evaluationIdx] * 100;
+
+  // Years until the reference profile (small groups by default) can train from
+  // scratch or get stripped weights (the "window")
+  const windowEndsWithWeights = weightsYear >= 0 && (realTrainYear < 0 || weightsYear < realTrainYear);
+  const windowYears = windowEndsWithWeights ? weightsYear : realTrainYear < 0 ? horizonYears : realTrainYear;
+
+  // Breaking cost as % of the reference attacker budget
+  const breakCostPct = (breakCost / referenceBudget) * 100;
+
+  const { relevanceScore, relevanceReason, relevanceLevel } = assessRelevance({ blockedPct: blockedPctAtEval, windowYears, windowEndsWithWeights, breakCostPct, referenceName });
+
+  return {
+    attackerProfiles, referenceProfile: reference,
+    startYear, horizonYears, stepsPerYear, years, calendarYears, evaluationYear, evaluationIdx, trainingCosts, fineTuneCosts, trainingCostsNaive, fineTuneCostsNaive,
+    trainingRates, fineTuneRates, interventionLevels, attackPoints, threatMatrix, interventionValues, interventionValuesByYear,
+    modelSizes, dangerousCapByYear, novelCapByYear, dangerousCap, novelCap, floorBuysYears, weightAccess: weights, weightsYear, canUseWeightsByYear,
+    breakGpuHours, breakCost, breakCostsOverTime, chokepoints,
+    skillRequired, upliftByProfile,
+    expectedSuccessesByProfile, expectedSuccessesByYear, cumulativeRisk, expectedSuccessesTotal, discountedSuccessesTotal, riskByProfile,
+    totalAttackers, trainAffordShare, canTrainByYear, canBreakSafeguardsByYear, safeguardsBlockByYear,
+    relevanceScore, relevanceReason, relevanceLevel, blockedPctAtEval, windowYears, windowEndsWithWeights, breakCostPct
+  };
+}
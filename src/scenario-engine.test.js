@@ -0,0 +1,352 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_PARAMS, runScenario, computeCostAtYear, instantaneousRate, capabilityCurve, safeguardEffectiveness, stepsToGpuHours,
+  MIN_MODEL_SIZE, createAttackerProfile, budgetPercentiles, budgetQuantiles, shareAbove, skillSuccess, upliftedRequirement,
+  attackChain, interventionTrajectory, weightAccess,
+} from "./scenario-engine.js";
+
+// Element-wise toBeCloseTo, to `digits` significant figures (absolute for zeros)
+const expectSeriesClose = (actual, expected, digits = 5) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((v, i) => expected[i] === 0 ? expect(v).toBeCloseTo(0, digits) : expect(v / expected[i]).toBeCloseTo(1, digits));
+};
+
+describe("computeCostAtYear", () => {
+  it("starts at the base cost", () => {
+    expect(computeCostAtYear(1e6, 2, 0, 0.1, 1000)).toBeCloseTo(1e6);
+  });
+
+  it("decays close to exponentially with no damping and no floor", () => {
+    // Damping is held at 0.001 or above, so only approximately 1/2³
+    expect(computeCostAtYear(1e6, 2, 3, 0, 0) / (1e6 / 8)).toBeCloseTo(1, 2);
+  });
+
+  it("slows the decline with damping", () => {
+    expect(computeCostAtYear(1e6, 2, 3, 0.1, 1000)).toBeCloseTo(166710.714, 2);
+    expect(computeCostAtYear(1e6, 2, 3, 0.3, 0)).toBeGreaterThan(computeCostAtYear(1e6, 2, 3, 0.1, 0));
+  });
+
+  it("never drops below the floor", () => {
+    expect(computeCostAtYear(1e6, 10, 100, 0, 5000)).toBeCloseTo(5000);
+  });
+});
+
+describe("instantaneousRate", () => {
+  it("equals the initial rate at the start", () => {
+    expect(instantaneousRate(2.5, 0, 0.15)).toBeCloseTo(2.5);
+  });
+
+  it("falls toward 1×/yr as damping takes hold", () => {
+    expect(instantaneousRate(2, 3, 0.1)).toBeCloseTo(1.671123, 5);
+    expect(instantaneousRate(2, 100, 0.1)).toBeCloseTo(1, 3);
+  });
+});
+
+describe("capabilityCurve", () => {
+  it("is half present at the threshold", () => {
+    expect(capabilityCurve(10e9, 10e9)).toBeCloseTo(0.5);
+  });
+
+  it("rises with model size", () => {
+    expect(capabilityCurve(40e9, 10e9)).toBeCloseTo(0.989180, 5);
+    expect(capabilityCurve(2.5e9, 10e9)).toBeCloseTo(1 - 0.989180, 5);
+  });
+});
+
+describe("safeguardEffectiveness", () => {
+  it("holds at full strength for attackers who can just afford the attack", () => {
+    expect(safeguardEffectiveness(0.7, 1)).toBeCloseTo(0.7);
+    expect(safeguardEffectiveness(0.7, 0.2)).toBeCloseTo(0.7);
+  });
+
+  it("erodes as the attacker's budget outgrows the cost", () => {
+    expect(safeguardEffectiveness(0.7, 3)).toBeCloseTo(0.257516, 5);
+  });
+});
+
+describe("stepsToGpuHours", () => {
+  it("multiplies steps by the calibrated seconds per step", () => {
+    // 6 × 10B params × 8 × 2048 FLOP at 3e15 FLOP/s, × 15 efficiency loss = 4.9152 s
+    expect(stepsToGpuHours(1000, 10)).toBeCloseTo(1000 * 4.9152 / 3600, 6);
+  });
+
+  it("scales linearly with model size", () => {
+    expect(stepsToGpuHours(1000, 20)).toBeCloseTo(2 * stepsToGpuHours(1000, 10), 6);
+  });
+});
+
+// Today's numbers for the default scenario. A change here is a change to the
+// model: update the values deliberately and bump MODEL_VERSION.
+describe("runScenario defaults", () => {
+  const r = runScenario();
+
+  it("pins the training cost trajectory", () => {
+    expectSeriesClose(r.trainingCosts, [
+      20000000, 8569430, 4145910, 2230690, 1317560, 844633, 581633, 426159,
+      329291, 266151, 223364, 193385, 171769, 155792, 143730, 134455,
+    ]);
+  });
+
+  it("pins the first threat-matrix row", () => {
+    expectSeriesClose(r.threatMatrix[0], [
+      0.109666, 0.183965, 0.190567, 0.190581, 0.190581, 0.238226, 0.238226, 0.238226,
+      0.238226, 0.238226, 0.238226, 0.238226, 0.238226, 0.238226, 0.238226, 0.238226,
+    ]);
+  });
+
+  it("pins the share of attackers safeguards block", () => {
+    expect(r.safeguardsBlockByYear).toEqual(new Array(16).fill(0));
+  });
+
+  it("pins the relevance assessment", () => {
+    expect(r.relevanceScore).toBe(0);
+    expect(r.relevanceLevel).toBe("low");
+    expect(r.windowYears).toBe(15);
+    expect(r.floorBuysYears).toBe(8);
+  });
+});
+
+describe("algorithmic efficiency", () => {
+  const r = runScenario({ ...DEFAULT_PARAMS, algorithmicEfficiency: 2 });
+
+  it("never shrinks the attack model below the minimum size", () => {
+    r.modelSizes.forEach(size => expect(size).toBeGreaterThanOrEqual(MIN_MODEL_SIZE));
+  });
+
+  it("keeps size-scaled costs at or above their floors", () => {
+    r.trainingCosts.forEach(c => expect(c).toBeGreaterThanOrEqual(DEFAULT_PARAMS.trainingFloor * 1e3));
+    r.fineTuneCosts.forEach(c => expect(c).toBeGreaterThanOrEqual(DEFAULT_PARAMS.fineTuneFloor * 1e3));
+  });
+});
+
+describe("attacker budget distributions", () => {
+  const lognormal = createAttackerProfile({ budget: 100000, budgetModel: "lognormal", budgetSigma: 1 });
+  const quantiles = createAttackerProfile({ budget: 100000, budgetModel: "quantiles", budgetP10: 20000, budgetP90: 1e6 });
+  const point = createAttackerProfile({ budget: 100000 });
+
+  it("spreads a lognormal budget evenly in log space around the median", () => {
+    const { p10, p90 } = budgetPercentiles(lognormal);
+    expect(p10).toBeCloseTo(27760.62, 1);
+    expect(p90).toBeCloseTo(360222.45, 1);
+    expect(shareAbove(lognormal, 100000)).toBeCloseTo(0.5, 6);
+    expect(shareAbove(lognormal, p90)).toBeCloseTo(0.1, 6);
+  });
+
+  it("fits each side of a P10/P90 split to its quantile", () => {
+    const { p10, p90 } = budgetPercentiles(quantiles);
+    expect(p10).toBeCloseTo(20000, 4);
+    expect(p90).toBeCloseTo(1e6, 2);
+    expect(shareAbove(quantiles, 20000)).toBeCloseTo(0.9, 6);
+    expect(shareAbove(quantiles, 100000)).toBeCloseTo(0.5, 6);
+    expect(shareAbove(quantiles, 1e6)).toBeCloseTo(0.1, 6);
+  });
+
+  it("keeps a point budget all or nothing", () => {
+    expect(budgetQuantiles(point)).toEqual([100000]);
+    expect(shareAbove(point, 99999)).toBe(1);
+    expect(shareAbove(point, 100001)).toBe(0);
+  });
+
+  it("samples spread budgets around the median, skewed by each side's spread", () => {
+    const budgets = budgetQuantiles(quantiles);
+    expect(budgets.length).toBeGreaterThan(1);
+    expect([...budgets].sort((a, b) => a - b)).toEqual(budgets);
+    const below = budgets.filter(b => b < 100000).length;
+    expect(below).toBe(budgets.length / 2);
+    expect(budgets[budgets.length - 1] / 100000).toBeGreaterThan(100000 / budgets[0]);
+  });
+
+  it("lets part of a spread population afford training before its median does", () => {
+    const spread = runScenario({
+      attackerProfiles: DEFAULT_PARAMS.attackerProfiles.map(a => a.id === "small-group" ? { ...a, budgetModel: "lognormal", budgetSigma: 1 } : a),
+    });
+    const base = runScenario();
+    // Lone actors (10,000 at $1K) never can; state actors and funded orgs can from the start
+    expect(base.canTrainByYear[10]).toBeCloseTo(35, 6);
+    expect(spread.canTrainByYear[10]).toBeGreaterThan(35);
+    expect(spread.canTrainByYear[10]).toBeLessThan(135);
+  });
+});
+
+describe("skill barrier and AI uplift", () => {
+  it("gives even odds at the required skill and e-fold odds per point", () => {
+    expect(skillSuccess(5, 5)).toBeCloseTo(0.5);
+    expect(skillSuccess(6, 5) / (1 - skillSuccess(6, 5))).toBeCloseTo(Math.E, 6);
+  });
+
+  it("lowers the requirement by the uplift times capability, not below zero", () => {
+    expect(upliftedRequirement(8, 3, 0.5)).toBeCloseTo(6.5);
+    expect(upliftedRequirement(2, 5, 1)).toBe(0);
+  });
+
+  // One profile rich enough to train from scratch at every point
+  const withSkill = (skill, extra = {}) => runScenario({
+    attackerProfiles: [createAttackerProfile({ id: "rich", budget: 1e10, count: 10, skill })],
+    referenceProfileId: "rich", aiUplift: 0, ...extra,
+  });
+
+  it("scales the threat by the odds of having the skill", () => {
+    // Same requirement on every path, so both attackers take the same one
+    const barred = { skillBarrier: true, trainSkillRequired: 7, fineTuneSkillRequired: 7 };
+    const novice = withSkill(2, barred).threatMatrix[0][0];
+    const expert = withSkill(10, barred).threatMatrix[0][0];
+    expect(novice / expert).toBeCloseTo(skillSuccess(2, 7) / skillSuccess(10, 7), 6);
+    expect(novice).toBeLessThan(withSkill(2).threatMatrix[0][0] * 0.1);
+  });
+
+  it("barely holds back attackers well above the required skill", () => {
+    const moneyOnly = withSkill(10).threatMatrix[0][0];
+    const barred = withSkill(10, { skillBarrier: true }).threatMatrix[0][0];
+    expect(barred / moneyOnly).toBeGreaterThan(0.95);
+  });
+
+  it("counts more capable attackers with uplift than without", () => {
+    const { upliftByProfile } = runScenario({ skillBarrier: true });
+    const lone = upliftByProfile.find(u => u.id === "lone-actor");
+    expect(lone.withUplift).toBeGreaterThan(lone.withoutUplift);
+    runScenario({ skillBarrier: true, aiUplift: 0 }).upliftByProfile.forEach(u => expect(u.withUplift).toBeCloseTo(u.withoutUplift, 6));
+  });
+});
+
+describe("attack chain", () => {
+  const r = runScenario();
+  const point = r.attackPoints[0];
+
+  it("succeeds with the product of its stages", () => {
+    const chain = attackChain(DEFAULT_PARAMS, point, "fineTune", 50000);
+    expect(chain.stages.map(s => s.id)).toEqual(["design", "acquire", "build", "scale", "deploy"]);
+    expect(chain.success).toBeCloseTo(chain.stages.reduce((p, s) => p * s.success, 1), 12);
+    expect(chain.success).toBeCloseTo(0.190581, 5);
+  });
+
+  it("applies each stage's interventions to its base success", () => {
+    const { stages } = attackChain(DEFAULT_PARAMS, point, "fineTune", 50000);
+    const deploy = stages.find(s => s.id === "deploy");
+    expect(deploy.base).toBeCloseTo(0.85);
+    expect(deploy.success).toBeCloseTo(0.85 * (1 - DEFAULT_PARAMS.surveillanceEff / 100 * DEFAULT_PARAMS.surveillanceReach / 100), 12);
+    expect(stages.find(s => s.id === "build").interventions).toEqual([]);
+  });
+
+  it("holds compute governance harder against training than fine-tuning", () => {
+    const governed = { ...point, trainingCost: DEFAULT_PARAMS.computeGovThreshold * 1e6 };
+    const design = (path) => attackChain(DEFAULT_PARAMS, governed, path, 1e10).stages[0].interventions.find(iv => iv.name === "Compute governance");
+    expect(design("train").strength).toBeGreaterThan(design("fineTune").strength);
+  });
+
+  it("takes intervention strengths at full effect from the params", () => {
+    const governed = { ...point, trainingCost: DEFAULT_PARAMS.computeGovThreshold * 1e6 };
+    const p = { ...DEFAULT_PARAMS, computeGovTrainStrength: 90, computeGovFineTuneStrength: 0, surveillanceReach: 100 };
+    const strength = (path, stage, name) => attackChain(p, governed, path, 1e10).stages.find(s => s.id === stage).interventions.find(iv => iv.name === name).strength;
+    expect(strength("train", "design", "Compute governance")).toBeCloseTo(0.9, 12);
+    expect(strength("fineTune", "design", "Compute governance")).toBe(0);
+    expect(strength("train", "deploy", "Surveillance")).toBeCloseTo(governed.levels.surveillanceEff / 100, 12);
+  });
+
+  it("stops every attack when one stage can't succeed", () => {
+    const { threatMatrix, expectedSuccessesTotal } = runScenario({ stageBuildSuccess: 0 });
+    threatMatrix.flat().forEach(v => expect(v).toBe(0));
+    expect(expectedSuccessesTotal).toBe(0);
+  });
+});
+
+describe("expected harm and cumulative risk", () => {
+  const r = runScenario();
+
+  it("weights each profile's threat by its count and attempt rate", () => {
+    DEFAULT_PARAMS.attackerProfiles.forEach((a, k) => {
+      expect(r.expectedSuccessesByProfile[k][3]).toBeCloseTo(a.count * (DEFAULT_PARAMS.attemptRate / 100) * r.threatMatrix[k][3], 12);
+    });
+    expect(r.riskByProfile.reduce((sum, x) => sum + x.share, 0)).toBeCloseTo(1, 12);
+  });
+
+  it("pins the expected successes over the default horizon", () => {
+    expect(r.expectedSuccessesTotal).toBeCloseTo(0.329360, 5);
+  });
+
+  it("accumulates the chance of at least one success as a Poisson process", () => {
+    expect(r.cumulativeRisk[0]).toBe(0);
+    expect(r.cumulativeRisk.at(-1)).toBeCloseTo(1 - Math.exp(-r.expectedSuccessesTotal), 12);
+    r.cumulativeRisk.slice(1).forEach((risk, i) => expect(risk).toBeGreaterThanOrEqual(r.cumulativeRisk[i]));
+  });
+
+  it("scales linearly with the number of attackers", () => {
+    const doubled = runScenario({ attackerProfiles: DEFAULT_PARAMS.attackerProfiles.map(a => ({ ...a, count: a.count * 2 })) });
+    expect(doubled.expectedSuccessesTotal).toBeCloseTo(2 * r.expectedSuccessesTotal, 12);
+  });
+
+  it("discounts later successes", () => {
+    expect(r.discountedSuccessesTotal).toBe(r.expectedSuccessesTotal);
+    const discounted = runScenario({ discountRate: 5 });
+    expect(discounted.discountedSuccessesTotal).toBeLessThan(discounted.expectedSuccessesTotal);
+    expect(discounted.expectedSuccessesTotal).toBeCloseTo(r.expectedSuccessesTotal, 12);
+  });
+});
+
+describe("intervention trajectories", () => {
+  const years = [0, 0.5, 2.5, 5, 10, 12];
+  const ramp = { ...DEFAULT_PARAMS, surveillanceEff: 50, surveillanceEffTrajectory: "ramp", surveillanceEffTarget: 80, surveillanceEffRampYear: 10 };
+
+  it("holds the slider value when constant", () => {
+    expect(interventionTrajectory(DEFAULT_PARAMS, "surveillanceEff", years)).toEqual(years.map(() => DEFAULT_PARAMS.surveillanceEff));
+  });
+
+  it("ramps to the target by the ramp year and holds it", () => {
+    expectSeriesClose(interventionTrajectory(ramp, "surveillanceEff", years), [50, 51.5, 57.5, 65, 80, 80]);
+    const sCurve = interventionTrajectory({ ...ramp, surveillanceEffRampShape: "sCurve" }, "surveillanceEff", [2.5, 5]);
+    expect(sCurve[0]).toBeLessThan(57.5);
+    expect(sCurve[1]).toBeCloseTo(65);
+  });
+
+  it("matches a linear ramp when drawn through the same yearly points", () => {
+    const drawn = {
+      ...DEFAULT_PARAMS, surveillanceEffTrajectory: "drawn",
+      surveillanceEffPoints: Array.from({ length: 11 }, (_, k) => 50 + 3 * k),
+    };
+    expectSeriesClose(interventionTrajectory(drawn, "surveillanceEff", years), interventionTrajectory(ramp, "surveillanceEff", years));
+  });
+
+  it("feeds the strength at each point into the threat", () => {
+    const constant = runScenario({ surveillanceEff: 50 });
+    const rising = runScenario(ramp);
+    expect(rising.interventionLevels.surveillanceEff[0]).toBe(50);
+    expect(rising.threatMatrix[0][0]).toBeCloseTo(constant.threatMatrix[0][0], 12);
+    expect(rising.threatMatrix[0].at(-1)).toBeLessThan(constant.threatMatrix[0].at(-1));
+  });
+});
+
+describe("weight access", () => {
+  const years = [0, 1, 2, 3, 4, 5, 6];
+
+  it("keeps closed weights out of reach without a leak", () => {
+    const { released, leaked, safeguarded, unsafeguarded } = weightAccess(DEFAULT_PARAMS, years);
+    [released, leaked, safeguarded, unsafeguarded].forEach(series => expect(series).toEqual(years.map(() => 0)));
+  });
+
+  it("flips to stripped weights in the release year of an open release", () => {
+    const { unsafeguarded, safeguarded } = weightAccess({ ...DEFAULT_PARAMS, releasePolicy: "open", releasedSafeguards: false }, years);
+    expect(unsafeguarded).toEqual([0, 0, 0, 1, 1, 1, 1]);
+    expect(safeguarded).toEqual(years.map(() => 0));
+  });
+
+  it("widens a staged release steadily and keeps its safeguards", () => {
+    const { released, safeguarded } = weightAccess({ ...DEFAULT_PARAMS, releasePolicy: "staged" }, years);
+    expectSeriesClose(released, [0, 0, 0, 0, 1 / 3, 2 / 3, 1]);
+    expectSeriesClose(safeguarded, released);
+  });
+
+  it("accumulates the chance of a leak at the yearly rate", () => {
+    const { leaked, unsafeguarded } = weightAccess({ ...DEFAULT_PARAMS, leakRate: 20 }, years);
+    expect(leaked[2]).toBeCloseTo(1 - 0.8 ** 2, 12);
+    expectSeriesClose(unsafeguarded, leaked);
+  });
+
+  it("ends the safeguard window when stripped weights are likely out", () => {
+    const r = runScenario({ releasePolicy: "open", releasedSafeguards: false });
+    expect(r.weightsYear).toBe(DEFAULT_PARAMS.releaseYear);
+    expect(r.windowEndsWithWeights).toBe(true);
+    expect(r.windowYears).toBe(DEFAULT_PARAMS.releaseYear);
+    const i = r.years.indexOf(DEFAULT_PARAMS.releaseYear);
+    expect(r.safeguardsBlockByYear[i]).toBe(0);
+    expect(r.threatMatrix[0][i]).toBeGreaterThan(r.threatMatrix[0][i - 1]);
+  });
+});
@@ -0,0 +1,74 @@
+// ── Named scenario library ───────────────────────────────────────
+// Saved scenarios live in localStorage and can be exported/imported as JSON.
+// Only parameters that differ from DEFAULT_PARAMS are stored, so scenarios
+// saved before a parameter existed pick up its default when loaded.
+import { DEFAULT_PARAMS } from "./scenario-engine.js";
+import { validateParams } from "./param-schema.js";
+
+const STORAGE_KEY = "biosecurity-explorer.scenarios";
+export const LIBRARY_FORMAT = "biosecurity-explorer/scenarios";
+export const LIBRARY_VERSION = 1;
+
+function diffFromDefaults(params) {
+  return Object.fromEntries(Object.entries(params).filter(([k, v]) =>
+    k in DEFAULT_PARAMS && JSON.stringify(v) !== JSON.stringify(DEFAULT_PARAMS[k])
+  ));
+}
+
+// Keeps valid known parameters (migrating legacy keys); drops everything else
+const sanitizeParams = (raw) => validateParams(raw).params;
+
+export function createScenario(name, params) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim() || "Untitled scenario",
+    params: diffFromDefaults(params),
+    savedAt: new Date().toISOString(),
+  };
+}
+
+export const scenarioParams = (scenario) => ({ ...DEFAULT_PARAMS, ...scenario.params });
+
+export function loadScenarios() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? parseScenarios(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveScenarios(scenarios) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, exportScenarios(scenarios));
+  } catch {
+    // Storage full or disabled (private browsing) — library stays in memory only
+  }
+}
+
+export function exportScenarios(scenarios) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, scenarios }, null, 2);
+}
+
+// Accepts an exported library or a bare array of scenarios. Throws on
+// malformed JSON; silently skips entries without a name.
+export function parseScenarios(json) {
+  const data = JSON.parse(json);
+  const list = Array.isArray(data) ? data : data?.scenarios;
+  if (!Array.isArray(list)) throw new Error("Expected a scenario library with a \"scenarios\" array");
+  return list
+    .filter(s => s && typeof s.name === "string")
+    .map(s => ({
+      id: typeof s.id === "string" ? s.id : createScenario(s.name, {}).id,
+      name: s.name,
+      params: sanitizeParams(s.params),
+      savedAt: typeof s.savedAt === "string" ? s.savedAt : new Date().toISOString(),
+    }));
+}
+
+// Imported scenarios replace saved ones with the same id, others are appended
+export function mergeScenarios(existing, incoming) {
+  const byId = new Map(existing.map(s => [s.id, s]));
+  for (const s of incoming) byId.set(s.id, s);
+  return [...byId.values()];
+}
@@ -0,0 +1,75 @@
+// ── One-at-a-time sensitivity analysis ───────────────────────────
+// Sweeps each parameter across its slider range while holding the others
+// fixed, ranks parameters by how far they move each output metric, and flags
+// parameters where a small change flips relevanceLevel.
+import { DEFAULT_PARAMS, indexAtYear, runScenario } from "./scenario-engine.js";
+import { paramDefsFor, getParamValue, withParamValue } from "./param-schema.js";
+
+// Every numeric parameter, including each attacker profile's count and budget
+export const sensitivityParamsFor = (params) => paramDefsFor(params);
+
+// Mean residual threat across profiles `year` years after the start
+export const averageThreatAt = (results, year) =>
+  results.threatMatrix.reduce((sum, row) => sum + row[indexAtYear(results, year)], 0) / results.threatMatrix.length;
+
+export const SENSITIVITY_METRICS = {
+  relevanceScore: { label: "Relevance score", get: r => r.relevanceScore },
+  windowYears: { label: "Relevance window (yrs)", get: r => r.windowYears },
+  breakCost: { label: "Break cost", get: r => r.breakCost },
+  avgThreatAtEval: { label: "Avg residual threat (eval. year)", get: r => averageThreatAt(r, r.evaluationYear) },
+  cumulativeRisk: { label: "P(≥1 success) over horizon", get: r => r.cumulativeRisk[r.cumulativeRisk.length - 1] },
+};
+
+// A relevance flip within this fraction of the slider range counts as "small"
+const NEAR_FLIP_FRACTION = 0.1;
+
+function sweepValues({ min, max, scale }, points) {
+  return Array.from({ length: points }, (_, i) => {
+    const t = i / (points - 1);
+    return scale === "log" ? Math.pow(10, Math.log10(min) + t * (Math.log10(max) - Math.log10(min))) : min + t * (max - min);
+  });
+}
+
+// Position of `value` within the slider range on 0..1, in the slider's scale
+function rangePosition({ min, max, scale }, value) {
+  if (scale === "log") return (Math.log10(value) - Math.log10(min)) / (Math.log10(max) - Math.log10(min));
+  return (value - min) / (max - min);
+}
+
+export function runSensitivity(params, { points = 21, paramDefs } = {}) {
+  const baseParams = { ...DEFAULT_PARAMS, ...params };
+  const base = runScenario(baseParams);
+  const baseMetrics = Object.fromEntries(Object.entries(SENSITIVITY_METRICS).map(([k, m]) => [k, m.get(base)]));
+
+  const swept = (paramDefs || sensitivityParamsFor(baseParams)).map(def => {
+    const values = sweepValues(def, points);
+    const runs = values.map(v => runScenario(withParamValue(baseParams, def.key, v)));
+
+    const metrics = Object.fromEntries(Object.entries(SENSITIVITY_METRICS).map(([k, m]) => {
+      const series = runs.map(m.get);
+      return [k, { atMin: series[0], atMax: series[series.length - 1], lo: Math.min(...series), hi: Math.max(...series), swing: Math.max(...series) - Math.min(...series) }];
+    }));
+
+    // Where along the sweep does relevanceLevel change?
+    const flips = [];
+    for (let i = 1; i < runs.length; i++) {
+      if (runs[i].relevanceLevel !== runs[i - 1].relevanceLevel) {
+        flips.push({ value: values[i], from: runs[i - 1].relevanceLevel, to: runs[i].relevanceLevel });
+      }
+    }
+    const current = getParamValue(baseParams, def.key);
+    const currentPos = rangePosition(def, current);
+    const nearestFlip = flips.reduce((best, f) => {
+      const dist = Math.abs(rangePosition(def, f.value) - currentPos);
+      return !best || dist < best.distance ? { ...f, distance: dist } : best;
+    }, null);
+
+    return { ...def, current, metrics, flips, nearestFlip, isThreshold: !!nearestFlip && nearestFlip.distance <= NEAR_FLIP_FRACTION };
+  });
+
+  const rankings = Object.fromEntries(Object.keys(SENSITIVITY_METRICS).map(k => [
+    k, [...swept].sort((a, b) => b.metrics[k].swing - a.metrics[k].swing),
+  ]));
+
+  return { base, baseMetrics, params: swept, rankings, thresholds: swept.filter(p => p.isThreshold) };
+}